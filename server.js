@@ -7,9 +7,9 @@ import { dirname, join } from 'path';
 import { createProxyMiddleware } from 'http-proxy-middleware';
 import axios from 'axios';
 import FormData from 'form-data';
-import archiver from 'archiver';
 import fs from 'fs-extra';
 import { existsSync, mkdirSync } from 'fs';
+import crypto from 'crypto';
 
 // Import professional backend modules
 import productRoutes from './src/routes/productRoutes.js';
@@ -20,6 +20,131 @@ import { errorHandler, notFoundHandler } from './src/middleware/errorHandler.js'
 import { ApiResponse } from './src/utils/response.js';
 import { initAuth } from './src/middleware/auth.js';
 import { connectDB } from './src/config/database.js';
+import { buildOrderPackage, orderHasDesigns } from './src/services/orderPackageService.js';
+import { createJobQueue } from './src/services/jobQueue.js';
+import { renderDesignPng, DEFAULT_RENDER_DPI } from './src/services/designRenderer.js';
+import {
+  initSessions,
+  setSessionTtl,
+  issueSession,
+  verifySession,
+  revokeSession,
+  getBearerToken,
+  signPath,
+  verifyPathSignature,
+} from './src/services/sessionService.js';
+import {
+  initSettings,
+  getSettings,
+  getSettingsVersion,
+  getSettingsHistory,
+  updateSettings,
+  restoreSettings,
+  onSettingsChange,
+  SettingsValidationError,
+} from './src/services/settingsService.js';
+import {
+  ROLES,
+  initPermissions,
+  normalizeRole,
+  isValidRole,
+  getCapabilities,
+  hasPermission,
+  getAssignedRole,
+  listAssignments,
+  assignRole,
+  removeRole,
+} from './src/services/permissionService.js';
+import {
+  ensureBaselineRevision,
+  createRevision,
+  listRevisions,
+  getRevision,
+  restoreRevision,
+  diffDesigns,
+} from './src/services/designRevisionService.js';
+import {
+  initStorage,
+  createStorageDriver,
+  createStorage,
+  StorageError,
+  IMAGE_TYPES,
+  FONT_TYPES,
+  sniffFile,
+  sniffContentType,
+} from './src/services/storageService.js';
+import { verifyWooSignature, initWebhookLog, findDelivery, recordDelivery, listDeliveries } from './src/services/webhookService.js';
+import {
+  processStoredImage,
+  getImageMetadata,
+  checkPrintResolution,
+  ORIGINALS_DIR,
+  THUMBS_DIR,
+  THUMBNAIL_SIZES,
+  MIN_PRINT_DPI,
+} from './src/services/imageProcessingService.js';
+import { lengthToMm } from './src/utils/designDocument.js';
+import { removeImageBackground, backgroundRemovedName, BACKGROUND_REMOVAL_MODELS } from './src/services/backgroundRemovalService.js';
+import { assertUniqueRoutes } from './src/utils/routeRegistry.js';
+import {
+  describeFont,
+  getFontMetadata,
+  groupFontFamilies,
+  buildFontFaceCss,
+  fontMetadataName,
+  fontSlug,
+} from './src/services/fontMetadataService.js';
+import { getWebFont, removeWebFonts, subsetUnicodeRange } from './src/services/webFontService.js';
+import { buildFontUsageReport, OPEN_ORDER_STATUSES } from './src/services/fontUsageService.js';
+import { sanitizeSvg } from './src/services/svgSanitizer.js';
+import { createAssetLibrary } from './src/services/assetLibraryService.js';
+import {
+  prepareDesignDocument,
+  prepareTemplateFields,
+  migrateDesignDocument,
+  designDocumentSchema,
+  templateSchema,
+} from './src/services/designSchemaService.js';
+import { matchTemplateToProduct, parseCompatibility } from './src/services/templateCompatibilityService.js';
+import {
+  LINK_MODES,
+  generateLinkCode,
+  findLink,
+  parseLinkExpiry,
+  validateLinkFields,
+  validateBulkUnits,
+  assertLinkUsable,
+  signLinkResult,
+  buildReturnUrl,
+} from './src/services/linkService.js';
+import {
+  LINK_ANALYTICS_GROUPS,
+  initLinkAnalytics,
+  recordLinkEvent,
+  parseAnalyticsRange,
+  aggregateLinkEvents,
+} from './src/services/linkAnalyticsService.js';
+import {
+  DESIGN_THUMBS_DIR,
+  getDesignThumbnails,
+  designThumbnailName,
+  designThumbnailUrls,
+  designContentHash,
+} from './src/services/designThumbnailService.js';
+import {
+  initClipartCatalog,
+  normalizeTags,
+  searchClipart,
+  getClipart,
+  validateClipartFields,
+  addClipart,
+  updateClipart,
+  removeClipart,
+  listCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} from './src/services/clipartCatalogService.js';
 
 // Load environment variables
 dotenv.config();
@@ -36,18 +161,101 @@ const IMAGES_DIR = join(UPLOADS_DIR, 'images');
 const FONTS_DIR = join(UPLOADS_DIR, 'fonts');
 const CLIPART_DIR = join(UPLOADS_DIR, 'clipart');
 const TEMPLATES_DIR = join(UPLOADS_DIR, 'templates');
+const UPLOAD_TMP_DIR = join(UPLOADS_DIR, 'tmp'); // multer writes here before files go to storage
+const STORAGE_CACHE_DIR = join(UPLOADS_DIR, 'storage-cache'); // local mirror of remote assets for rendering
 const DATA_DIR = join(__dirname, 'data');
 const LINKS_DB = join(DATA_DIR, 'links.json');
 const PRODUCTS_DB = join(DATA_DIR, 'products.json');
+const REVOKED_SESSIONS_DB = join(DATA_DIR, 'revoked-sessions.json');
+const USER_ROLES_DB = join(DATA_DIR, 'user-roles.json');
+const SETTINGS_DB = join(DATA_DIR, 'settings.json');
+const JOBS_DB = join(DATA_DIR, 'jobs.json');
+const WEBHOOK_DELIVERIES_DB = join(DATA_DIR, 'webhook-deliveries.json');
+const IMAGE_JOBS_DB = join(DATA_DIR, 'image-jobs.json');
+const CLIPART_CATEGORIES_DB = join(DATA_DIR, 'clipart-categories.json');
+const LINK_ANALYTICS_DB = join(DATA_DIR, 'link-analytics.json');
 
 // Ensure directories exist
-[UPLOADS_DIR, ORDERS_DIR, DESIGNS_DIR, CUSTOMER_DESIGNS_DIR, IMAGES_DIR, FONTS_DIR, CLIPART_DIR, TEMPLATES_DIR, DATA_DIR].forEach(dir => {
+[UPLOADS_DIR, ORDERS_DIR, DESIGNS_DIR, CUSTOMER_DESIGNS_DIR, IMAGES_DIR, FONTS_DIR, CLIPART_DIR, TEMPLATES_DIR, UPLOAD_TMP_DIR, DATA_DIR].forEach(dir => {
   if (!existsSync(dir)) {
     mkdirSync(dir, { recursive: true });
     console.log('Created directory:', dir);
   }
 });
 
+// Storage mode: 'wordpress' (default) keeps designs and uploaded images in
+// WordPress and proxies those routes there; 'standalone' serves them from the
+// backend's own storage. Routes that exist in both variants are registered once
+// for the selected mode (see "Storage mode routes" below).
+const STORAGE_MODES = ['wordpress', 'standalone'];
+const STORAGE_MODE = process.env.STORAGE_MODE || 'wordpress';
+if (!STORAGE_MODES.includes(STORAGE_MODE)) {
+  throw new Error(`Unknown STORAGE_MODE "${STORAGE_MODE}" (expected ${STORAGE_MODES.join(' or ')})`);
+}
+
+// Storage driver for uploaded files: the local uploads/ folder (default) or
+// an S3-compatible bucket (AWS S3, MinIO, ...). Order packages stay local.
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+initStorage({
+  driver: createStorageDriver({
+    driver: STORAGE_DRIVER,
+    root: UPLOADS_DIR,
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      prefix: process.env.S3_PREFIX,
+    },
+  }),
+  // Serve files by redirecting to short-lived presigned URLs (S3 only)
+  redirect: process.env.STORAGE_REDIRECT === 'true',
+  urlTtl: parseInt(process.env.STORAGE_URL_TTL, 10) || 300,
+  cacheDir: STORAGE_CACHE_DIR,
+  // Seconds a local mirror of a bucket folder (fonts, images for rendering) is reused
+  localDirTtl: parseInt(process.env.STORAGE_CACHE_TTL, 10) || 60,
+});
+
+// Path-safe stores for upload folders: every file route resolves request
+// identifiers through these instead of join()
+const imageStorage = createStorage('images', { types: IMAGE_TYPES });
+const fontStorage = createStorage('fonts', { types: FONT_TYPES });
+const clipartStorage = createStorage('clipart', { types: ['png', 'jpeg', 'svg'] });
+
+// Clipart metadata lives in sidecars next to the files, categories in data/
+initClipartCatalog({ store: clipartStorage, categoriesFile: CLIPART_CATEGORIES_DB });
+const templateStorage = createStorage('templates', { types: ['json'] });
+const templatePreviewStorage = createStorage('templates', { types: IMAGE_TYPES });
+const customerDesignStorage = createStorage('customer-designs', { types: ['json', 'png', 'jpeg', 'webp'] });
+
+// Fonts, clipart and templates as one ZIP, for moving libraries between installations
+const assetLibrary = createAssetLibrary({
+  fonts: fontStorage,
+  clipart: clipartStorage,
+  templates: templateStorage,
+  templatePreviews: templatePreviewStorage,
+});
+
+// Asset folders as local paths for the renderers (mirrored from the bucket when using S3)
+const getAssetDirs = async () => ({
+  fontsDir: await fontStorage.localDir(),
+  imagesDir: await imageStorage.localDir(),
+  clipartDir: await clipartStorage.localDir(),
+});
+
+// Error response for storage routes; StorageError carries its own status (400, 404 or 415)
+const sendStorageError = (res, error, message) => {
+  if (res.headersSent) return;
+  if (error instanceof StorageError) {
+    // Schema errors come with one entry per invalid field
+    return res.status(error.statusCode).json({ error: error.message, ...(error.errors ? { errors: error.errors } : {}) });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message, details: error.message });
+};
+
 // Initialize products database if it doesn't exist
 if (!existsSync(PRODUCTS_DB)) {
   fs.writeJsonSync(PRODUCTS_DB, [], { spaces: 2 });
@@ -55,11 +263,49 @@ if (!existsSync(PRODUCTS_DB)) {
 
 const app = express();
 const PORT = process.env.BACKEND_PORT || 5000;
-const WORDPRESS_URL = process.env.WORDPRESS_URL || 'http://localhost:8080';
 const REACT_APP_URL = process.env.REACT_APP_URL || 'http://localhost:3000';
+
+// Load persisted settings; environment values are the defaults until an admin saves changes
+initSettings({
+  file: SETTINGS_DB,
+  defaults: {
+    wordpressUrl: process.env.WORDPRESS_URL || 'http://localhost:8080',
+    apiEndpoint: '/wp-json/design-tool/v1',
+    enableCors: true,
+    corsOrigins: [REACT_APP_URL, 'http://localhost:3000', 'http://localhost:5173'],
+    logLevel: 'info',
+    maxUploadSize: 10,
+    sessionTimeout: parseInt(process.env.SESSION_TIMEOUT, 10) || 3600,
+  },
+});
+
+// WordPress URL can be changed at runtime from the admin panel (see the onSettingsChange listener below)
+let WORDPRESS_URL = getSettings().wordpressUrl;
 const WORDPRESS_SECRET_TOKEN = process.env.WORDPRESS_SECRET_TOKEN || 'futuretech'; // SiteGround Security token
 const WOOCOMMERCE_CONSUMER_KEY = process.env.WOOCOMMERCE_CONSUMER_KEY || '';
 const WOOCOMMERCE_CONSUMER_SECRET = process.env.WOOCOMMERCE_CONSUMER_SECRET || '';
+// Default resolution for server-side PNG renders
+const RENDER_DPI = parseInt(process.env.RENDER_DPI, 10) || DEFAULT_RENDER_DPI;
+// Bleed added around each design in print PDFs (mm)
+const PRINT_BLEED_MM = parseFloat(process.env.PRINT_BLEED_MM) || 3;
+// Uploaded images below this resolution at their print size get a low-resolution warning
+const PRINT_MIN_DPI = parseInt(process.env.PRINT_MIN_DPI, 10) || MIN_PRINT_DPI;
+// Panel role for WordPress users without an assigned role or a known WordPress role.
+// Shop customers log in through the same endpoint, so this grants no panel access by default
+const DEFAULT_PANEL_ROLE = normalizeRole(process.env.DEFAULT_PANEL_ROLE) || 'customer';
+// Number of order exports processed in parallel by the background queue
+const EXPORT_CONCURRENCY = parseInt(process.env.EXPORT_CONCURRENCY, 10) || 2;
+// Background removal: model size (small | medium), parallel jobs and an optional
+// folder with the model assets (defaults to the files bundled with the npm package)
+const BG_REMOVAL_MODEL = BACKGROUND_REMOVAL_MODELS.includes(process.env.BG_REMOVAL_MODEL) ? process.env.BG_REMOVAL_MODEL : 'medium';
+const BG_REMOVAL_CONCURRENCY = parseInt(process.env.BG_REMOVAL_CONCURRENCY, 10) || 1;
+const BG_REMOVAL_ASSETS = process.env.BG_REMOVAL_ASSETS || null;
+// Background removal jobs a single user may queue per hour
+const BG_REMOVAL_RATE_LIMIT = parseInt(process.env.BG_REMOVAL_RATE_LIMIT, 10) || 20;
+// Secret shared with sellers; personalisation link results sent to their returnUrl are signed with it
+const LINK_SIGNING_SECRET = process.env.LINK_SIGNING_SECRET || '';
+// Address sellers and customers reach this backend at, for absolute URLs handed out to them
+const BACKEND_PUBLIC_URL = (process.env.BACKEND_PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
 
 // Helper function to add secret token to WordPress URLs
 // Note: JWT endpoints might not accept query parameters, so we skip them for JWT routes
@@ -75,28 +321,38 @@ const addSecretToken = (url, skipForJWT = false) => {
 console.log('\n=== Server Configuration ===');
 console.log('WordPress URL:', WORDPRESS_URL);
 console.log('React App URL:', REACT_APP_URL);
+console.log('Storage Mode:', STORAGE_MODE);
 console.log('Backend Port:', PORT);
+console.log('Backend Public URL:', BACKEND_PUBLIC_URL);
 console.log('WordPress Secret Token:', WORDPRESS_SECRET_TOKEN ? '***configured***' : 'not set');
 console.log('WooCommerce API Key:', WOOCOMMERCE_CONSUMER_KEY ? '***configured***' : 'not set');
 console.log('WooCommerce API Secret:', WOOCOMMERCE_CONSUMER_SECRET ? '***configured***' : 'not set');
+console.log('Link Signing Secret:', LINK_SIGNING_SECRET ? '***configured***' : 'not set');
 console.log('Environment:', process.env.NODE_ENV || 'development');
 console.log('===========================\n');
 
 // Middleware
+// Allowed origins are read per request so saved settings apply without a restart
 app.use(cors({
-  origin: [REACT_APP_URL, 'http://localhost:3000', 'http://localhost:5173'],
+  origin: (origin, callback) => {
+    const { enableCors, corsOrigins } = getSettings();
+    // Requests without an Origin header (same-origin, server-to-server) are not CORS requests
+    if (!origin) return callback(null, true);
+    callback(null, enableCors && corsOrigins.includes(origin));
+  },
   credentials: true
 }));
+// Webhook signatures are computed over the raw body, so keep it unparsed
+app.use('/api/webhooks', express.raw({ type: '*/*', limit: '25mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Configure multer for file uploads
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-  },
-});
+// The size limit comes from the maxUploadSize setting (MB), optionally capped per route
+const uploadWithLimit = (options, attach, maxBytes = Infinity) => (req, res, next) => {
+  const fileSize = Math.min(getSettings().maxUploadSize * 1024 * 1024, maxBytes);
+  attach(multer({ ...options, limits: { fileSize } }))(req, res, next);
+};
 
 // Serve static files from React build (for production)
 if (process.env.NODE_ENV === 'production') {
@@ -107,6 +363,7 @@ if (process.env.NODE_ENV === 'production') {
 // This proxies all WordPress REST API requests to the WordPress site
 const wordpressProxy = createProxyMiddleware({
   target: WORDPRESS_URL,
+  router: () => WORDPRESS_URL, // Follow WordPress URL changes made in settings
   changeOrigin: true,
   pathRewrite: {
     '^/api/wordpress': '', // Remove /api/wordpress prefix
@@ -178,6 +435,134 @@ initAuth({
   getWooCommerceAuth: getWooCommerceAuth,
 });
 
+// Initialize signed session tokens for the admin panel
+initSessions({
+  secret: process.env.JWT_SECRET_KEY,
+  ttlSeconds: getSettings().sessionTimeout,
+  revocationFile: REVOKED_SESSIONS_DB,
+});
+
+// Load panel role assignments (admin, designer, fulfilment, seller)
+initPermissions({ file: USER_ROLES_DB });
+
+// Load the WooCommerce webhook idempotency log
+initWebhookLog({ file: WEBHOOK_DELIVERIES_DB });
+
+// Load the personalisation link counters (opens, sessions, saves, orders)
+initLinkAnalytics({ file: LINK_ANALYTICS_DB });
+
+// Apply saved settings at runtime (no restart needed)
+onSettingsChange((settings) => {
+  if (settings.wordpressUrl !== WORDPRESS_URL) {
+    console.log('WordPress URL changed:', WORDPRESS_URL, '->', settings.wordpressUrl);
+    WORDPRESS_URL = settings.wordpressUrl;
+    app.locals.wordpressUrl = WORDPRESS_URL;
+    initAuth({
+      wordpressUrl: WORDPRESS_URL,
+      addSecretToken: addSecretToken,
+      getWooCommerceAuth: getWooCommerceAuth,
+    });
+  }
+  setSessionTtl(settings.sessionTimeout);
+});
+
+// Fetch a single WooCommerce order
+const fetchWooOrder = async (orderId, authHeader) => {
+  const response = await axios.get(
+    addSecretToken(`${WORDPRESS_URL}/wp-json/wc/v3/orders/${orderId}`),
+    {
+      headers: {
+        'Authorization': authHeader,
+        'Content-Type': 'application/json',
+      },
+    }
+  );
+  return response.data;
+};
+
+// Fetch every WooCommerce order with one of the given statuses (all pages)
+const fetchWooOrders = async (authHeader, statuses = ['any']) => {
+  const orders = [];
+  for (let page = 1; ; page += 1) {
+    const response = await axios.get(
+      addSecretToken(`${WORDPRESS_URL}/wp-json/wc/v3/orders?per_page=100&status=${statuses.join(',')}&page=${page}`),
+      {
+        headers: {
+          'Authorization': authHeader,
+          'Content-Type': 'application/json',
+        },
+      }
+    );
+    orders.push(...response.data);
+    const totalPages = parseInt(response.headers['x-wp-totalpages'], 10) || 1;
+    if (page >= totalPages || response.data.length === 0) return orders;
+  }
+};
+
+// Build the production ZIP for an order under uploads/orders/<id>
+const exportOrderPackage = async (order) => buildOrderPackage(order, {
+  ordersDir: ORDERS_DIR,
+  ...(await getAssetDirs()),
+  bleed: PRINT_BLEED_MM,
+});
+
+// Background queue for order exports (persisted in data/jobs.json)
+const orderExportQueue = createJobQueue({
+  name: 'order-export',
+  file: JOBS_DB,
+  concurrency: EXPORT_CONCURRENCY,
+  maxAttempts: 3,
+});
+
+orderExportQueue.register('order-export', async (payload, job) => {
+  // Webhooks hand over the order they received; otherwise it is fetched.
+  // Requests made with a user's WordPress token keep it in memory only,
+  // after a restart the store's API keys are used instead
+  let order = job.context?.order;
+  if (!order) {
+    const authHeader = job.context?.authHeader || getWooCommerceAuth();
+    if (!authHeader) {
+      throw new Error('No WooCommerce credentials available for this export');
+    }
+    order = await fetchWooOrder(payload.orderId, authHeader);
+  }
+  
+  const result = await exportOrderPackage(order);
+  console.log(`Order ${payload.orderId} exported: ${result.zipPath} (${result.size} bytes)`);
+  
+  return {
+    filename: result.filename,
+    size: result.size,
+    files: result.files,
+    warnings: result.warnings,
+  };
+});
+
+// Background queue for image work such as background removal (persisted in data/image-jobs.json)
+const imageQueue = createJobQueue({
+  name: 'image',
+  file: IMAGE_JOBS_DB,
+  concurrency: BG_REMOVAL_CONCURRENCY,
+  maxAttempts: 2,
+});
+
+imageQueue.register('remove-background', async (payload) => {
+  const image = await imageStorage.read(payload.filename);
+  if (!image) {
+    throw new Error(`Image ${payload.filename} no longer exists`);
+  }
+  
+  const started = Date.now();
+  const result = await removeImageBackground(image, { model: payload.model, assetsPath: BG_REMOVAL_ASSETS });
+  const filename = backgroundRemovedName(payload.filename);
+  await imageStorage.write(filename, result, { contentType: 'image/png' });
+  // Thumbnails and metadata for the new variant
+  await processStoredImage(imageStorage, filename, { legacy: true });
+  console.log(`Background removed: ${payload.filename} -> ${filename} (${Date.now() - started} ms)`);
+  
+  return { filename, url: `/api/images/${filename}`, model: payload.model };
+});
+
 // Health check endpoint (must be before other routes to avoid conflicts)
 app.get('/api/health', (req, res) => {
   res.json({
@@ -188,6 +573,92 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// WooCommerce webhook - prepare production files for new/updated orders
+// POST /api/webhooks/woocommerce
+// Configure the webhook in WooCommerce with WOOCOMMERCE_CONSUMER_SECRET as its secret
+const WEBHOOK_ORDER_TOPICS = ['order.created', 'order.updated'];
+const SKIPPED_ORDER_STATUSES = ['cancelled', 'refunded', 'failed', 'trash'];
+
+app.post('/api/webhooks/woocommerce', async (req, res) => {
+  try {
+    const topic = req.get('X-WC-Webhook-Topic');
+    const signature = req.get('X-WC-Webhook-Signature');
+    const deliveryId = req.get('X-WC-Webhook-Delivery-ID') || null;
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    
+    // WooCommerce sends an unsigned ping (webhook_id=N) when a webhook is saved
+    if (!topic && !signature) {
+      return res.json({ success: true, message: 'Ping received' });
+    }
+    
+    if (!WOOCOMMERCE_CONSUMER_SECRET) {
+      console.error('WooCommerce webhook received but WOOCOMMERCE_CONSUMER_SECRET is not configured');
+      return res.status(503).json({ error: 'Webhook secret is not configured' });
+    }
+    
+    if (!verifyWooSignature(rawBody, signature, WOOCOMMERCE_CONSUMER_SECRET)) {
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+    
+    if (!WEBHOOK_ORDER_TOPICS.includes(topic)) {
+      return res.json({ success: true, action: 'ignored', topic });
+    }
+    
+    let order;
+    try {
+      order = JSON.parse(rawBody.toString('utf8'));
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid JSON payload' });
+    }
+    if (!order?.id) {
+      return res.status(400).json({ error: 'Payload is not an order' });
+    }
+    
+    // The same order version is only processed once, even if redelivered
+    const eventKey = `${topic}:${order.id}:${order.date_modified_gmt || order.date_modified || ''}`;
+    const previous = findDelivery(deliveryId, eventKey);
+    if (previous) {
+      return res.json({ success: true, action: 'duplicate', job_id: previous.job_id || null });
+    }
+    
+    const delivery = {
+      delivery_id: deliveryId,
+      event_key: eventKey,
+      topic,
+      resource_id: order.id,
+      job_id: null,
+    };
+    
+    if (SKIPPED_ORDER_STATUSES.includes(order.status) || !orderHasDesigns(order)) {
+      await recordDelivery({ ...delivery, action: 'skipped' });
+      return res.json({ success: true, action: 'skipped' });
+    }
+    
+    const linkIds = await orderLinkIds(order);
+    if (linkIds.length > 0) {
+      const links = await readLinks();
+      for (const linkId of linkIds) {
+        const link = findLink(links, linkId);
+        if (link) trackLinkEvent(link, 'order', { dedupeKey: String(order.id) });
+      }
+    }
+    
+    const job = await orderExportQueue.enqueue('order-export', { orderId: String(order.id), requested_by: 'webhook' }, {
+      dedupeKey: `order-${order.id}`,
+      // A newer delivery carries the current order, so it replaces the one a pending job holds
+      replace: true,
+      context: { order },
+    });
+    const action = job.coalesced ? 'coalesced' : 'queued';
+    await recordDelivery({ ...delivery, action, job_id: job.id });
+    
+    res.status(202).json({ success: true, action, job_id: job.id });
+  } catch (error) {
+    console.error('Failed to process WooCommerce webhook:', error);
+    res.status(500).json({ error: 'Failed to process webhook', details: error.message });
+  }
+});
+
 // Product Routes - Professional structure
 // Public endpoint: GET /api/product/:productCode (no auth required)
 // Admin endpoints: /api/admin/products/* (auth handled in routes)
@@ -261,10 +732,10 @@ app.get('/api/products/:id/config', async (req, res) => {
 });
 
 /**
- * Get user designs
+ * Get user designs (WordPress storage mode)
  * GET /api/designs
  */
-app.get('/api/designs', async (req, res) => {
+const getWordPressDesigns = async (req, res) => {
   try {
     const response = await axios.get(
       addSecretToken(`${WORDPRESS_URL}/wp-json/design-tool/v1/designs`),
@@ -284,7 +755,7 @@ app.get('/api/designs', async (req, res) => {
       error: error.response?.data?.message || 'Failed to get designs',
     });
   }
-});
+};
 
 /**
  * Save design
@@ -453,18 +924,23 @@ app.get('/api/cart/design/:cartItemKey', async (req, res) => {
 });
 
 /**
- * Upload image
+ * Upload image (WordPress storage mode)
  * POST /api/images/upload
  */
-app.post('/api/images/upload', upload.single('image'), async (req, res) => {
+const uploadWordPressImage = async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No image file provided' });
     }
     
+    // SVGs are sanitised here as well, WordPress stores and serves the file as it gets it
+    const image = sniffContentType(req.file.buffer) === 'svg'
+      ? Buffer.from(sanitizeSvg(req.file.buffer).svg)
+      : req.file.buffer;
+    
     // Forward multipart/form-data to WordPress
     const formData = new FormData();
-    formData.append('image', req.file.buffer, {
+    formData.append('image', image, {
       filename: req.file.originalname,
       contentType: req.file.mimetype,
     });
@@ -485,12 +961,15 @@ app.post('/api/images/upload', upload.single('image'), async (req, res) => {
     );
     res.json(response.data);
   } catch (error) {
+    if (error instanceof StorageError) {
+      return sendStorageError(res, error, 'Failed to upload image');
+    }
     console.error('Upload image error:', error.message);
     res.status(error.response?.status || 500).json({
       error: error.response?.data?.message || 'Failed to upload image',
     });
   }
-});
+};
 
 /**
  * Delete image
@@ -519,10 +998,57 @@ app.delete('/api/images/:id', async (req, res) => {
   }
 });
 
+// Helper function to resolve the current panel role for a session
+// Role assignments apply immediately, without waiting for the token to be refreshed
+const resolveSessionRole = (session) => {
+  if (session.auth_method === 'local_admin') {
+    return 'admin';
+  }
+  return getAssignedRole(session.sub) || normalizeRole(session.role) || DEFAULT_PANEL_ROLE;
+};
+
+// Panel role for a WordPress user: explicit assignment first, then their WordPress role(s)
+const resolveWordPressRole = (userId, wpRoles) => {
+  const roles = Array.isArray(wpRoles) ? wpRoles : [wpRoles];
+  return getAssignedRole(userId) || roles.map(normalizeRole).find(Boolean) || DEFAULT_PANEL_ROLE;
+};
+
+// Numeric WordPress user ID, or null. Designs are stored and checked by this ID, so login
+// names must never stand in for it
+const toWordPressUserId = (value) => (/^[1-9]\d*$/.test(String(value ?? '')) ? String(value) : null);
+
+// Helper function to look up the numeric ID (and roles) of the user a JWT belongs to;
+// the standard jwt-auth token response does not include the ID
+const fetchWordPressUser = async (token) => {
+  const response = await axios.get(addSecretToken(`${WORDPRESS_URL}/wp-json/wp/v2/users/me?context=edit`), {
+    headers: { Authorization: `Bearer ${token}` },
+    timeout: 5000,
+  });
+  return response.data;
+};
+
+// Helper function to issue a session token and send the login response
+const sendSession = (res, user, message, extraClaims = {}) => {
+  const session = issueSession(user, extraClaims);
+  return res.json({
+    success: true,
+    token: session.token,
+    expires_at: session.expires_at,
+    user_id: user.id,
+    user_display_name: user.display_name,
+    user_email: user.email || '',
+    role: session.payload.role,
+    permissions: getCapabilities(session.payload.role),
+    message,
+    auth_method: user.auth_method,
+  });
+};
+
 /**
- * JWT Authentication - Login
+ * Session Authentication - Login
  * POST /api/auth/login
- * Tries JWT first, falls back to WordPress cookie-based auth
+ * Verifies credentials (local admin, WordPress JWT, then WordPress cookie auth)
+ * and issues a signed, expiring session token
  */
 app.post('/api/auth/login', async (req, res) => {
   try {
@@ -537,41 +1063,23 @@ app.post('/api/auth/login', async (req, res) => {
     console.log('Login attempt for user:', username);
     console.log('WordPress URL:', WORDPRESS_URL);
     
-    // Option 1: Simple local admin login (for development/standalone use)
-    // Check for local admin credentials in environment or use defaults
+    // Option 1: Local admin login (for development/standalone use)
+    // Credentials come from the environment; there is no default password in production
     const LOCAL_ADMIN_USER = process.env.LOCAL_ADMIN_USER || 'admin';
-    const LOCAL_ADMIN_PASS = process.env.LOCAL_ADMIN_PASS || 'admin123';
+    const LOCAL_ADMIN_PASS = process.env.LOCAL_ADMIN_PASS || (process.env.NODE_ENV === 'production' ? '' : 'admin123');
     
-    if (username === LOCAL_ADMIN_USER && password === LOCAL_ADMIN_PASS) {
+    if (LOCAL_ADMIN_PASS && username === LOCAL_ADMIN_USER && password === LOCAL_ADMIN_PASS) {
       console.log('Local admin login successful');
-      return res.json({
-        success: true,
-        token: 'local-admin-token',
-        user_id: 1,
-        user_display_name: 'Administrator',
-        user_email: 'admin@localhost',
-        message: 'Login successful (local admin)',
-        auth_method: 'local_admin'
-      });
+      return sendSession(res, {
+        id: 1,
+        display_name: 'Administrator',
+        email: 'admin@localhost',
+        role: 'admin',
+        auth_method: 'local_admin',
+      }, 'Login successful (local admin)');
     }
     
-    // Option 2: If WooCommerce API keys are configured, we can accept login without WordPress validation
-    // (since backend uses API keys for admin operations)
-    const wooCommerceAuth = getWooCommerceAuth();
-    if (wooCommerceAuth) {
-      console.log('WooCommerce API keys configured - accepting login with API key authentication');
-      // Return success response - backend will use API keys for all operations
-      return res.json({
-        success: true,
-        token: 'woocommerce-api-key', // Special token indicating API key auth
-        user_id: 1,
-        user_display_name: username,
-        message: 'Login successful (using WooCommerce API keys)',
-        auth_method: 'woocommerce_api_key'
-      });
-    }
-
-    // Try JWT authentication first
+    // Option 2: WordPress JWT authentication
     try {
         // JWT endpoints might not accept query parameters, try without secret token first
         let jwtUrl = `${WORDPRESS_URL}/wp-json/jwt-auth/v1/token`;
@@ -610,13 +1118,38 @@ app.post('/api/auth/login', async (req, res) => {
         }
       
       if (jwtResponse.data && jwtResponse.data.token) {
-        return res.json(jwtResponse.data);
+        const wpUser = jwtResponse.data;
+        let wpUserId = toWordPressUserId(wpUser.user_id ?? wpUser.data?.user?.id);
+        let wpRoles = wpUser.roles || wpUser.data?.user?.roles;
+        if (!wpUserId) {
+          try {
+            const me = await fetchWordPressUser(wpUser.token);
+            wpUserId = toWordPressUserId(me?.id);
+            wpRoles = wpRoles || me?.roles;
+          } catch (meError) {
+            console.error('WordPress user lookup failed:', meError.response?.status, meError.message);
+          }
+        }
+        if (!wpUserId) {
+          return res.status(502).json({
+            error: 'Could not determine the WordPress user ID',
+            message: 'The login was accepted by WordPress, but /wp-json/wp/v2/users/me did not return the user ID.',
+          });
+        }
+        // Keep the WordPress token so admin routes can still call WordPress on the user's behalf
+        return sendSession(res, {
+          id: wpUserId,
+          display_name: wpUser.user_display_name || username,
+          email: wpUser.user_email,
+          role: resolveWordPressRole(wpUserId, wpRoles),
+          auth_method: 'wordpress_jwt',
+        }, 'Login successful (WordPress JWT)', { wpt: wpUser.token });
       }
     } catch (jwtError) {
       console.log('JWT login failed, trying WordPress cookie auth:', jwtError.message);
       // Fall through to WordPress cookie auth
     }
-
+    
     // Fallback: Try WordPress REST API login (cookie-based)
     // First check if WordPress is accessible
     try {
@@ -640,26 +1173,20 @@ app.post('/api/auth/login', async (req, res) => {
             );
           
           if (wpResponse.data && wpResponse.data.success) {
-            const responseData = {
-              token: wpResponse.data.nonce || 'cookie-auth',
-              user_id: wpResponse.data.user_id,
-              user_display_name: wpResponse.data.user_display_name,
-              user_email: wpResponse.data.user_email,
-            };
-            // Store user info in response for cookie-auth tokens
-            if (responseData.token === 'cookie-auth') {
-              responseData.cookie_auth = true;
-              responseData.user_info = {
-                id: responseData.user_id,
-                display_name: responseData.user_display_name,
-                email: responseData.user_email,
-              };
+            const wpUserId = toWordPressUserId(wpResponse.data.user_id);
+            if (!wpUserId) {
+              return res.status(502).json({ error: 'Could not determine the WordPress user ID' });
             }
-            return res.json(responseData);
+            return sendSession(res, {
+              id: wpUserId,
+              display_name: wpResponse.data.user_display_name,
+              email: wpResponse.data.user_email,
+              role: resolveWordPressRole(wpUserId, wpResponse.data.roles || wpResponse.data.user_roles),
+              auth_method: 'wordpress_cookie',
+            }, 'Login successful (WordPress)');
           }
         } catch (wpError) {
           console.error('WordPress cookie auth failed:', wpError.response?.status, wpError.response?.data || wpError.message);
-          console.error('Full error:', wpError);
           
           // If the endpoint doesn't exist (404), return helpful error
           if (wpError.response?.status === 404) {
@@ -688,7 +1215,7 @@ app.post('/api/auth/login', async (req, res) => {
         details: wpCheckError.message,
       });
     }
-
+    
     // If both fail, return error
     return res.status(401).json({
       error: 'Invalid credentials or WordPress connection failed. Please check your username, password, and WordPress URL.',
@@ -707,358 +1234,211 @@ app.post('/api/auth/login', async (req, res) => {
 });
 
 /**
- * JWT Authentication - Validate
+ * Session Authentication - Validate
  * GET /api/auth/validate
- * Handles both JWT tokens and cookie-based auth (nonce)
+ * Verifies the session token signature, expiry and revocation locally
  */
-app.get('/api/auth/validate', async (req, res) => {
-  try {
-    const authHeader = req.headers.authorization;
-    
-    // Check for local admin token
-    if (authHeader && authHeader.startsWith('Bearer ') && authHeader.substring(7) === 'local-admin-token') {
-      console.log('Auth validate: Local admin token, returning valid');
-      return res.json({ 
-        valid: true, 
-        user_id: 1,
-        user_display_name: 'Administrator',
-        auth_method: 'local_admin'
-      });
-    }
-    
-    // If WooCommerce API keys are configured, authentication is handled server-side
-    // Return valid to allow frontend to proceed
-    const wooCommerceAuth = getWooCommerceAuth();
-    if (wooCommerceAuth) {
-      console.log('Auth validate: WooCommerce API keys configured, returning valid');
-      return res.json({ 
-        valid: true, 
-        user_id: 1,
-        user_display_name: 'Administrator',
-        auth_method: 'woocommerce_api_key'
-      });
-    }
-    
-    // If no auth header, check cookie-based auth via WordPress
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      // Try WordPress cookie-based validation
-      try {
-        const wpResponse = await axios.get(
-          addSecretToken(`${WORDPRESS_URL}/wp-json/design-tool/v1/auth/validate`),
-          {
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            withCredentials: true,
-          }
-        );
-        
-        if (wpResponse.data && wpResponse.data.valid) {
-          return res.json(wpResponse.data);
-        }
-      } catch (wpError) {
-        // WordPress validation failed, continue to JWT check
-      }
-      
-      return res.json({ valid: false });
+app.get('/api/auth/validate', (req, res) => {
+  const token = getBearerToken(req.headers.authorization);
+  const result = verifySession(token);
+  
+  if (!result.valid) {
+    return res.json({ valid: false, reason: result.reason });
+  }
+  
+  const session = result.payload;
+  const role = resolveSessionRole(session);
+  res.json({
+    valid: true,
+    user_id: session.sub,
+    user_display_name: session.name,
+    user_email: session.email,
+    role,
+    permissions: getCapabilities(role),
+    auth_method: session.auth_method,
+    expires_at: new Date(session.exp * 1000).toISOString(),
+  });
+});
+
+/**
+ * Session Authentication - Refresh
+ * POST /api/auth/refresh
+ * Exchanges a valid session token for a new one and revokes the old token
+ */
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const result = verifySession(getBearerToken(req.headers.authorization));
+    if (!result.valid) {
+      return res.status(401).json({ error: 'Invalid or expired session', reason: result.reason });
     }
     
-    // Try JWT validation
-    const token = authHeader.substring(7);
-    
-    // If token is 'cookie-auth' or nonce, use WordPress validation
-    if (token === 'cookie-auth' || token.length < 50) {
-      try {
-        const wpResponse = await axios.get(
-          addSecretToken(`${WORDPRESS_URL}/wp-json/design-tool/v1/auth/validate`),
-          {
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            withCredentials: true,
-          }
-        );
-        
-        if (wpResponse.data && wpResponse.data.valid) {
-          return res.json(wpResponse.data);
-        }
-      } catch (wpError) {
-        // WordPress validation failed
-      }
-      
-      return res.json({ valid: false });
-    }
+    const { sub, name, email, role, auth_method, iat, exp, jti, ...extraClaims } = result.payload;
+    await revokeSession(result.payload);
     
-    // Try JWT validation
-    try {
-      const response = await axios.post(
-        `${WORDPRESS_URL}/wp-json/jwt-auth/v1/token/validate`,
-        {},
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${token}`,
-          },
-        }
-      );
-      res.json(response.data);
-    } catch (jwtError) {
-      // JWT validation failed
-      console.log('JWT validation failed, trying WordPress cookie auth');
-      return res.json({ valid: false });
+    return sendSession(res, {
+      id: sub,
+      display_name: name,
+      email,
+      role: resolveSessionRole(result.payload),
+      auth_method,
+    }, 'Session refreshed', extraClaims);
+  } catch (error) {
+    console.error('Refresh session error:', error.message);
+    res.status(500).json({ error: 'Failed to refresh session', details: error.message });
+  }
+});
+
+/**
+ * Session Authentication - Logout
+ * POST /api/auth/logout
+ * Revokes the presented session token
+ */
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const result = verifySession(getBearerToken(req.headers.authorization));
+    if (result.valid) {
+      await revokeSession(result.payload);
     }
+    // Logging out an already invalid session is not an error
+    res.json({ success: true, message: 'Logged out' });
   } catch (error) {
-    console.error('Validate token error:', error.message);
-    res.json({ valid: false });
+    console.error('Logout error:', error.message);
+    res.status(500).json({ error: 'Failed to logout', details: error.message });
   }
 });
 
-// Admin Routes - require authentication
-const checkAdminAuth = async (req, res, next) => {
+// Admin and customer routes - require a valid session token
+const checkAdminAuth = (req, res, next) => {
+  const token = getBearerToken(req.headers.authorization);
+  if (!token) {
+    return res.status(401).json({ error: 'Unauthorized - Please login' });
+  }
+  
+  const result = verifySession(token);
+  if (!result.valid) {
+    console.log('checkAdminAuth: session rejected -', result.reason);
+    return res.status(401).json({ error: 'Invalid or expired session', reason: result.reason });
+  }
+  
+  const session = result.payload;
+  req.session = session;
+  req.user = {
+    id: session.sub,
+    display_name: session.name,
+    email: session.email,
+    role: resolveSessionRole(session),
+  };
+  
+  // Upstream credentials for WooCommerce/WordPress calls made on behalf of this admin
+  const wooCommerceAuth = getWooCommerceAuth();
+  if (wooCommerceAuth) {
+    req.wooCommerceAuth = wooCommerceAuth;
+  } else if (session.wpt) {
+    req.wooCommerceAuth = `Bearer ${session.wpt}`;
+  }
+  
+  next();
+};
+
+// Admin Routes - require a capability of the session's role (use after checkAdminAuth)
+const requirePermission = (capability) => (req, res, next) => {
+  if (!req.user || !hasPermission(req.user.role, capability)) {
+    return res.status(403).json({
+      error: 'Forbidden - missing permission',
+      required: capability,
+      role: req.user?.role || null,
+    });
+  }
+  next();
+};
+
+// Customer Designs - allow the design's owner, or panel users with the capability
+// (use after checkAdminAuth; the owner is :userId, userId in the request body or ?user_id=)
+const requireDesignOwner = (capability) => (req, res, next) => {
+  const ownerId = req.params.userId ?? req.body?.userId ?? req.query.user_id;
+  if (ownerId !== undefined && String(ownerId) === String(req.user.id)) {
+    return next();
+  }
+  if (hasPermission(req.user.role, capability)) {
+    return next();
+  }
+  return res.status(403).json({ error: 'Forbidden - this design belongs to another customer' });
+};
+
+// Customer Designs - preview images also accept a signed, expiring URL instead of a session
+const checkPreviewAccess = (req, res, next) => {
+  if (req.query.signature) {
+    if (verifyPathSignature(req.path, req.query.expires, req.query.signature)) {
+      return next();
+    }
+    return res.status(403).json({ error: 'Invalid or expired preview link' });
+  }
+  checkAdminAuth(req, res, () => requireDesignOwner('customer_designs:read')(req, res, next));
+};
+
+// Lifetime of shared preview links (seconds)
+const PREVIEW_LINK_DEFAULT_TTL = 7 * 24 * 60 * 60;
+const PREVIEW_LINK_MAX_TTL = 30 * 24 * 60 * 60;
+
+// Admin - Get system stats
+app.get('/api/admin/stats', checkAdminAuth, requirePermission('stats:read'), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    // Forward cookies from browser request to WordPress
-    const cookieHeader = req.headers.cookie || '';
-    
-    console.log('checkAdminAuth - Auth header:', authHeader ? 'Present' : 'Missing');
-    console.log('checkAdminAuth - Cookie header:', cookieHeader ? 'Present' : 'Missing');
-    console.log('checkAdminAuth - Token:', authHeader ? authHeader.substring(0, 20) + '...' : 'None');
-    
-    // Check for local admin token first
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.substring(7);
-      if (token === 'local-admin-token') {
-        console.log('checkAdminAuth: Local admin token accepted');
-        req.user = { id: 1, role: 'administrator' };
-        return next();
+    // Get products count from local storage (design tool products)
+    let totalProducts = 0;
+    try {
+      if (existsSync(PRODUCTS_DB)) {
+        const products = await fs.readJson(PRODUCTS_DB);
+        totalProducts = products.length;
       }
+    } catch (e) {
+      console.error('Failed to read products for stats:', e);
     }
     
-    // If WooCommerce API keys are configured, use them for admin requests
-    const wooCommerceAuth = getWooCommerceAuth();
-    if (wooCommerceAuth) {
-      console.log('Using WooCommerce API key authentication (bypassing JWT validation)');
-      req.wooCommerceAuth = wooCommerceAuth;
-      req.user = { id: 1, role: 'administrator' }; // Trust API key as admin
-      return next();
+    // Get orders count from local storage
+    let totalOrders = 0;
+    try {
+      if (existsSync(ORDERS_DIR)) {
+        const orderFiles = await fs.readdir(ORDERS_DIR);
+        totalOrders = orderFiles.filter(f => f.endsWith('.json')).length;
+      }
+    } catch (e) {
+      console.error('Failed to read orders for stats:', e);
     }
     
-    // If no auth header, try cookie-based auth
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      // Try WordPress cookie-based validation
-      try {
-        const wpResponse = await axios.get(
-          addSecretToken(`${WORDPRESS_URL}/wp-json/design-tool/v1/auth/validate`),
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              ...(cookieHeader && { 'Cookie': cookieHeader }),
-            },
-            withCredentials: true,
-          }
-        );
-        
-        if (wpResponse.data && wpResponse.data.valid && wpResponse.data.user_id) {
-          // Check if user is admin (you can get user details from WordPress)
-          req.user = { id: wpResponse.data.user_id };
-          return next();
-        }
-      } catch (wpError) {
-        console.log('Cookie auth failed (no header):', wpError.response?.status, wpError.response?.data || wpError.message);
+    // Get links count
+    let totalLinks = 0;
+    try {
+      if (existsSync(LINKS_DB)) {
+        const links = await fs.readJson(LINKS_DB);
+        totalLinks = links.length;
       }
-      
-      return res.status(401).json({ error: 'Unauthorized - Please login' });
+    } catch (e) {
+      console.error('Failed to read links for stats:', e);
     }
     
-    // Validate JWT token or cookie-based token
-    const token = authHeader.substring(7);
+    // Personalisation link usage over the last 30 days
+    const statsFrom = new Date(Date.now() - 29 * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+    const linkActivity = { from: statsFrom, ...aggregateLinkEvents({ from: statsFrom }).totals };
     
-    // If token is 'cookie-auth', trust it (it was issued during successful login)
-    // We can't re-validate with WordPress because cookies are domain-specific
-    if (token === 'cookie-auth') {
-      // Trust cookie-auth token - it was issued after successful WordPress login
-      // For cookie-auth, we trust the login was successful
-      // In a real app, you might want to store session info in Redis/database
-      req.user = { id: 1, role: 'administrator' }; // Trust as admin since login succeeded
-      console.log('Accepted cookie-auth token (trusted from successful login)');
-      return next();
-    }
-    
-    // If token is very short (nonce), try WordPress validation
-    if (token.length < 50 && token !== 'cookie-auth') {
-      try {
-        const wpResponse = await axios.get(
-          addSecretToken(`${WORDPRESS_URL}/wp-json/design-tool/v1/auth/validate`),
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              ...(cookieHeader && { 'Cookie': cookieHeader }),
-            },
-            withCredentials: true,
-          }
-        );
-        
-        if (wpResponse.data && wpResponse.data.valid && wpResponse.data.user_id) {
-          req.user = { id: wpResponse.data.user_id };
-          return next();
-        }
-      } catch (wpError) {
-        console.log('Nonce validation failed:', wpError.response?.status, wpError.response?.data || wpError.message);
-      }
-      
-      return res.status(401).json({ error: 'Invalid authentication' });
-    }
-    
-    // Try JWT validation
-    try {
-      console.log('Attempting JWT validation with WordPress...');
-      // JWT endpoints might not accept query parameters, try without secret token first
-      let validateUrl = `${WORDPRESS_URL}/wp-json/jwt-auth/v1/token/validate`;
-      let validateResponse;
-      
-      try {
-        // First try without secret token (JWT endpoints typically don't need it)
-        validateResponse = await axios.post(
-          validateUrl,
-          {},
-          {
-            headers: {
-              'Authorization': `Bearer ${token}`,
-              'Content-Type': 'application/json',
-            },
-          }
-        );
-      } catch (firstError) {
-        // If that fails with 404 or 403, try with secret token
-        if (firstError.response?.status === 404 || firstError.response?.status === 403) {
-          console.log('JWT validation without token failed, trying with secret token...');
-          validateUrl = addSecretToken(validateUrl);
-          validateResponse = await axios.post(
-            validateUrl,
-            {},
-            {
-              headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json',
-              },
-            }
-          );
-        } else {
-          throw firstError;
-        }
-      }
-      
-      console.log('JWT validation response status:', validateResponse.status);
-      console.log('JWT validation response data:', JSON.stringify(validateResponse.data).substring(0, 200));
-      
-      if (validateResponse.data && validateResponse.data.data && validateResponse.data.data.user) {
-        const user = validateResponse.data.data.user;
-        req.user = user;
-        console.log('JWT validation successful for user:', user.id);
-        return next();
-      }
-      
-      // Also check alternative JWT response format
-      if (validateResponse.data && validateResponse.data.data && validateResponse.data.data.status === 200) {
-        const user = validateResponse.data.data;
-        req.user = { id: user.id || 1 };
-        console.log('JWT validation successful (alternative format)');
-        return next();
-      }
-    } catch (jwtError) {
-      console.log('JWT validation failed:', jwtError.response?.status, jwtError.response?.data || jwtError.message);
-      console.log('JWT error details:', {
-        status: jwtError.response?.status,
-        statusText: jwtError.response?.statusText,
-        data: jwtError.response?.data,
-        message: jwtError.message
-      });
-      
-      // JWT validation failed, try cookie auth as fallback
-      try {
-        console.log('Trying cookie fallback...');
-        const wpResponse = await axios.get(
-          addSecretToken(`${WORDPRESS_URL}/wp-json/design-tool/v1/auth/validate`),
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              ...(cookieHeader && { 'Cookie': cookieHeader }),
-            },
-            withCredentials: true,
-          }
-        );
-        
-        if (wpResponse.data && wpResponse.data.valid && wpResponse.data.user_id) {
-          req.user = { id: wpResponse.data.user_id };
-          console.log('Cookie fallback successful');
-          return next();
-        }
-      } catch (wpError) {
-        console.log('Cookie fallback also failed:', wpError.response?.status, wpError.response?.data || wpError.message);
-      }
-    }
-    
-    console.log('All authentication methods failed');
-    res.status(401).json({ error: 'Invalid token or authentication failed' });
-  } catch (error) {
-    console.error('Admin auth error:', error.message);
-    res.status(401).json({ error: 'Authentication error' });
-  }
-};
-
-// Admin - Get system stats
-app.get('/api/admin/stats', checkAdminAuth, async (req, res) => {
-  try {
-    // Get products count from local storage (design tool products)
-    let totalProducts = 0;
-    try {
-      if (existsSync(PRODUCTS_DB)) {
-        const products = await fs.readJson(PRODUCTS_DB);
-        totalProducts = products.length;
-      }
-    } catch (e) {
-      console.error('Failed to read products for stats:', e);
-    }
-    
-    // Get orders count from local storage
-    let totalOrders = 0;
-    try {
-      if (existsSync(ORDERS_DIR)) {
-        const orderFiles = await fs.readdir(ORDERS_DIR);
-        totalOrders = orderFiles.filter(f => f.endsWith('.json')).length;
-      }
-    } catch (e) {
-      console.error('Failed to read orders for stats:', e);
-    }
-    
-    // Get links count
-    let totalLinks = 0;
-    try {
-      if (existsSync(LINKS_DB)) {
-        const links = await fs.readJson(LINKS_DB);
-        totalLinks = links.length;
-      }
-    } catch (e) {
-      console.error('Failed to read links for stats:', e);
-    }
-    
-    // Test WordPress API connection (optional - don't fail if it doesn't work)
-    let apiStatus = 'disconnected';
-    try {
-      const apiTest = await axios.get(addSecretToken(`${WORDPRESS_URL}/wp-json/design-tool/v1/`), {
-        timeout: 3000,
-      });
-      apiStatus = 'connected';
-    } catch (e) {
-      // WordPress not available - that's okay for standalone mode
-      apiStatus = 'disconnected';
+    // Test WordPress API connection (optional - don't fail if it doesn't work)
+    let apiStatus = 'disconnected';
+    try {
+      const apiTest = await axios.get(addSecretToken(`${WORDPRESS_URL}/wp-json/design-tool/v1/`), {
+        timeout: 3000,
+      });
+      apiStatus = 'connected';
+    } catch (e) {
+      // WordPress not available - that's okay for standalone mode
+      apiStatus = 'disconnected';
     }
     
     res.json({
       totalProducts: totalProducts,
       totalOrders: totalOrders,
       totalLinks: totalLinks,
-      activeDesigns: 0, // Can be implemented later
+      // Designs saved through links in the last 30 days
+      activeDesigns: linkActivity.saves,
+      linkActivity,
       totalUsers: 0, // Can be implemented later
       apiStatus,
       wordpressUrl: WORDPRESS_URL,
@@ -1083,26 +1463,49 @@ app.get('/api/admin/stats', checkAdminAuth, async (req, res) => {
 });
 
 // Admin - Get configuration
-app.get('/api/admin/config', checkAdminAuth, async (req, res) => {
+app.get('/api/admin/config', checkAdminAuth, requirePermission('settings:read'), async (req, res) => {
+  const settings = getSettings();
   res.json({
     config: {
-      wordpressUrl: WORDPRESS_URL,
-      apiEndpoint: '/wp-json/design-tool/v1',
+      wordpressUrl: settings.wordpressUrl,
+      apiEndpoint: settings.apiEndpoint,
       jwtEnabled: true,
-      jwtSecret: process.env.JWT_SECRET_KEY || '',
+      // Never expose the session signing secret, only whether it is set
+      jwtSecretConfigured: Boolean(process.env.JWT_SECRET_KEY),
     },
   });
 });
 
 // Admin - Save configuration
-app.post('/api/admin/config', checkAdminAuth, async (req, res) => {
-  // In production, save to .env or config file
-  // For now, just return success
-  res.json({ success: true, message: 'Configuration saved' });
+app.post('/api/admin/config', checkAdminAuth, requirePermission('settings:write'), async (req, res) => {
+  try {
+    // Only the WordPress connection is editable here; secrets stay in .env
+    const { wordpressUrl, apiEndpoint } = req.body;
+    const changes = {};
+    if (wordpressUrl !== undefined) changes.wordpressUrl = wordpressUrl;
+    if (apiEndpoint !== undefined) changes.apiEndpoint = apiEndpoint;
+    
+    const settings = await updateSettings(changes, req.user.id);
+    res.json({
+      success: true,
+      message: 'Configuration saved',
+      config: {
+        wordpressUrl: settings.wordpressUrl,
+        apiEndpoint: settings.apiEndpoint,
+      },
+      ...getSettingsVersion(),
+    });
+  } catch (error) {
+    if (error instanceof SettingsValidationError) {
+      return res.status(400).json({ error: 'Invalid configuration', errors: error.errors });
+    }
+    console.error('Failed to save configuration:', error);
+    res.status(500).json({ error: 'Failed to save configuration', details: error.message });
+  }
 });
 
 // Admin - Test WordPress connection
-app.post('/api/admin/test-connection', checkAdminAuth, async (req, res) => {
+app.post('/api/admin/test-connection', checkAdminAuth, requirePermission('settings:write'), async (req, res) => {
   try {
     const { wordpressUrl } = req.body;
     const testUrl = wordpressUrl || WORDPRESS_URL;
@@ -1151,27 +1554,52 @@ app.post('/api/admin/test-connection', checkAdminAuth, async (req, res) => {
 // Product routes are now handled by productRoutes.js (imported above)
 
 // Admin - Get system settings
-app.get('/api/admin/system-settings', checkAdminAuth, async (req, res) => {
+app.get('/api/admin/system-settings', checkAdminAuth, requirePermission('settings:read'), async (req, res) => {
   res.json({
     settings: {
-      backendPort: process.env.BACKEND_PORT || 5000,
+      backendPort: PORT,
       reactPort: 3000,
-      enableCors: true,
-      logLevel: 'info',
-      maxUploadSize: 10,
-      sessionTimeout: 3600,
+      ...getSettings(),
     },
+    ...getSettingsVersion(),
   });
 });
 
 // Admin - Save system settings
-app.post('/api/admin/system-settings', checkAdminAuth, async (req, res) => {
-  // In production, save to config file
-  res.json({ success: true, message: 'Settings saved' });
+app.post('/api/admin/system-settings', checkAdminAuth, requirePermission('settings:write'), async (req, res) => {
+  try {
+    const settings = await updateSettings(req.body, req.user.id);
+    res.json({ success: true, message: 'Settings saved', settings, ...getSettingsVersion() });
+  } catch (error) {
+    if (error instanceof SettingsValidationError) {
+      return res.status(400).json({ error: 'Invalid settings', errors: error.errors });
+    }
+    console.error('Failed to save settings:', error);
+    res.status(500).json({ error: 'Failed to save settings', details: error.message });
+  }
+});
+
+// Admin - Get system settings version history
+app.get('/api/admin/system-settings/history', checkAdminAuth, requirePermission('settings:read'), async (req, res) => {
+  res.json({ current: getSettingsVersion(), history: getSettingsHistory() });
+});
+
+// Admin - Restore an earlier settings version
+app.post('/api/admin/system-settings/restore/:version', checkAdminAuth, requirePermission('settings:write'), async (req, res) => {
+  try {
+    const settings = await restoreSettings(req.params.version, req.user.id);
+    if (!settings) {
+      return res.status(404).json({ error: 'Settings version not found' });
+    }
+    res.json({ success: true, message: `Settings restored from version ${req.params.version}`, settings, ...getSettingsVersion() });
+  } catch (error) {
+    console.error('Failed to restore settings:', error);
+    res.status(500).json({ error: 'Failed to restore settings', details: error.message });
+  }
 });
 
 // Admin - Get users
-app.get('/api/admin/users', checkAdminAuth, async (req, res) => {
+app.get('/api/admin/users', checkAdminAuth, requirePermission('users:read'), async (req, res) => {
   try {
     // WordPress REST API doesn't accept WooCommerce API keys
     // We need to use Application Password or JWT token for WordPress REST API
@@ -1222,6 +1650,7 @@ app.get('/api/admin/users', checkAdminAuth, async (req, res) => {
         username: user.name || user.slug || `user_${user.id}`,
         email: user.email || '',
         role: user.roles?.[0] || 'subscriber',
+        panel_role: getAssignedRole(user.id),
         designCount: 0, // You can implement this
         status: 'active',
       }));
@@ -1264,7 +1693,7 @@ app.get('/api/admin/users', checkAdminAuth, async (req, res) => {
 });
 
 // Admin - Create admin user
-app.post('/api/admin/users', checkAdminAuth, async (req, res) => {
+app.post('/api/admin/users', checkAdminAuth, requirePermission('users:manage'), async (req, res) => {
   try {
     const { username, email, password, firstName, lastName } = req.body;
     const authHeader = req.wooCommerceAuth || req.headers.authorization;
@@ -1295,8 +1724,58 @@ app.post('/api/admin/users', checkAdminAuth, async (req, res) => {
   }
 });
 
+// Admin - List panel roles and their capabilities
+app.get('/api/admin/roles', checkAdminAuth, requirePermission('users:read'), (req, res) => {
+  const roles = Object.entries(ROLES).map(([id, role]) => ({
+    id,
+    label: role.label,
+    capabilities: role.capabilities,
+  }));
+  res.json({ roles, assignments: listAssignments(), defaultRole: DEFAULT_PANEL_ROLE });
+});
+
+// Admin - Assign a panel role to a user
+app.put('/api/admin/users/:id/role', checkAdminAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { role } = req.body;
+    
+    if (!isValidRole(role)) {
+      return res.status(400).json({
+        error: 'Invalid role',
+        allowed: Object.keys(ROLES),
+      });
+    }
+    
+    // Prevent admins from locking themselves out of role management
+    if (String(req.user.id) === String(userId) && !hasPermission(role, 'users:manage')) {
+      return res.status(400).json({ error: 'You cannot remove your own user management permission' });
+    }
+    
+    const assignment = await assignRole(userId, role, req.user.id);
+    res.json({ success: true, assignment });
+  } catch (error) {
+    console.error('Failed to assign role:', error);
+    res.status(500).json({ error: 'Failed to assign role', details: error.message });
+  }
+});
+
+// Admin - Remove a user's panel role (falls back to the default role)
+app.delete('/api/admin/users/:id/role', checkAdminAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const removed = await removeRole(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'No role assigned to this user' });
+    }
+    res.json({ success: true, message: 'Role assignment removed', defaultRole: DEFAULT_PANEL_ROLE });
+  } catch (error) {
+    console.error('Failed to remove role:', error);
+    res.status(500).json({ error: 'Failed to remove role', details: error.message });
+  }
+});
+
 // Orders - Get all orders with design data
-app.get('/api/admin/orders', checkAdminAuth, async (req, res) => {
+app.get('/api/admin/orders', checkAdminAuth, requirePermission('orders:read'), async (req, res) => {
   try {
     const authHeader = req.wooCommerceAuth || req.headers.authorization;
     const response = await axios.get(
@@ -1329,7 +1808,7 @@ app.get('/api/admin/orders', checkAdminAuth, async (req, res) => {
 });
 
 // Orders - Get order details with design data
-app.get('/api/admin/orders/:id', checkAdminAuth, async (req, res) => {
+app.get('/api/admin/orders/:id', checkAdminAuth, requirePermission('orders:read'), async (req, res) => {
   try {
     const orderId = req.params.id;
     const authHeader = req.wooCommerceAuth || req.headers.authorization;
@@ -1374,77 +1853,18 @@ app.get('/api/admin/orders/:id', checkAdminAuth, async (req, res) => {
   }
 });
 
-// Orders - Download design ZIP for order
-app.get('/api/admin/orders/:id/download', checkAdminAuth, async (req, res) => {
+// Orders - Download design ZIP for order (built synchronously)
+app.get('/api/admin/orders/:id/download', checkAdminAuth, requirePermission('orders:read'), async (req, res) => {
   try {
     const orderId = req.params.id;
     const authHeader = req.wooCommerceAuth || req.headers.authorization;
     
-    // Get order details
-    const orderResponse = await axios.get(
-      addSecretToken(`${WORDPRESS_URL}/wp-json/wc/v3/orders/${orderId}`),
-      {
-        headers: {
-          'Authorization': authHeader,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
-    
-    const order = orderResponse.data;
-    const orderDir = join(ORDERS_DIR, orderId.toString());
-    
-    // Ensure order directory exists
-    if (!existsSync(orderDir)) {
-      mkdirSync(orderDir, { recursive: true });
-    }
-    
-    // Create ZIP file
-    const zipPath = join(orderDir, `order-${orderId}-designs.zip`);
-    const output = fs.createWriteStream(zipPath);
-    const archive = archiver('zip', { zlib: { level: 9 } });
-    
-    output.on('close', () => {
-      console.log(`ZIP file created: ${zipPath} (${archive.pointer()} bytes)`);
-    });
-    
-    archive.on('error', (err) => {
-      throw err;
-    });
-    
-    archive.pipe(output);
-    
-    // Add design files from order items
-    for (const item of order.line_items) {
-      const designId = item.meta_data.find(m => m.key === '_design_id')?.value;
-      const designName = item.meta_data.find(m => m.key === '_design_name')?.value || `design-${item.id}`;
-      
-      if (designId) {
-        // Try to find design files in order directory
-        const safeName = designName.replace(/[^a-z0-9]/gi, '_').toLowerCase();
-        const pngPath = join(orderDir, `${safeName}-300dpi.png`);
-        
-        if (existsSync(pngPath)) {
-          archive.file(pngPath, { name: `${safeName}-300dpi.png` });
-        }
-        
-        // Add design data JSON if available
-        const designData = item.meta_data.find(m => m.key === '_design_data')?.value;
-        if (designData) {
-          const designDataPath = join(orderDir, `${safeName}-data.json`);
-          fs.writeFileSync(designDataPath, designData);
-          archive.file(designDataPath, { name: `${safeName}-data.json` });
-        }
-      }
-    }
-    
-    await archive.finalize();
-    
-    // Wait for file to be written
-    await new Promise((resolve) => output.on('close', resolve));
+    const order = await fetchWooOrder(orderId, authHeader);
+    const result = await exportOrderPackage(order);
+    console.log(`ZIP file created: ${result.zipPath} (${result.size} bytes)`);
     
     // Send ZIP file
-    res.download(zipPath, `order-${orderId}-designs.zip`, (err) => {
+    res.download(result.zipPath, result.filename, (err) => {
       if (err) {
         console.error('Error sending ZIP file:', err);
       }
@@ -1455,121 +1875,447 @@ app.get('/api/admin/orders/:id/download', checkAdminAuth, async (req, res) => {
   }
 });
 
-// Images - Upload image (stores permanently)
-app.post('/api/images/upload', multer({ 
-  dest: IMAGES_DIR,
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB
-}).single('image'), async (req, res) => {
+// Orders - Queue a background export of the order ZIP
+// POST /api/admin/orders/:id/export
+app.post('/api/admin/orders/:id/export', checkAdminAuth, requirePermission('orders:read'), async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+    const orderId = req.params.id;
+    if (!/^\d+$/.test(orderId)) {
+      return res.status(400).json({ error: 'Invalid order ID' });
     }
     
-    // Generate unique filename
-    const timestamp = Date.now();
-    const originalName = req.file.originalname;
-    const ext = originalName.split('.').pop();
-    const filename = `${timestamp}-${Math.random().toString(36).substring(7)}.${ext}`;
-    const filepath = join(IMAGES_DIR, filename);
-    
-    // Move file to permanent location
-    await fs.move(req.file.path, filepath);
-    
-    // Return URL (relative to backend)
-    const imageUrl = `/api/images/${filename}`;
+    const job = await orderExportQueue.enqueue('order-export', { orderId, requested_by: req.user.id }, {
+      // Only one pending export per order
+      dedupeKey: `order-${orderId}`,
+      context: { authHeader: req.wooCommerceAuth || req.headers.authorization },
+    });
     
-    res.json({ 
-      success: true, 
-      url: imageUrl,
-      filename: filename,
-      path: filepath
+    res.status(202).json({
+      success: true,
+      job,
+      status_url: `/api/admin/jobs/${job.id}`,
     });
   } catch (error) {
-    console.error('Image upload error:', error);
-    res.status(500).json({ error: 'Failed to upload image', details: error.message });
+    console.error('Failed to queue export:', error);
+    res.status(500).json({ error: 'Failed to queue export', details: error.message });
   }
 });
 
-// Images - Serve uploaded images
-app.get('/api/images/:filename', (req, res) => {
+// Jobs - List background jobs
+// GET /api/admin/jobs?status=queued|running|completed|failed
+app.get('/api/admin/jobs', checkAdminAuth, requirePermission('orders:read'), (req, res) => {
+  const jobs = orderExportQueue.list({ status: req.query.status });
+  res.json({ jobs, ...orderExportQueue.stats() });
+});
+
+// Jobs - Get job status
+app.get('/api/admin/jobs/:jobId', checkAdminAuth, requirePermission('orders:read'), (req, res) => {
+  const job = orderExportQueue.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.json({
+    job,
+    download_url: job.status === 'completed' ? `/api/admin/jobs/${job.id}/download` : null,
+  });
+});
+
+// Webhooks - Recent WooCommerce deliveries (idempotency log)
+app.get('/api/admin/webhooks/deliveries', checkAdminAuth, requirePermission('orders:read'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  res.json({ deliveries: listDeliveries(limit) });
+});
+
+// Jobs - Retry a failed job
+app.post('/api/admin/jobs/:jobId/retry', checkAdminAuth, requirePermission('orders:read'), async (req, res) => {
   try {
-    const filename = req.params.filename;
-    const filepath = join(IMAGES_DIR, filename);
-    
-    if (!existsSync(filepath)) {
-      return res.status(404).json({ error: 'Image not found' });
+    const job = await orderExportQueue.retry(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Failed job not found' });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Failed to retry job:', error);
+    res.status(500).json({ error: 'Failed to retry job', details: error.message });
+  }
+});
+
+// Jobs - Download the artefact of a completed export
+app.get('/api/admin/jobs/:jobId/download', checkAdminAuth, requirePermission('orders:read'), (req, res) => {
+  const job = orderExportQueue.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.status !== 'completed') {
+    return res.status(409).json({ error: 'Export is not finished', status: job.status });
+  }
+  
+  const zipPath = join(ORDERS_DIR, String(job.payload.orderId), job.result.filename);
+  if (!existsSync(zipPath)) {
+    return res.status(410).json({ error: 'Export file no longer exists, queue a new export' });
+  }
+  
+  res.download(zipPath, job.result.filename, (err) => {
+    if (err) {
+      console.error('Error sending ZIP file:', err);
+    }
+  });
+});
+
+// Admin - Render design JSON to PNG (e.g. _design_data from an order)
+// POST /api/admin/render  { designData, dpi }
+app.post('/api/admin/render', checkAdminAuth, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const { designData, dpi } = req.body;
+    if (!designData) {
+      return res.status(400).json({ error: 'designData is required' });
     }
     
-    res.sendFile(filepath);
+    const png = await renderDesignPng(designData, {
+      dpi: dpi || RENDER_DPI,
+      ...(await getAssetDirs()),
+    });
+    
+    res.set('Content-Type', 'image/png');
+    res.set('X-Render-Size', `${png.width}x${png.height}`);
+    res.set('X-Render-Dpi', String(png.dpi));
+    if (png.warnings.length > 0) {
+      res.set('X-Render-Warnings', String(png.warnings.length));
+    }
+    res.send(png.buffer);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to serve image' });
+    console.error('Render error:', error.message);
+    res.status(400).json({ error: 'Failed to render design', details: error.message });
+  }
+});
+
+// Products - Local product by product code or id
+const findLocalProduct = async (productCode) => {
+  if (!productCode || !existsSync(PRODUCTS_DB)) return null;
+  const products = await fs.readJson(PRODUCTS_DB);
+  return products.find(p => p.productCode === productCode || p.id === productCode) || null;
+};
+
+// Print size for the DPI check: explicit widthMm/heightMm, or the print area of a local product
+const getPrintSize = async ({ widthMm, heightMm, productCode }) => {
+  if (widthMm || heightMm) {
+    return { widthMm: parseFloat(widthMm) || null, heightMm: parseFloat(heightMm) || null };
   }
+  
+  const product = await findLocalProduct(productCode);
+  const printArea = product?.settings?.printArea || product?.printArea;
+  if (!printArea) return null;
+  return {
+    widthMm: printArea.width ? lengthToMm(printArea.width, printArea.unit) : null,
+    heightMm: printArea.height ? lengthToMm(printArea.height, printArea.unit) : null,
+  };
+};
+
+// Image sidecar metadata with URLs and the print resolution check
+const formatImageInfo = (metadata, printSize) => ({
+  ...metadata,
+  url: `/api/images/${metadata.filename}`,
+  thumbnails: Object.fromEntries(Object.entries(metadata.thumbnails || {}).map(([size, thumb]) => [
+    size,
+    { ...thumb, url: `/api/images/thumbs/${thumb.filename}` },
+  ])),
+  print: checkPrintResolution(metadata, printSize, { minDpi: PRINT_MIN_DPI, recommendedDpi: RENDER_DPI }),
 });
 
-// Designs - Get customer designs (only their own)
-app.get('/api/designs', async (req, res) => {
+// Images - Upload image (standalone storage mode, stores permanently)
+// The upload is kept in originals/; the normalised master, thumbnails and a
+// metadata sidecar are generated from it. Optional fields widthMm/heightMm
+// or productCode add a print resolution check to the response.
+const uploadStoredImage = async (req, res) => {
+  let original = null;
   try {
-    const userId = req.query.user_id;
-    if (!userId) {
-      return res.status(400).json({ error: 'User ID required' });
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
     }
     
-    // Get designs from WordPress REST API (filtered by user)
-    const response = await axios.get(
-      addSecretToken(`${WORDPRESS_URL}/wp-json/design-tool/v1/designs?user_id=${userId}`),
-      {
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      }
-    );
+    // Generate unique filename; the extension comes from the file contents
+    const timestamp = Date.now();
+    original = await imageStorage.scope(ORIGINALS_DIR).saveUpload(req.file.path, `${timestamp}-${Math.random().toString(36).substring(7)}`);
+    const metadata = await processStoredImage(imageStorage, original.filename);
+    const image = formatImageInfo(metadata, await getPrintSize(req.body));
     
-    res.json({ designs: response.data });
+    // Return URL (relative to backend)
+    res.json({ 
+      success: true, 
+      url: image.url,
+      filename: image.filename,
+      path: imageStorage.localPath(image.filename) || imageStorage.key(image.filename),
+      image,
+    });
+  } catch (error) {
+    // Files that cannot be processed are not kept
+    if (original) {
+      await imageStorage.scope(ORIGINALS_DIR).remove(original.filename).catch(() => {});
+    }
+    sendStorageError(res, error, 'Failed to upload image');
+  }
+};
+
+// Images - Serve thumbnails
+app.get('/api/images/thumbs/:filename', async (req, res) => {
+  try {
+    await imageStorage.scope(THUMBS_DIR).send(res, req.params.filename);
   } catch (error) {
-    console.error('Failed to get designs:', error.response?.data || error.message);
-    res.status(500).json({ error: 'Failed to get designs', details: error.message });
+    sendStorageError(res, error, 'Failed to serve thumbnail');
   }
 });
 
-// Customer Designs - Save customer design to uploads/customer-designs folder
-// POST /api/customer-designs/save
-app.post('/api/customer-designs/save', async (req, res) => {
+// Images - Background removal jobs queued per user within the last hour (timestamps, oldest first)
+const BG_REMOVAL_WINDOW_MS = 60 * 60 * 1000;
+const bgRemovalRequests = new Map();
+
+// Returns the seconds until the user may queue the next job, or 0 and counts the job
+const takeBackgroundRemovalSlot = (userId) => {
+  const current = Date.now();
+  const recent = (bgRemovalRequests.get(userId) || []).filter(at => at > current - BG_REMOVAL_WINDOW_MS);
+  if (recent.length >= BG_REMOVAL_RATE_LIMIT) {
+    bgRemovalRequests.set(userId, recent);
+    return Math.ceil((recent[0] + BG_REMOVAL_WINDOW_MS - current) / 1000);
+  }
+  recent.push(current);
+  bgRemovalRequests.set(userId, recent);
+  return 0;
+};
+
+// Images - Remove the background; the transparent PNG is stored next to the image
+// POST /api/images/:filename/remove-background
+// Requires a session. Returns the cached variant if it exists, otherwise queues the job (202);
+// each user may queue BG_REMOVAL_RATE_LIMIT jobs per hour (429 with Retry-After beyond that)
+app.post('/api/images/:filename/remove-background', checkAdminAuth, async (req, res) => {
   try {
-    const { userId, designId, designData, previewImage, orderId, productId } = req.body;
+    const { filename } = req.params;
+    if (!(await imageStorage.exists(filename)) || !(await imageStorage.sniff(filename))) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
     
-    if (!userId || !designId || !designData) {
-      return res.status(400).json({ 
-        error: 'Missing required fields', 
-        required: ['userId', 'designId', 'designData'] 
+    const variant = backgroundRemovedName(filename);
+    if (await imageStorage.exists(variant)) {
+      return res.json({
+        success: true,
+        cached: true,
+        status: 'completed',
+        filename: variant,
+        url: `/api/images/${variant}`,
       });
     }
     
-    // Create customer-specific directory: uploads/customer-designs/{userId}/{designId}/
-    const customerDir = join(CUSTOMER_DESIGNS_DIR, userId.toString());
-    const designDir = join(customerDir, designId);
-    
-    // Ensure directories exist
-    if (!existsSync(designDir)) {
-      mkdirSync(designDir, { recursive: true });
-      console.log(`Created customer design directory: ${designDir}`);
+    const retryAfter = takeBackgroundRemovalSlot(String(req.user.id));
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many background removals, please try again later', retry_after: retryAfter });
     }
     
+    // Repeated calls while the job is pending get the same job
+    const job = await imageQueue.enqueue('remove-background', { filename, model: BG_REMOVAL_MODEL }, {
+      dedupeKey: `remove-background:${filename}`,
+    });
+    
+    res.status(202).json({
+      success: true,
+      cached: false,
+      status: job.status,
+      job_id: job.id,
+      status_url: `/api/images/jobs/${job.id}`,
+    });
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to queue background removal');
+  }
+});
+
+// Images - Status of a queued image job
+// GET /api/images/jobs/:jobId
+app.get('/api/images/jobs/:jobId', (req, res) => {
+  const job = imageQueue.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.json({
+    success: true,
+    job: {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      attempts: job.attempts,
+      result: job.result,
+      error: job.error,
+      created_at: job.created_at,
+      finished_at: job.finished_at,
+    },
+  });
+});
+
+// Images - Pixel size, colour mode, DPI and thumbnails of an uploaded image
+// GET /api/images/:filename/info?widthMm=&heightMm=  or  ?productCode=
+app.get('/api/images/:filename/info', async (req, res) => {
+  try {
+    const metadata = await getImageMetadata(imageStorage, req.params.filename);
+    if (!metadata) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    
+    res.json({ success: true, image: formatImageInfo(metadata, await getPrintSize(req.query)) });
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to get image info');
+  }
+});
+
+// Images - Serve uploaded images
+app.get('/api/images/:filename', async (req, res) => {
+  try {
+    await imageStorage.send(res, req.params.filename);
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to serve image');
+  }
+});
+
+// Customer Designs - Thumbnail URLs, versioned by the content hash recorded when the design was saved
+const customerDesignThumbnailUrls = (userId, designId, contentHash) => designThumbnailUrls(
+  `/api/customer-designs/${encodeURIComponent(userId)}/${encodeURIComponent(designId)}/thumbnails`,
+  contentHash || null,
+);
+
+// Thumbnails - Render in the background after a save; requests for them wait for the same render
+const refreshThumbnails = (thumbStore, designData, label) => {
+  getAssetDirs()
+    .then(dirs => getDesignThumbnails(thumbStore, designData, dirs))
+    .catch(error => console.error(`Failed to generate thumbnails for ${label}:`, error.message));
+};
+
+// Customer Designs - Metadata of all designs saved by a customer, newest first
+const listCustomerDesigns = async (userId) => {
+  const customerStore = customerDesignStorage.scope(userId);
+  
+  // List all design folders
+  const { folders: designIds } = await customerStore.list();
+  const designs = [];
+  
+  for (const designId of designIds) {
+    try {
+      const metadata = await customerStore.readJson(designId, 'metadata.json');
+      if (metadata) {
+        const thumbnails = customerDesignThumbnailUrls(userId, designId, metadata.contentHash);
+        designs.push({
+          designId,
+          userId,
+          ...metadata,
+          previewUrl: metadata.previewUrl || thumbnails.medium,
+          thumbnails,
+        });
+      } else {
+        // Fallback: create basic metadata from the design file
+        const stats = await customerStore.stat(designId, 'design.json');
+        if (!stats) continue;
+        const savedAt = new Date(stats.modified).toISOString();
+        const thumbnails = customerDesignThumbnailUrls(userId, designId, null);
+        designs.push({
+          designId,
+          userId,
+          savedAt,
+          designUrl: `/api/customer-designs/${userId}/${designId}/design.json`,
+          previewUrl: thumbnails.medium,
+          thumbnails,
+        });
+      }
+    } catch (e) {
+      console.error(`Failed to read metadata for ${designId}:`, e);
+    }
+  }
+  
+  // Sort by savedAt (newest first)
+  designs.sort((a, b) => {
+    const dateA = new Date(a.savedAt || 0);
+    const dateB = new Date(b.savedAt || 0);
+    return dateB - dateA;
+  });
+  
+  return designs;
+};
+
+// Designs - Get customer designs (standalone storage mode, only their own)
+// GET /api/designs?user_id=
+const getStoredDesigns = async (req, res) => {
+  try {
+    const userId = req.query.user_id;
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID required' });
+    }
+    
+    const designs = await listCustomerDesigns(String(userId));
+    res.json({ success: true, designs, count: designs.length });
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to get designs');
+  }
+};
+
+// Storage mode routes - each path has one implementation per mode, so the
+// mode decides which one serves it (assertUniqueRoutes rejects duplicates)
+if (STORAGE_MODE === 'wordpress') {
+  app.get('/api/designs', getWordPressDesigns);
+  app.post('/api/images/upload', uploadWithLimit({ storage: multer.memoryStorage() }, (m) => m.single('image')), uploadWordPressImage);
+} else {
+  app.get('/api/designs', checkAdminAuth, requireDesignOwner('customer_designs:read'), getStoredDesigns);
+  app.post('/api/images/upload', uploadWithLimit({ dest: UPLOAD_TMP_DIR }, (m) => m.single('image')), uploadStoredImage);
+}
+
+// Customer Designs - Save customer design to uploads/customer-designs folder
+// POST /api/customer-designs/save
+app.post('/api/customer-designs/save', checkAdminAuth, requireDesignOwner('customer_designs:write'), async (req, res) => {
+  try {
+    const { userId, designId, designData, previewImage, orderId, productId, linkId } = req.body;
+    
+    if (!userId || !designId || !designData) {
+      return res.status(400).json({ 
+        error: 'Missing required fields', 
+        required: ['userId', 'designId', 'designData'] 
+      });
+    }
+    
+    // Upgraded to the current schemaVersion and validated before anything is written
+    const designDocument = prepareDesignDocument(designData, 'design');
+    
+    // Designs are only saved through links that can be used right now and allow editing
+    let link = null;
+    if (linkId) {
+      link = findLink(await readLinks(), linkId);
+      if (!link) {
+        return res.status(404).json({ error: 'Link not found' });
+      }
+      assertLinkUsable(link, { canTest: canOpenTestLinks(req) });
+      if (LINK_MODES[link.mode]?.readOnly) {
+        return res.status(409).json({ error: `Designs cannot be saved through ${link.mode} links` });
+      }
+    }
+    
+    // Customer-specific folder: customer-designs/{userId}/{designId}/
+    const designStore = customerDesignStorage.scope(String(userId), String(designId));
+    
+    // Designs saved before revisions existed keep their current version as revision 1
+    await ensureBaselineRevision(designStore);
+    
     // Save design JSON
-    const designJsonPath = join(designDir, 'design.json');
-    await fs.writeJson(designJsonPath, designData, { spaces: 2 });
+    await designStore.writeJson('design.json', designDocument);
+    refreshThumbnails(designStore.scope(DESIGN_THUMBS_DIR), designDocument, designStore.prefix);
+    const designJsonPath = designStore.localPath('design.json') || designStore.key('design.json');
     
     // Save preview image if provided (base64 or URL)
     let previewPath = null;
     if (previewImage) {
-      previewPath = join(designDir, 'preview.png');
+      previewPath = designStore.localPath('preview.png') || designStore.key('preview.png');
       if (previewImage.startsWith('data:image')) {
         // Base64 image
         const base64Data = previewImage.replace(/^data:image\/\w+;base64,/, '');
-        await fs.writeFile(previewPath, base64Data, 'base64');
+        await designStore.write('preview.png', Buffer.from(base64Data, 'base64'), { contentType: 'image/png' });
       } else if (previewImage.startsWith('http')) {
         // URL - download and save
         const imageResponse = await axios.get(previewImage, { responseType: 'arraybuffer' });
-        await fs.writeFile(previewPath, Buffer.from(imageResponse.data));
+        await designStore.write('preview.png', Buffer.from(imageResponse.data), { contentType: 'image/png' });
       }
     }
     
@@ -1579,6 +2325,10 @@ app.post('/api/customer-designs/save', async (req, res) => {
       userId: userId.toString(),
       orderId: orderId || null,
       productId: productId || null,
+      // Personalisation link the design was made through
+      linkId: link ? link.id : null,
+      // Version of the thumbnail URLs
+      contentHash: designContentHash(designDocument),
       savedAt: new Date().toISOString(),
       designJsonPath: designJsonPath,
       previewPath: previewPath,
@@ -1586,206 +2336,379 @@ app.post('/api/customer-designs/save', async (req, res) => {
       previewUrl: previewPath ? `/api/customer-designs/${userId}/${designId}/preview.png` : null,
     };
     
-    const metadataPath = join(designDir, 'metadata.json');
-    await fs.writeJson(metadataPath, metadata, { spaces: 2 });
+    await designStore.writeJson('metadata.json', metadata);
     
-    console.log(`Customer design saved: ${designDir}`);
+    // Every save is kept as an immutable revision
+    const revision = await createRevision(designStore, { source: 'save' });
+    
+    // Saving the same design again counts once; designs of another product do not count for the link
+    if (link && await isLinkProduct(link, productId)) {
+      trackLinkEvent(link, 'save', { dedupeKey: `${userId}/${designId}` });
+    }
+    
+    console.log(`Customer design saved: ${designStore.prefix} (revision ${revision.revision})`);
     
     return res.json({
       success: true,
       message: 'Customer design saved successfully',
-      design: metadata,
+      design: { ...metadata, revision: revision.revision },
+      revision,
     });
   } catch (error) {
-    console.error('Failed to save customer design:', error);
-    res.status(500).json({ 
-      error: 'Failed to save customer design', 
-      details: error.message 
-    });
+    sendStorageError(res, error, 'Failed to save customer design');
   }
 });
 
 // Customer Designs - Get customer design by user ID and design ID
 // GET /api/customer-designs/:userId/:designId
-app.get('/api/customer-designs/:userId/:designId', async (req, res) => {
+app.get('/api/customer-designs/:userId/:designId', checkAdminAuth, requireDesignOwner('customer_designs:read'), async (req, res) => {
   try {
     const { userId, designId } = req.params;
-    const designDir = join(CUSTOMER_DESIGNS_DIR, userId, designId);
+    const designStore = customerDesignStorage.scope(userId, designId);
     
-    if (!existsSync(designDir)) {
-      return res.status(404).json({ error: 'Design not found' });
-    }
+    // Read metadata and design JSON
+    const metadata = await designStore.readJson('metadata.json');
+    const designData = await designStore.readJson('design.json');
     
-    // Read metadata
-    const metadataPath = join(designDir, 'metadata.json');
-    let metadata = {};
-    if (existsSync(metadataPath)) {
-      metadata = await fs.readJson(metadataPath);
+    if (!metadata && !designData) {
+      return res.status(404).json({ error: 'Design not found' });
     }
     
-    // Read design JSON
-    const designJsonPath = join(designDir, 'design.json');
-    let designData = null;
-    if (existsSync(designJsonPath)) {
-      designData = await fs.readJson(designJsonPath);
+    let contentHash = null;
+    try {
+      contentHash = designData ? designContentHash(migrateDesignDocument(designData).document) : null;
+    } catch (e) {
+      // Unreadable designs get unversioned URLs; serving them reports the error
     }
-    
+    const thumbnails = customerDesignThumbnailUrls(userId, designId, contentHash);
     res.json({
       success: true,
       design: {
-        ...metadata,
-        designData,
+        ...(metadata || {}),
+        previewUrl: metadata?.previewUrl || thumbnails.medium,
+        thumbnails,
+        designData: designData ? migrateDesignDocument(designData).document : designData,
       },
     });
   } catch (error) {
-    console.error('Failed to get customer design:', error);
-    res.status(500).json({ 
-      error: 'Failed to get customer design', 
-      details: error.message 
-    });
+    sendStorageError(res, error, 'Failed to get customer design');
   }
 });
 
 // Customer Designs - List all designs for a customer
 // GET /api/customer-designs/:userId
-app.get('/api/customer-designs/:userId', async (req, res) => {
+app.get('/api/customer-designs/:userId', checkAdminAuth, requireDesignOwner('customer_designs:read'), async (req, res) => {
   try {
-    const { userId } = req.params;
-    const customerDir = join(CUSTOMER_DESIGNS_DIR, userId);
-    
-    if (!existsSync(customerDir)) {
-      return res.json({ success: true, designs: [] });
+    const designs = await listCustomerDesigns(req.params.userId);
+    res.json({
+      success: true,
+      designs,
+      count: designs.length,
+    });
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to list customer designs');
+  }
+});
+
+// Customer Designs - Serve design JSON file
+// GET /api/customer-designs/:userId/:designId/design.json
+app.get('/api/customer-designs/:userId/:designId/design.json', checkAdminAuth, requireDesignOwner('customer_designs:read'), async (req, res) => {
+  try {
+    const { userId, designId } = req.params;
+    await customerDesignStorage.send(res, userId, designId, 'design.json');
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to serve design JSON');
+  }
+});
+
+// Customer Designs - Per-unit data of a completed B2B_BULK link (signed URL for the seller, or a session)
+// GET /api/customer-designs/:userId/:designId/units.json
+app.get('/api/customer-designs/:userId/:designId/units.json', checkPreviewAccess, async (req, res) => {
+  try {
+    const { userId, designId } = req.params;
+    await customerDesignStorage.send(res, userId, designId, 'units.json');
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to serve unit data');
+  }
+});
+
+// Customer Designs - Serve preview image
+// GET /api/customer-designs/:userId/:designId/preview.png
+app.get('/api/customer-designs/:userId/:designId/preview.png', checkPreviewAccess, async (req, res) => {
+  try {
+    const { userId, designId } = req.params;
+    await customerDesignStorage.send(res, userId, designId, 'preview.png');
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to serve preview image');
+  }
+});
+
+// Thumbnails - Cache headers: a URL versioned with the content hash never changes, so it may be kept for a year
+const THUMBNAIL_MAX_AGE = 365 * 24 * 60 * 60;
+
+// Thumbnails - Render if needed, then send one size. A ?v= that is not the current content
+// hash (stale or made up) is redirected to the current one instead of being cached
+const sendDesignThumbnail = async (req, res, thumbStore, designData) => {
+  const { size } = req.params;
+  if (!THUMBNAIL_SIZES[size]) {
+    return res.status(400).json({ error: `Unknown thumbnail size (available: ${Object.keys(THUMBNAIL_SIZES).join(', ')})` });
+  }
+  const { hash } = await getDesignThumbnails(thumbStore, migrateDesignDocument(designData).document, await getAssetDirs());
+  if (req.query.v !== undefined && req.query.v !== hash) {
+    // Other parameters (a preview link signature) stay as they are
+    const query = new URLSearchParams({ ...req.query, v: hash });
+    res.set('Cache-Control', 'no-store');
+    return res.redirect(302, `${req.baseUrl}${req.path}?${query}`);
+  }
+  res.set('Cache-Control', req.query.v ? `private, max-age=${THUMBNAIL_MAX_AGE}, immutable` : 'private, no-cache');
+  await thumbStore.send(res, designThumbnailName(size));
+};
+
+// Customer Designs - Thumbnail rendered from the design JSON
+// GET /api/customer-designs/:userId/:designId/thumbnails/:size (small, medium)
+app.get('/api/customer-designs/:userId/:designId/thumbnails/:size', checkPreviewAccess, async (req, res) => {
+  try {
+    const { userId, designId } = req.params;
+    const designStore = customerDesignStorage.scope(userId, designId);
+    const designData = await designStore.readJson('design.json');
+    if (!designData) {
+      return res.status(404).json({ error: 'Design not found' });
+    }
+    await sendDesignThumbnail(req, res, designStore.scope(DESIGN_THUMBS_DIR), designData);
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to serve design thumbnail');
+  }
+});
+
+// Store for a customer design folder from route params (null for invalid IDs)
+const getCustomerDesignStore = (userId, designId) => {
+  try {
+    return customerDesignStorage.scope(userId, designId);
+  } catch (e) {
+    return null;
+  }
+};
+
+// Customer Designs - List revisions (newest first)
+// GET /api/customer-designs/:userId/:designId/revisions
+app.get('/api/customer-designs/:userId/:designId/revisions', checkAdminAuth, requireDesignOwner('customer_designs:read'), async (req, res) => {
+  try {
+    const { userId, designId } = req.params;
+    const designStore = getCustomerDesignStore(userId, designId);
+    if (!designStore) {
+      return res.status(400).json({ error: 'Invalid user or design ID' });
     }
     
-    // List all design directories
-    const designDirs = await fs.readdir(customerDir);
-    const designs = [];
+    const revisions = await listRevisions(designStore);
+    if (revisions.length === 0 && !(await designStore.exists('design.json'))) {
+      return res.status(404).json({ error: 'Design not found' });
+    }
+    res.json({ success: true, revisions, count: revisions.length });
+  } catch (error) {
+    console.error('Failed to list design revisions:', error);
+    res.status(500).json({ error: 'Failed to list design revisions', details: error.message });
+  }
+});
+
+// Customer Designs - Compare two revisions layer by layer
+// GET /api/customer-designs/:userId/:designId/revisions/diff?from=1&to=2
+app.get('/api/customer-designs/:userId/:designId/revisions/diff', checkAdminAuth, requireDesignOwner('customer_designs:read'), async (req, res) => {
+  try {
+    const { userId, designId } = req.params;
+    const { from, to } = req.query;
+    const designStore = getCustomerDesignStore(userId, designId);
+    if (!designStore) {
+      return res.status(400).json({ error: 'Invalid user or design ID' });
+    }
+    if (!from || !to) {
+      return res.status(400).json({ error: 'Missing required query parameters', required: ['from', 'to'] });
+    }
     
-    for (const designId of designDirs) {
-      const designDir = join(customerDir, designId);
-      const stats = await fs.stat(designDir);
-      
-      if (stats.isDirectory()) {
-        const metadataPath = join(designDir, 'metadata.json');
-        let metadata = {};
-        
-        if (existsSync(metadataPath)) {
-          try {
-            metadata = await fs.readJson(metadataPath);
-            designs.push({
-              designId,
-              userId,
-              ...metadata,
-            });
-          } catch (e) {
-            console.error(`Failed to read metadata for ${designId}:`, e);
-          }
-        } else {
-          // Fallback: create basic metadata from directory
-          designs.push({
-            designId,
-            userId,
-            savedAt: stats.mtime.toISOString(),
-            designUrl: `/api/customer-designs/${userId}/${designId}/design.json`,
-          });
-        }
-      }
+    const [fromRevision, toRevision] = await Promise.all([getRevision(designStore, from), getRevision(designStore, to)]);
+    if (!fromRevision?.designData || !toRevision?.designData) {
+      return res.status(404).json({ error: 'Revision not found' });
     }
     
-    // Sort by savedAt (newest first)
-    designs.sort((a, b) => {
-      const dateA = new Date(a.savedAt || 0);
-      const dateB = new Date(b.savedAt || 0);
-      return dateB - dateA;
+    res.json({
+      success: true,
+      from: fromRevision.revision,
+      to: toRevision.revision,
+      diff: diffDesigns(fromRevision.designData, toRevision.designData),
     });
+  } catch (error) {
+    console.error('Failed to diff design revisions:', error);
+    res.status(500).json({ error: 'Failed to diff design revisions', details: error.message });
+  }
+});
+
+// Customer Designs - Get a specific revision
+// GET /api/customer-designs/:userId/:designId/revisions/:revision
+app.get('/api/customer-designs/:userId/:designId/revisions/:revision', checkAdminAuth, requireDesignOwner('customer_designs:read'), async (req, res) => {
+  try {
+    const { userId, designId } = req.params;
+    const designStore = getCustomerDesignStore(userId, designId);
+    if (!designStore) {
+      return res.status(400).json({ error: 'Invalid user or design ID' });
+    }
+    
+    const revision = await getRevision(designStore, req.params.revision);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
     
     res.json({
       success: true,
-      designs,
-      count: designs.length,
+      revision: {
+        ...revision.record,
+        metadata: revision.metadata,
+        designData: revision.designData,
+        previewUrl: revision.hasPreview
+          ? `/api/customer-designs/${userId}/${designId}/revisions/${revision.revision}/preview.png`
+          : null,
+      },
     });
   } catch (error) {
-    console.error('Failed to list customer designs:', error);
-    res.status(500).json({ 
-      error: 'Failed to list customer designs', 
-      details: error.message 
-    });
+    console.error('Failed to get design revision:', error);
+    res.status(500).json({ error: 'Failed to get design revision', details: error.message });
   }
 });
 
-// Customer Designs - Serve design JSON file
-// GET /api/customer-designs/:userId/:designId/design.json
-app.get('/api/customer-designs/:userId/:designId/design.json', (req, res) => {
+// Customer Designs - Serve a revision's preview image
+// GET /api/customer-designs/:userId/:designId/revisions/:revision/preview.png
+app.get('/api/customer-designs/:userId/:designId/revisions/:revision/preview.png', checkPreviewAccess, async (req, res) => {
+  try {
+    const designStore = getCustomerDesignStore(req.params.userId, req.params.designId);
+    const revision = designStore ? await getRevision(designStore, req.params.revision) : null;
+    if (!revision?.hasPreview) {
+      return res.status(404).json({ error: 'Preview image not found' });
+    }
+    
+    await revision.store.send(res, 'preview.png');
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to serve preview image');
+  }
+});
+
+// Customer Designs - Create a shareable preview link that expires
+// POST /api/customer-designs/:userId/:designId/preview-link  { expiresIn, revision }
+app.post('/api/customer-designs/:userId/:designId/preview-link', checkAdminAuth, requireDesignOwner('customer_designs:read'), async (req, res) => {
   try {
     const { userId, designId } = req.params;
-    const designJsonPath = join(CUSTOMER_DESIGNS_DIR, userId, designId, 'design.json');
+    const { revision } = req.body;
+    const designStore = getCustomerDesignStore(userId, designId);
+    if (!designStore) {
+      return res.status(400).json({ error: 'Invalid user or design ID' });
+    }
     
-    if (!existsSync(designJsonPath)) {
-      return res.status(404).json({ error: 'Design JSON not found' });
+    const expiresIn = parseInt(req.body.expiresIn, 10) || PREVIEW_LINK_DEFAULT_TTL;
+    if (expiresIn < 60 || expiresIn > PREVIEW_LINK_MAX_TTL) {
+      return res.status(400).json({ error: `expiresIn must be between 60 and ${PREVIEW_LINK_MAX_TTL} seconds` });
+    }
+    
+    let previewPath = `/api/customer-designs/${userId}/${designId}/preview.png`;
+    if (revision !== undefined && revision !== null) {
+      const found = await getRevision(designStore, revision);
+      if (!found?.hasPreview) {
+        return res.status(404).json({ error: 'Revision preview not found' });
+      }
+      previewPath = `/api/customer-designs/${userId}/${designId}/revisions/${found.revision}/preview.png`;
+    } else if (!(await designStore.exists('preview.png'))) {
+      return res.status(404).json({ error: 'Preview image not found' });
     }
     
-    res.sendFile(designJsonPath);
+    const link = signPath(previewPath, expiresIn);
+    res.json({ success: true, preview_url: link.url, expires_at: link.expires_at });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to serve design JSON' });
+    console.error('Failed to create preview link:', error);
+    res.status(500).json({ error: 'Failed to create preview link', details: error.message });
   }
 });
 
-// Customer Designs - Serve preview image
-// GET /api/customer-designs/:userId/:designId/preview.png
-app.get('/api/customer-designs/:userId/:designId/preview.png', (req, res) => {
+// Customer Designs - Restore a revision as the current version
+// POST /api/customer-designs/:userId/:designId/revisions/:revision/restore
+app.post('/api/customer-designs/:userId/:designId/revisions/:revision/restore', checkAdminAuth, requireDesignOwner('customer_designs:write'), async (req, res) => {
   try {
     const { userId, designId } = req.params;
-    const previewPath = join(CUSTOMER_DESIGNS_DIR, userId, designId, 'preview.png');
+    const designStore = getCustomerDesignStore(userId, designId);
+    if (!designStore) {
+      return res.status(400).json({ error: 'Invalid user or design ID' });
+    }
     
-    if (!existsSync(previewPath)) {
-      return res.status(404).json({ error: 'Preview image not found' });
+    const restored = await restoreRevision(designStore, req.params.revision);
+    if (!restored) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    
+    console.log(`Customer design restored: ${designStore.prefix} (revision ${restored.revision.restoredFrom} -> ${restored.revision.revision})`);
+    
+    res.json({
+      success: true,
+      message: `Revision ${restored.revision.restoredFrom} restored`,
+      design: restored.metadata,
+      revision: restored.revision,
+    });
+  } catch (error) {
+    console.error('Failed to restore design revision:', error);
+    res.status(500).json({ error: 'Failed to restore design revision', details: error.message });
+  }
+});
+
+// Customer Designs - Render saved design to PNG (admin)
+// GET /api/admin/customer-designs/:userId/:designId/render?dpi=300
+app.get('/api/admin/customer-designs/:userId/:designId/render', checkAdminAuth, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const { designId } = req.params;
+    const designStore = getCustomerDesignStore(req.params.userId, designId);
+    if (!designStore) {
+      return res.status(400).json({ error: 'Invalid user or design ID' });
     }
     
-    res.sendFile(previewPath);
+    const designData = await designStore.readJson('design.json');
+    if (!designData) {
+      return res.status(404).json({ error: 'Design JSON not found' });
+    }
+    
+    const png = await renderDesignPng(designData, {
+      dpi: req.query.dpi || RENDER_DPI,
+      ...(await getAssetDirs()),
+    });
+    
+    res.set('Content-Type', 'image/png');
+    res.set('Content-Disposition', `inline; filename="${designId}-${png.dpi}dpi.png"`);
+    res.send(png.buffer);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to serve preview image' });
+    console.error('Failed to render customer design:', error);
+    res.status(500).json({ error: 'Failed to render customer design', details: error.message });
   }
 });
 
 // Customer Designs - WordPress endpoint to fetch customer designs
 // GET /api/wordpress/customer-designs/:userId
-app.get('/api/wordpress/customer-designs/:userId', async (req, res) => {
+app.get('/api/wordpress/customer-designs/:userId', checkAdminAuth, requireDesignOwner('customer_designs:read'), async (req, res) => {
   try {
     const { userId } = req.params;
-    const customerDir = join(CUSTOMER_DESIGNS_DIR, userId);
-    
-    if (!existsSync(customerDir)) {
-      return res.json({ success: true, designs: [] });
-    }
+    const customerStore = customerDesignStorage.scope(userId);
     
-    // List all design directories
-    const designDirs = await fs.readdir(customerDir);
+    // List all design folders
+    const { folders: designIds } = await customerStore.list();
     const designs = [];
     
-    for (const designId of designDirs) {
-      const designDir = join(customerDir, designId);
-      const stats = await fs.stat(designDir);
-      
-      if (stats.isDirectory()) {
-        const metadataPath = join(designDir, 'metadata.json');
-        let metadata = {};
-        
-        if (existsSync(metadataPath)) {
-          try {
-            metadata = await fs.readJson(metadataPath);
-            designs.push({
-              design_id: designId,
-              user_id: userId,
-              order_id: metadata.orderId,
-              product_id: metadata.productId,
-              saved_at: metadata.savedAt,
-              design_url: `http://localhost:${PORT}${metadata.designUrl}`,
-              preview_url: metadata.previewUrl ? `http://localhost:${PORT}${metadata.previewUrl}` : null,
-            });
-          } catch (e) {
-            console.error(`Failed to read metadata for ${designId}:`, e);
-          }
-        }
+    for (const designId of designIds) {
+      try {
+        const metadata = await customerStore.readJson(designId, 'metadata.json');
+        if (!metadata) continue;
+        designs.push({
+          design_id: designId,
+          user_id: userId,
+          order_id: metadata.orderId,
+          product_id: metadata.productId,
+          saved_at: metadata.savedAt,
+          design_url: `http://localhost:${PORT}${metadata.designUrl}`,
+          // Previews are private, so WordPress gets a signed link it can embed
+          preview_url: metadata.previewUrl ? `http://localhost:${PORT}${signPath(metadata.previewUrl, PREVIEW_LINK_DEFAULT_TTL).url}` : null,
+        });
+      } catch (e) {
+        console.error(`Failed to read metadata for ${designId}:`, e);
       }
     }
     
@@ -1802,297 +2725,552 @@ app.get('/api/wordpress/customer-designs/:userId', async (req, res) => {
       count: designs.length,
     });
   } catch (error) {
-    console.error('Failed to get customer designs for WordPress:', error);
-    res.status(500).json({ 
-      error: 'Failed to get customer designs', 
-      details: error.message 
-    });
+    sendStorageError(res, error, 'Failed to get customer designs');
   }
 });
 
-// Admin - Get fonts
-app.get('/api/admin/fonts', checkAdminAuth, async (req, res) => {
-  try {
-    // List font files from fonts directory
-    const fontFiles = [];
-    if (existsSync(FONTS_DIR)) {
-      const files = await fs.readdir(FONTS_DIR);
-      for (const file of files) {
-        const filePath = join(FONTS_DIR, file);
-        const stats = await fs.stat(filePath);
-        if (stats.isFile() && /\.(ttf|otf|woff|woff2)$/i.test(file)) {
-          // Try to read metadata if exists
-          const metadataPath = join(FONTS_DIR, file.replace(/\.(ttf|otf|woff|woff2)$/i, '.json'));
-          let metadata = {};
-          if (existsSync(metadataPath)) {
-            try {
-              metadata = await fs.readJson(metadataPath);
-            } catch (e) {
-              // Ignore metadata read errors
-            }
-          }
-          
-          const fontId = metadata.id || file.replace(/\.(ttf|otf|woff|woff2)$/i, '').toLowerCase().replace(/[^a-z0-9]/g, '-');
-          const fontName = metadata.name || file.replace(/\.(ttf|otf|woff|woff2)$/i, '').replace(/[-_]/g, ' ');
-          
-          fontFiles.push({
-            id: fontId,
-            name: fontName,
-            family: metadata.family || fontName,
-            filename: file,
-            url: `/api/admin/fonts/${file}`,
-            size: stats.size,
-            uploaded_at: stats.mtime,
-            license: metadata.license || 'public',
-            types: metadata.types || metadata.variants || 'regular',
-            used: metadata.used || false,
-          });
-        }
+// Fonts - Metadata of every stored font (sidecars are filled in for older uploads)
+const listFontRecords = async () => {
+  const fonts = [];
+  const { files } = await fontStorage.list();
+  for (const { name: file, size, modified } of files) {
+    if (!/\.(ttf|otf|woff|woff2)$/i.test(file)) continue;
+    try {
+      const metadata = await getFontMetadata(fontStorage, file);
+      if (metadata) {
+        fonts.push({ ...metadata, size, modified });
       }
+    } catch (e) {
+      console.error(`Failed to read font metadata for ${file}:`, e);
     }
-    res.json({ fonts: fontFiles });
+  }
+  return fonts;
+};
+
+// Generated web fonts never change under a versioned URL, so browsers may keep them for a year
+const WEB_FONT_MAX_AGE = 365 * 24 * 60 * 60;
+
+// Fonts - URL of the WOFF2 version; v changes when a font is replaced by a new upload
+const webFontUrl = (font, query = {}) => {
+  const params = new URLSearchParams({ ...query, v: Date.parse(font.uploaded_at || font.modified).toString(36) });
+  return `/api/fonts/${encodeURIComponent(font.filename)}/woff2?${params}`;
+};
+
+const formatFont = (font) => ({
+  id: font.id,
+  name: font.name,
+  family: font.family,
+  subfamily: font.subfamily,
+  weight: font.weight,
+  style: font.style,
+  format: font.format,
+  postScriptName: font.postScriptName || null,
+  filename: font.filename,
+  url: `/api/admin/fonts/${font.filename}`,
+  webUrl: webFontUrl(font),
+  size: font.size,
+  uploaded_at: font.uploaded_at || font.modified,
+  license: font.license || 'public',
+  used: font.used || false,
+  usage: font.usage || null,
+});
+
+// Admin - Get fonts, per file and grouped into families
+app.get('/api/admin/fonts', checkAdminAuth, requirePermission('assets:read'), async (req, res) => {
+  try {
+    const fonts = (await listFontRecords()).map(formatFont);
+    res.json({ fonts, families: groupFontFamilies(fonts) });
   } catch (error) {
     console.error('Failed to get fonts:', error);
     res.status(500).json({ error: 'Failed to get fonts', details: error.message });
   }
 });
 
+// Customer Designs - Current design JSON of every saved customer design
+async function* readAllCustomerDesigns() {
+  const { folders: userIds } = await customerDesignStorage.list();
+  for (const userId of userIds) {
+    const { folders: designIds } = await customerDesignStorage.list(userId);
+    for (const designId of designIds) {
+      const designData = await customerDesignStorage.readJson(userId, designId, 'design.json').catch(() => null);
+      if (designData) {
+        yield { userId, designId, designData };
+      }
+    }
+  }
+}
+
+// Fonts - Scan designs and orders for font usage and store the result in the
+// font sidecars (used flag and counts), so the font list shows it without a rescan
+const scanFontUsage = async (authHeader) => {
+  const fonts = await listFontRecords();
+  const report = await buildFontUsageReport({
+    fonts,
+    designs: readAllCustomerDesigns(),
+    orders: await fetchWooOrders(authHeader),
+  });
+  
+  const scannedAt = new Date().toISOString();
+  for (const entry of report.fonts) {
+    const { size, modified, ...metadata } = fonts.find(font => font.filename === entry.filename);
+    await fontStorage.writeJson(fontMetadataName(entry.filename), {
+      ...metadata,
+      used: entry.used,
+      usage: {
+        designs: entry.designCount,
+        orders: entry.orderCount,
+        openOrders: entry.openOrderCount,
+        scannedAt,
+      },
+    });
+  }
+  return { ...report, scannedAt };
+};
+
+// Admin - Font usage report: which designs and orders use each uploaded font
+// GET /api/admin/fonts/usage?license=commercial
+app.get('/api/admin/fonts/usage', checkAdminAuth, requirePermission('assets:read'), async (req, res) => {
+  try {
+    const report = await scanFontUsage(req.wooCommerceAuth || req.headers.authorization);
+    const fonts = req.query.license
+      ? report.fonts.filter(font => font.license === req.query.license)
+      : report.fonts;
+    
+    res.json({
+      success: true,
+      scannedAt: report.scannedAt,
+      scanned: report.scanned,
+      summary: {
+        fonts: fonts.length,
+        used: fonts.filter(font => font.used).length,
+        unused: fonts.filter(font => !font.used).length,
+      },
+      fonts,
+      missing: report.missing,
+    });
+  } catch (error) {
+    console.error('Failed to build font usage report:', error.response?.data || error.message);
+    res.status(500).json({ error: 'Failed to build font usage report', details: error.message });
+  }
+});
+
 // Admin - Upload font
-app.post('/api/admin/fonts/upload', checkAdminAuth, multer({ 
-  dest: FONTS_DIR,
-  limits: { fileSize: 5 * 1024 * 1024 } // 5MB
-}).single('fontFile'), async (req, res) => {
+// Family, subfamily, weight and style are read from the font's name and OS/2
+// tables. WOFF2 files cannot be read here, so they need a family field
+// (and optionally weight and style).
+app.post('/api/admin/fonts/upload', checkAdminAuth, requirePermission('assets:write'), uploadWithLimit({ dest: UPLOAD_TMP_DIR }, (m) => m.single('fontFile'), 5 * 1024 * 1024), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No font file uploaded' });
     }
     
-    const { name, family, license } = req.body;
-    const originalName = req.file.originalname;
-    const ext = originalName.split('.').pop();
-    const fontId = name.toLowerCase().replace(/[^a-z0-9]/g, '-');
-    const filename = `${fontId}.${ext}`;
-    const filepath = join(FONTS_DIR, filename);
+    let parsed;
+    try {
+      parsed = describeFont(await fs.readFile(req.file.path), req.body);
+    } catch (error) {
+      await fs.remove(req.file.path);
+      throw error;
+    }
     
-    // Move file to permanent location
-    await fs.move(req.file.path, filepath);
+    const fontId = fontSlug(`${parsed.family} ${parsed.subfamily}`);
+    if (!fontId) {
+      await fs.remove(req.file.path);
+      return res.status(400).json({ error: 'Font family name has no usable characters' });
+    }
     
-    // Save metadata
-    const metadataPath = join(FONTS_DIR, `${fontId}.json`);
-    await fs.writeJson(metadataPath, {
+    // One file per family variant; delete the existing one to replace it
+    const existing = await Promise.all(FONT_TYPES.map(type => fontStorage.exists(`${fontId}.${type}`)));
+    if (existing.some(Boolean)) {
+      await fs.remove(req.file.path);
+      return res.status(409).json({
+        error: `${parsed.family} ${parsed.subfamily} is already uploaded`,
+        id: fontId,
+      });
+    }
+    
+    // Move file to permanent location; the extension comes from the file contents
+    const { filename } = await fontStorage.saveUpload(req.file.path, fontId);
+    
+    const { fullName, ...fields } = parsed;
+    const metadata = {
       id: fontId,
-      name: name,
-      family: family || name,
-      license: license || 'public',
-      types: 'regular',
+      name: fullName,
+      ...fields,
+      filename,
+      license: req.body.license || 'public',
       used: false,
       uploaded_at: new Date().toISOString(),
-    });
+    };
+    await fontStorage.writeJson(fontMetadataName(filename), metadata);
+    
+    // The WOFF2 version is generated right away; if it fails it is retried on first request
+    try {
+      await getWebFont(fontStorage, filename);
+    } catch (e) {
+      console.error(`Failed to generate WOFF2 for ${filename}:`, e.message);
+    }
     
     res.json({ 
       success: true, 
-      font: {
-        id: fontId,
-        name: name,
-        family: family || name,
-        filename: filename,
-        url: `/api/admin/fonts/${filename}`,
-        license: license || 'public',
-        types: 'regular',
-      }
+      font: formatFont({ ...metadata, size: req.file.size }),
     });
   } catch (error) {
-    console.error('Font upload error:', error);
-    res.status(500).json({ error: 'Failed to upload font', details: error.message });
+    sendStorageError(res, error, 'Failed to upload font');
   }
 });
 
-// Admin - Serve font file
-app.get('/api/admin/fonts/:filename', (req, res) => {
+// Fonts - @font-face rules for every uploaded font, for the design tool
+// GET /api/fonts.css?subset=latin
+// Browsers load the WOFF2 version and fall back to the uploaded file. With a
+// subset, the rules point at that subset and declare its unicode-range.
+app.get('/api/fonts.css', async (req, res) => {
   try {
-    const filename = req.params.filename;
-    const filepath = join(FONTS_DIR, filename);
+    const { subset } = req.query;
+    const unicodeRange = subset !== undefined ? subsetUnicodeRange(subset) : null;
+    if (subset !== undefined && !unicodeRange) {
+      return res.status(400).json({ error: 'Unknown subset' });
+    }
     
-    if (!existsSync(filepath)) {
+    const families = groupFontFamilies(await listFontRecords());
+    const css = buildFontFaceCss(families, (font) => [
+      { url: webFontUrl(font, subset ? { subset } : {}), format: 'woff2' },
+      ...(font.format === 'woff2' ? [] : [{ url: `/api/admin/fonts/${encodeURIComponent(font.filename)}`, format: font.format }]),
+    ], { unicodeRange });
+
+    // Express adds an ETag, so unchanged CSS is answered with 304
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type('text/css').send(css ? `${css}\n` : '');
+  } catch (error) {
+    console.error('Failed to build font CSS:', error);
+    res.status(500).json({ error: 'Failed to build font CSS', details: error.message });
+  }
+});
+
+// Fonts - WOFF2 version of an uploaded font, optionally reduced to a subset
+// GET /api/fonts/:filename/woff2?subset=latin|latin-ext  or  ?text=Hello
+// The uploaded file itself is kept unchanged for print rendering.
+app.get('/api/fonts/:filename/woff2', async (req, res) => {
+  try {
+    const { filename } = req.params;
+    if (!/\.(ttf|otf|woff|woff2)$/i.test(filename)) {
       return res.status(404).json({ error: 'Font not found' });
     }
     
-    res.sendFile(filepath);
+    const { subset, text, v } = req.query;
+    const buffer = await getWebFont(fontStorage, filename, { subset, text });
+    if (!buffer) {
+      return res.status(404).json({ error: 'Font not found' });
+    }
+    
+    // Express answers If-None-Match with 304 when the ETag matches
+    res.set({
+      'Cache-Control': v ? `public, max-age=${WEB_FONT_MAX_AGE}, immutable` : 'public, max-age=86400',
+      ETag: `"${crypto.createHash('sha1').update(buffer).digest('hex')}"`,
+    });
+    res.type('font/woff2').send(buffer);
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to serve font');
+  }
+});
+
+// Admin - Serve font file
+app.get('/api/admin/fonts/:filename', async (req, res) => {
+  try {
+    await fontStorage.send(res, req.params.filename);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to serve font' });
+    sendStorageError(res, error, 'Failed to serve font');
   }
 });
 
 // Admin - Delete font
-app.delete('/api/admin/fonts/:filename', checkAdminAuth, async (req, res) => {
+app.delete('/api/admin/fonts/:filename', checkAdminAuth, requirePermission('assets:write'), async (req, res) => {
   try {
-    const filename = req.params.filename;
-    const filepath = join(FONTS_DIR, filename);
+    const { filename } = req.params;
+    if (!/\.(ttf|otf|woff|woff2)$/i.test(filename)) {
+      return res.status(404).json({ error: 'Font not found' });
+    }
     
-    if (!existsSync(filepath)) {
+    const font = await getFontMetadata(fontStorage, filename);
+    if (!font) {
       return res.status(404).json({ error: 'Font not found' });
     }
     
-    await fs.remove(filepath);
+    // Fonts still needed to produce open orders cannot be removed. If the
+    // orders cannot be checked, nothing is deleted.
+    let openOrders;
+    try {
+      openOrders = await fetchWooOrders(req.wooCommerceAuth || req.headers.authorization, OPEN_ORDER_STATUSES);
+    } catch (error) {
+      console.error('Failed to check font usage:', error.response?.data || error.message);
+      return res.status(503).json({ error: 'Could not check open orders for this font, it was not deleted', details: error.message });
+    }
+    const report = await buildFontUsageReport({ fonts: await listFontRecords(), orders: openOrders });
+    const usage = report.fonts.find(entry => entry.filename === filename);
+    if (usage?.orderCount > 0) {
+      return res.status(409).json({
+        error: 'Font is used by open orders',
+        orders: usage.orders,
+      });
+    }
+    
+    await fontStorage.remove(filename);
+    // The metadata sidecar and generated web fonts belong to the font file
+    await fontStorage.remove(fontMetadataName(filename));
+    await removeWebFonts(fontStorage, filename);
+    
     res.json({ success: true, message: 'Font deleted successfully' });
   } catch (error) {
-    console.error('Failed to delete font:', error);
-    res.status(500).json({ error: 'Failed to delete font', details: error.message });
+    sendStorageError(res, error, 'Failed to delete font');
   }
 });
 
+// Clipart - Catalogue entry as returned by the API
+const formatClipart = (item) => ({
+  id: item.id,
+  name: item.name,
+  category: item.category,
+  categoryName: item.categoryName,
+  tags: item.tags,
+  description: item.description,
+  type: item.type,
+  filename: item.filename,
+  url: `/api/admin/clipart/${item.filename}`,
+  size: item.size,
+  uploaded_at: item.uploaded_at,
+  updated_at: item.updated_at,
+});
+
+// Clipart - Search and page through the catalogue (admin and public list)
+// ?q=&category=&tags=a,b&sort=relevance|newest|oldest|name&page=&perPage=
+const sendClipartPage = async (req, res) => {
+  try {
+    const { q, category, tags, sort, page, perPage } = req.query;
+    const result = await searchClipart({ q, category, tags, sort, page, perPage });
+    res.json({ clipart: result.items.map(formatClipart), pagination: result.pagination });
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to get clipart');
+  }
+};
+
 // Admin - Get clipart
-app.get('/api/admin/clipart', checkAdminAuth, async (req, res) => {
-  try {
-    const clipartItems = [];
-    if (existsSync(CLIPART_DIR)) {
-      const files = await fs.readdir(CLIPART_DIR);
-      for (const file of files) {
-        const filePath = join(CLIPART_DIR, file);
-        const stats = await fs.stat(filePath);
-        if (stats.isFile() && /\.(png|svg|jpg|jpeg)$/i.test(file)) {
-          // Try to read metadata if exists
-          const metadataPath = join(CLIPART_DIR, file.replace(/\.(png|svg|jpg|jpeg)$/i, '.json'));
-          let metadata = {};
-          if (existsSync(metadataPath)) {
-            try {
-              metadata = await fs.readJson(metadataPath);
-            } catch (e) {
-              // Ignore metadata read errors
-            }
-          }
-          
-          clipartItems.push({
-            id: file,
-            name: metadata.name || file.replace(/\.(png|svg|jpg|jpeg)$/i, ''),
-            category: metadata.category || 'Uncategorized',
-            filename: file,
-            url: `/api/admin/clipart/${file}`,
-            size: stats.size,
-            uploaded_at: stats.mtime,
-          });
-        }
-      }
+app.get('/api/admin/clipart', checkAdminAuth, requirePermission('assets:read'), sendClipartPage);
+
+// Admin - Clipart categories with item counts
+// GET /api/admin/clipart/categories
+app.get('/api/admin/clipart/categories', checkAdminAuth, requirePermission('assets:read'), async (req, res) => {
+  try {
+    res.json({ categories: await listCategories() });
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to get clipart categories');
+  }
+});
+
+// Admin - Create clipart category
+// POST /api/admin/clipart/categories { name, description }
+app.post('/api/admin/clipart/categories', checkAdminAuth, requirePermission('assets:write'), async (req, res) => {
+  try {
+    const category = await createCategory(req.body || {});
+    res.status(201).json({ success: true, category });
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to create clipart category');
+  }
+});
+
+// Admin - Rename clipart category or change its description
+// PUT /api/admin/clipart/categories/:id { name, description }
+app.put('/api/admin/clipart/categories/:id', checkAdminAuth, requirePermission('assets:write'), async (req, res) => {
+  try {
+    const category = await updateCategory(req.params.id, req.body || {});
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    res.json({ success: true, category });
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to update clipart category');
+  }
+});
+
+// Admin - Delete clipart category; its items move to ?moveTo= (default Uncategorized)
+// DELETE /api/admin/clipart/categories/:id
+app.delete('/api/admin/clipart/categories/:id', checkAdminAuth, requirePermission('assets:write'), async (req, res) => {
+  try {
+    const result = await deleteCategory(req.params.id, { moveTo: req.query.moveTo });
+    if (!result) {
+      return res.status(404).json({ error: 'Category not found' });
     }
-    res.json({ clipart: clipartItems });
+    res.json({ success: true, moved: result.moved });
   } catch (error) {
-    console.error('Failed to get clipart:', error);
-    res.status(500).json({ error: 'Failed to get clipart', details: error.message });
+    sendStorageError(res, error, 'Failed to delete clipart category');
   }
 });
 
 // Admin - Upload clipart
-app.post('/api/admin/clipart/upload', checkAdminAuth, multer({ 
-  dest: CLIPART_DIR,
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB
-}).single('imageFile'), async (req, res) => {
+// Fields: name, category (id or name), tags (comma-separated), description.
+// SVGs are sanitised before they are stored: scripts, event handlers and
+// external references are removed.
+app.post('/api/admin/clipart/upload', checkAdminAuth, requirePermission('assets:write'), uploadWithLimit({ dest: UPLOAD_TMP_DIR }, (m) => m.single('imageFile')), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No image file uploaded' });
     }
     
-    const { name, category } = req.body;
-    const originalName = req.file.originalname;
-    const ext = originalName.split('.').pop();
+    const { name, category, tags, description } = req.body;
+    let removed = null;
+    try {
+      await validateClipartFields({ category, tags });
+      if (await sniffFile(req.file.path) === 'svg') {
+        const result = sanitizeSvg(await fs.readFile(req.file.path));
+        await fs.writeFile(req.file.path, result.svg);
+        removed = result.removed;
+      }
+    } catch (error) {
+      await fs.remove(req.file.path);
+      throw error;
+    }
+    
     const timestamp = Date.now();
-    const filename = `${timestamp}-${Math.random().toString(36).substring(7)}.${ext}`;
-    const filepath = join(CLIPART_DIR, filename);
-    
-    // Move file to permanent location
-    await fs.move(req.file.path, filepath);
+    const baseName = `${timestamp}-${Math.random().toString(36).substring(7)}`;
     
-    // Save metadata
-    const metadataPath = join(CLIPART_DIR, filename.replace(/\.(png|svg|jpg|jpeg)$/i, '.json'));
-    await fs.writeJson(metadataPath, {
-      name: name || originalName,
-      category: category || 'Uncategorized',
-      uploaded_at: new Date().toISOString(),
-    });
+    // Move file to permanent location; the extension comes from the file contents
+    const { filename } = await clipartStorage.saveUpload(req.file.path, baseName);
+    const item = await addClipart(filename, {
+      name: name || req.file.originalname.replace(/\.[^.]+$/, ''),
+      category,
+      tags,
+      description,
+    }, { sanitized: removed !== null });
     
     res.json({ 
       success: true, 
-      clipart: {
-        id: filename,
-        name: name || originalName,
-        category: category || 'Uncategorized',
-        filename: filename,
-        url: `/api/admin/clipart/${filename}`,
-      }
+      clipart: formatClipart(item),
+      // Parts of an SVG that were taken out, so the admin can check the result
+      sanitized: removed,
     });
   } catch (error) {
-    console.error('Clipart upload error:', error);
-    res.status(500).json({ error: 'Failed to upload clipart', details: error.message });
+    sendStorageError(res, error, 'Failed to upload clipart');
   }
 });
 
-// Admin - Serve clipart image
-app.get('/api/admin/clipart/:filename', (req, res) => {
+// Admin - Update clipart name, category, tags or description
+// PUT /api/admin/clipart/:filename
+app.put('/api/admin/clipart/:filename', checkAdminAuth, requirePermission('assets:write'), async (req, res) => {
   try {
-    const filename = req.params.filename;
-    const filepath = join(CLIPART_DIR, filename);
-    
-    if (!existsSync(filepath)) {
+    const { name, category, tags, description } = req.body || {};
+    const item = await updateClipart(req.params.filename, { name, category, tags, description });
+    if (!item) {
       return res.status(404).json({ error: 'Clipart not found' });
     }
-    
-    res.sendFile(filepath);
+    res.json({ success: true, clipart: formatClipart(item) });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to serve clipart' });
+    sendStorageError(res, error, 'Failed to update clipart');
   }
 });
 
-// Admin - Delete clipart
-app.delete('/api/admin/clipart/:filename', checkAdminAuth, async (req, res) => {
+// Admin - Serve clipart image
+app.get('/api/admin/clipart/:filename', async (req, res) => {
   try {
-    const filename = req.params.filename;
-    const filepath = join(CLIPART_DIR, filename);
-    
-    if (!existsSync(filepath)) {
+    await clipartStorage.send(res, req.params.filename);
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to serve clipart');
+  }
+});
+
+// Admin - Delete clipart (and its metadata)
+app.delete('/api/admin/clipart/:filename', checkAdminAuth, requirePermission('assets:write'), async (req, res) => {
+  try {
+    const removed = await removeClipart(req.params.filename);
+    if (!removed) {
       return res.status(404).json({ error: 'Clipart not found' });
     }
     
-    await fs.remove(filepath);
-    
-    // Also delete metadata if exists
-    const metadataPath = join(CLIPART_DIR, filename.replace(/\.(png|svg|jpg|jpeg)$/i, '.json'));
-    if (existsSync(metadataPath)) {
-      await fs.remove(metadataPath);
-    }
-    
     res.json({ success: true, message: 'Clipart deleted successfully' });
   } catch (error) {
-    console.error('Failed to delete clipart:', error);
-    res.status(500).json({ error: 'Failed to delete clipart', details: error.message });
+    sendStorageError(res, error, 'Failed to delete clipart');
   }
 });
 
-// Admin - Get templates
-app.get('/api/admin/templates', checkAdminAuth, async (req, res) => {
-  try {
-    const templates = [];
-    if (existsSync(TEMPLATES_DIR)) {
-      const files = await fs.readdir(TEMPLATES_DIR);
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const filePath = join(TEMPLATES_DIR, file);
-          const stats = await fs.stat(filePath);
-          try {
-            const templateData = await fs.readJson(filePath);
-            templates.push({
-              id: file,
-              name: templateData.name || file.replace('.json', ''),
-              category: templateData.category || 'Uncategorized',
-              filename: file,
-              preview_url: templateData.preview_url || null,
-              uploaded_at: stats.mtime,
-            });
-          } catch (e) {
-            // Skip invalid JSON files
-            console.error('Invalid template file:', file, e);
-          }
-        }
+// Clipart - Public catalogue for the design tool (read-only)
+// GET /api/clipart?q=&category=&tags=&page=&perPage=
+app.get('/api/clipart', sendClipartPage);
+
+// Clipart - Public category list
+// GET /api/clipart/categories
+app.get('/api/clipart/categories', async (req, res) => {
+  try {
+    const categories = await listCategories();
+    res.json({ categories: categories.map(({ id, name, description, count }) => ({ id, name, description, count })) });
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to get clipart categories');
+  }
+});
+
+// Clipart - Public details of a single item
+// GET /api/clipart/:filename
+app.get('/api/clipart/:filename', async (req, res) => {
+  try {
+    const item = await getClipart(req.params.filename);
+    if (!item) {
+      return res.status(404).json({ error: 'Clipart not found' });
+    }
+    res.json({ clipart: formatClipart(item) });
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to get clipart');
+  }
+});
+
+// Templates - Folder with the rendered thumbnails of a template
+const templateThumbStore = (filename) => templatePreviewStorage.scope(DESIGN_THUMBS_DIR, filename.replace(/\.json$/, ''));
+
+// Templates - Thumbnail URLs, versioned by content so an edited template gets new ones
+const templateThumbnailUrls = (file, templateData) => {
+  let version = null;
+  try {
+    version = designContentHash(migrateDesignDocument(templateData).document);
+  } catch (e) {
+    // Unreadable templates get unversioned URLs; serving them reports the error
+  }
+  return designThumbnailUrls(`/api/templates/${encodeURIComponent(file)}/thumbnails`, version);
+};
+
+// Templates - List entry of a stored template
+// preview_url is the uploaded preview image, or the rendered thumbnail when there is none
+const formatTemplate = (file, templateData, modified) => {
+  const thumbnails = templateThumbnailUrls(file, templateData);
+  return {
+    id: file,
+    name: templateData.name || file.replace('.json', ''),
+    category: templateData.category || 'Uncategorized',
+    tags: Array.isArray(templateData.tags) ? templateData.tags : [],
+    compatibility: templateData.compatibility || null,
+    filename: file,
+    preview_url: templateData.preview_url || thumbnails.medium,
+    thumbnails,
+    uploaded_at: modified,
+  };
+};
+
+// Templates - Every stored template with its document
+const listTemplateRecords = async () => {
+  const templates = [];
+  const { files } = await templateStorage.list();
+  for (const { name: file, modified } of files) {
+    if (file.endsWith('.json')) {
+      try {
+        templates.push({ file, modified, templateData: await templateStorage.readJson(file) });
+      } catch (e) {
+        // Skip invalid JSON files
+        console.error('Invalid template file:', file, e);
       }
     }
+  }
+  return templates;
+};
+
+// Admin - Get templates
+app.get('/api/admin/templates', checkAdminAuth, requirePermission('assets:read'), async (req, res) => {
+  try {
+    const templates = (await listTemplateRecords())
+      .map(({ file, modified, templateData }) => formatTemplate(file, templateData, modified));
     res.json({ templates });
   } catch (error) {
     console.error('Failed to get templates:', error);
@@ -2101,133 +3279,301 @@ app.get('/api/admin/templates', checkAdminAuth, async (req, res) => {
 });
 
 // Admin - Upload template
-app.post('/api/admin/templates/upload', checkAdminAuth, multer({ 
-  dest: TEMPLATES_DIR,
-  limits: { fileSize: 5 * 1024 * 1024 } // 5MB
-}).fields([
+app.post('/api/admin/templates/upload', checkAdminAuth, requirePermission('assets:write'), uploadWithLimit({ dest: UPLOAD_TMP_DIR }, (m) => m.fields([
   { name: 'templateFile', maxCount: 1 },
   { name: 'previewImage', maxCount: 1 }
-]), async (req, res) => {
+]), 5 * 1024 * 1024), async (req, res) => {
   try {
     if (!req.files || !req.files.templateFile || !req.files.templateFile[0]) {
       return res.status(400).json({ error: 'No template file uploaded' });
     }
     
-    const { name, category } = req.body;
+    // tags: comma-separated; compatibility: JSON rules, see templateCompatibilityService
+    const { name, category, tags, compatibility } = req.body;
     const templateFile = req.files.templateFile[0];
     const previewFile = req.files.previewImage ? req.files.previewImage[0] : null;
     
-    // Read and validate template JSON
-    const templateData = await fs.readJson(templateFile.path);
+    // Older template formats are upgraded, then the result is checked against the template schema
+    let finalTemplateData;
+    try {
+      const rules = parseCompatibility(compatibility);
+      finalTemplateData = prepareDesignDocument(await fs.readFile(templateFile.path, 'utf8'), 'template', (templateData) => ({
+        name: name || templateData.name || 'Untitled Template',
+        category: category || templateData.category || 'Uncategorized',
+        tags: normalizeTags(tags !== undefined ? tags : templateData.tags || []),
+        ...(rules !== undefined ? { compatibility: rules } : {}),
+        uploaded_at: new Date().toISOString(),
+      }));
+    } catch (error) {
+      await fs.remove(templateFile.path);
+      if (previewFile) await fs.remove(previewFile.path);
+      throw error;
+    }
     
     // Save template with metadata
     const timestamp = Date.now();
     const templateFilename = `template-${timestamp}.json`;
-    const templatePath = join(TEMPLATES_DIR, templateFilename);
-    
-    const finalTemplateData = {
-      ...templateData,
-      name: name || templateData.name || 'Untitled Template',
-      category: category || templateData.category || 'Uncategorized',
-      uploaded_at: new Date().toISOString(),
-    };
     
     // Handle preview image if uploaded
     if (previewFile) {
-      const previewExt = previewFile.originalname.split('.').pop();
-      const previewFilename = `preview-${timestamp}.${previewExt}`;
-      const previewPath = join(TEMPLATES_DIR, previewFilename);
-      await fs.move(previewFile.path, previewPath);
-      finalTemplateData.preview_url = `/api/admin/templates/preview/${previewFilename}`;
+      const preview = await templatePreviewStorage.saveUpload(previewFile.path, `preview-${timestamp}`);
+      finalTemplateData.preview_url = `/api/admin/templates/preview/${preview.filename}`;
     }
     
-    await fs.writeJson(templatePath, finalTemplateData);
+    await templateStorage.writeJson(templateFilename, finalTemplateData);
     await fs.remove(templateFile.path); // Remove temp file
     
+    // Thumbnails are rendered right away; if that fails they are retried on first request
+    try {
+      await getDesignThumbnails(templateThumbStore(templateFilename), finalTemplateData, await getAssetDirs());
+    } catch (e) {
+      console.error(`Failed to generate thumbnails for ${templateFilename}:`, e.message);
+    }
+    
     res.json({ 
       success: true, 
-      template: {
-        id: templateFilename,
-        name: finalTemplateData.name,
-        category: finalTemplateData.category,
-        filename: templateFilename,
-        preview_url: finalTemplateData.preview_url,
-      }
+      template: formatTemplate(templateFilename, finalTemplateData, finalTemplateData.uploaded_at),
     });
   } catch (error) {
-    console.error('Template upload error:', error);
-    res.status(500).json({ error: 'Failed to upload template', details: error.message });
+    sendStorageError(res, error, 'Failed to upload template');
   }
 });
 
-// Admin - Serve template preview
-app.get('/api/admin/templates/preview/:filename', (req, res) => {
+// Admin - Update template name, category, tags or compatibility rules
+// PUT /api/admin/templates/:filename { name, category, tags, compatibility }
+// compatibility: null removes the rules, so the template fits every product again
+app.put('/api/admin/templates/:filename', checkAdminAuth, requirePermission('assets:write'), async (req, res) => {
   try {
-    const filename = req.params.filename;
-    const filepath = join(TEMPLATES_DIR, filename);
-    
-    if (!existsSync(filepath)) {
-      return res.status(404).json({ error: 'Preview not found' });
+    const { filename } = req.params;
+    const templateData = filename.endsWith('.json') ? await templateStorage.readJson(filename) : null;
+    if (!templateData) {
+      return res.status(404).json({ error: 'Template not found' });
     }
     
-    res.sendFile(filepath);
+    const { name, category, tags, compatibility } = req.body || {};
+    const rules = parseCompatibility(compatibility);
+    // Only the metadata is checked; the layers are left as they are, even in templates that
+    // were stored before the schema existed
+    const updated = {
+      ...templateData,
+      ...prepareTemplateFields({
+        ...(name !== undefined ? { name: String(name).trim() } : {}),
+        ...(category !== undefined ? { category: String(category).trim() || 'Uncategorized' } : {}),
+        ...(tags !== undefined ? { tags: normalizeTags(tags) } : {}),
+        ...(rules !== undefined ? { compatibility: rules } : {}),
+      }),
+      updated_at: new Date().toISOString(),
+    };
+    await templateStorage.writeJson(filename, updated);
+    
+    const stat = await templateStorage.stat(filename);
+    res.json({ success: true, template: formatTemplate(filename, updated, stat?.modified) });
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to update template');
+  }
+});
+
+// Admin - Serve template preview
+app.get('/api/admin/templates/preview/:filename', async (req, res) => {
+  try {
+    await templatePreviewStorage.send(res, req.params.filename);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to serve preview' });
+    sendStorageError(res, error, 'Failed to serve preview');
   }
 });
 
 // Admin - Get template file
-app.get('/api/admin/templates/:filename', checkAdminAuth, async (req, res) => {
+app.get('/api/admin/templates/:filename', checkAdminAuth, requirePermission('assets:read'), async (req, res) => {
   try {
-    const filename = req.params.filename;
-    const filepath = join(TEMPLATES_DIR, filename);
+    const templateData = await templateStorage.readJson(req.params.filename);
     
-    if (!existsSync(filepath)) {
+    if (!templateData) {
       return res.status(404).json({ error: 'Template not found' });
     }
     
-    const templateData = await fs.readJson(filepath);
-    res.json(templateData);
+    // Templates stored in an older format are sent upgraded; the file stays as it is
+    res.json(migrateDesignDocument(templateData).document);
   } catch (error) {
-    console.error('Failed to get template:', error);
-    res.status(500).json({ error: 'Failed to get template', details: error.message });
+    sendStorageError(res, error, 'Failed to get template');
   }
 });
 
 // Admin - Delete template
-app.delete('/api/admin/templates/:filename', checkAdminAuth, async (req, res) => {
+app.delete('/api/admin/templates/:filename', checkAdminAuth, requirePermission('assets:write'), async (req, res) => {
   try {
     const filename = req.params.filename;
-    const filepath = join(TEMPLATES_DIR, filename);
     
-    if (!existsSync(filepath)) {
+    if (!(await templateStorage.exists(filename))) {
       return res.status(404).json({ error: 'Template not found' });
     }
     
     // Read template to get preview URL
     try {
-      const templateData = await fs.readJson(filepath);
+      const templateData = await templateStorage.readJson(filename);
       if (templateData.preview_url) {
-        const previewFilename = templateData.preview_url.split('/').pop();
-        const previewPath = join(TEMPLATES_DIR, previewFilename);
-        if (existsSync(previewPath)) {
-          await fs.remove(previewPath);
-        }
+        // The URL comes from the template file, so it is resolved like any other input
+        await templatePreviewStorage.remove(templateData.preview_url.split('/').pop());
       }
     } catch (e) {
-      // Ignore errors reading template
+      // Ignore errors reading template or invalid preview names
     }
     
-    await fs.remove(filepath);
+    await templateStorage.remove(filename);
+    await templatePreviewStorage.scope(DESIGN_THUMBS_DIR).removeFolder(filename.replace(/\.json$/, ''));
     res.json({ success: true, message: 'Template deleted successfully' });
   } catch (error) {
-    console.error('Failed to delete template:', error);
-    res.status(500).json({ error: 'Failed to delete template', details: error.message });
+    sendStorageError(res, error, 'Failed to delete template');
+  }
+});
+
+// Templates - Templates that fit a product (all templates without one), by name
+// only: template file names to keep, e.g. the template a personalisation link is fixed to
+const listProductTemplates = async (product, { category, tags = [], only = null } = {}) => {
+  const templates = [];
+  for (const { file, modified, templateData } of await listTemplateRecords()) {
+    if (only && !only.includes(file)) continue;
+    const template = formatTemplate(file, templateData, modified);
+    if (category && template.category.toLowerCase() !== String(category).toLowerCase()) continue;
+    if (!tags.every(tag => template.tags.includes(tag))) continue;
+    
+    const match = product ? matchTemplateToProduct(templateData, product) : null;
+    if (match && !match.compatible) continue;
+    templates.push({
+      ...template,
+      url: `/api/templates/${encodeURIComponent(file)}`,
+      ...(match ? { printAreas: match.printAreas } : {}),
+    });
+  }
+  return templates.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Templates - Templates for the design tool, only those that fit the product
+// GET /api/templates?productCode=MUG-11&category=&tags=birthday,kids
+app.get('/api/templates', async (req, res) => {
+  try {
+    const { productCode, category } = req.query;
+    const tags = req.query.tags !== undefined ? normalizeTags(req.query.tags) : [];
+    
+    let product = null;
+    if (productCode) {
+      product = await findLocalProduct(String(productCode));
+      if (!product) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+    }
+    
+    const templates = await listProductTemplates(product, { category, tags });
+    
+    res.json({
+      success: true,
+      productCode: product ? product.productCode || product.id : null,
+      templates,
+      count: templates.length,
+    });
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to get templates');
+  }
+});
+
+// Templates - Template document for the design tool, in the current format
+// GET /api/templates/:filename
+app.get('/api/templates/:filename', async (req, res) => {
+  try {
+    const { filename } = req.params;
+    const templateData = filename.endsWith('.json') ? await templateStorage.readJson(filename) : null;
+    if (!templateData) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json(migrateDesignDocument(templateData).document);
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to get template');
+  }
+});
+
+// Templates - Thumbnail rendered from the template JSON
+// GET /api/templates/:filename/thumbnails/:size (small, medium)
+app.get('/api/templates/:filename/thumbnails/:size', async (req, res) => {
+  try {
+    const { filename } = req.params;
+    const templateData = filename.endsWith('.json') ? await templateStorage.readJson(filename) : null;
+    if (!templateData) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    await sendDesignThumbnail(req, res, templateThumbStore(filename), templateData);
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to serve template thumbnail');
+  }
+});
+
+// Templates - JSON Schemas of the template and design document format, for the editor and tooling
+// GET /api/schemas/template.json, /api/schemas/design-document.json
+const DOCUMENT_SCHEMAS = {
+  'template.json': templateSchema,
+  'design-document.json': designDocumentSchema,
+};
+
+app.get('/api/schemas/:name', (req, res) => {
+  const schema = DOCUMENT_SCHEMAS[req.params.name];
+  if (!schema) {
+    return res.status(404).json({ error: 'Schema not found' });
+  }
+  res.type('application/schema+json').send(JSON.stringify(schema, null, 2));
+});
+
+// Library archives are not bound to the maxUploadSize setting, which is meant for single files
+const ASSET_IMPORT_MAX_BYTES = 500 * 1024 * 1024;
+
+// Admin - Export fonts, clipart (with categories) and templates as one ZIP
+// GET /api/admin/assets/export
+app.get('/api/admin/assets/export', checkAdminAuth, requirePermission('assets:read'), async (req, res) => {
+  try {
+    const filename = `assets-${new Date().toISOString().slice(0, 10)}.zip`;
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('Cache-Control', 'no-store');
+    await assetLibrary.exportTo(res);
+  } catch (error) {
+    if (res.headersSent) {
+      // The download has started; all that is left is to break it off
+      console.error('Failed to export assets:', error);
+      return res.destroy(error);
+    }
+    res.removeHeader('Content-Disposition');
+    sendStorageError(res, error, 'Failed to export assets');
+  }
+});
+
+// Admin - Import a ZIP made by the export (field "archive")
+// POST /api/admin/assets/import?onConflict=skip|replace
+// Each file is checked like a single upload; the response lists what
+// happened to every file (imported, replaced, skipped or failed).
+app.post('/api/admin/assets/import', checkAdminAuth, requirePermission('assets:write'), multer({ dest: UPLOAD_TMP_DIR, limits: { fileSize: ASSET_IMPORT_MAX_BYTES } }).single('archive'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No archive uploaded' });
+  }
+  try {
+    // Same per-file limits as the single upload routes
+    const maxUploadBytes = getSettings().maxUploadSize * 1024 * 1024;
+    const result = await assetLibrary.importArchive(req.file.path, {
+      onConflict: req.query.onConflict || req.body.onConflict,
+      limits: {
+        font: Math.min(maxUploadBytes, 5 * 1024 * 1024),
+        clipart: maxUploadBytes,
+        template: Math.min(maxUploadBytes, 5 * 1024 * 1024),
+        'template-preview': Math.min(maxUploadBytes, 5 * 1024 * 1024),
+      },
+    });
+    
+    res.json({ success: result.summary.failed === 0, ...result });
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to import assets');
+  } finally {
+    await fs.remove(req.file.path);
   }
 });
 
 // Admin - Get links
-app.get('/api/admin/links', checkAdminAuth, async (req, res) => {
+app.get('/api/admin/links', checkAdminAuth, requirePermission('links:read'), async (req, res) => {
   try {
     console.log('GET /api/admin/links - Route hit');
     // Load links from JSON file
@@ -2250,124 +3596,353 @@ app.get('/api/admin/links', checkAdminAuth, async (req, res) => {
   }
 });
 
+// Admin - Link analytics: opens, editor sessions, saved designs and orders over a range of days
+// GET /api/admin/links/analytics?groupBy=sellerId|productCode|linkId|date&from=2024-01-01&to=2024-01-31&sellerId=&productCode=
+app.get('/api/admin/links/analytics', checkAdminAuth, requirePermission('links:read'), (req, res) => {
+  try {
+    const { groupBy, sellerId, productCode } = req.query;
+    if (groupBy && !LINK_ANALYTICS_GROUPS.includes(groupBy)) {
+      return res.status(400).json({ error: `groupBy must be one of ${LINK_ANALYTICS_GROUPS.join(', ')}` });
+    }
+    const range = parseAnalyticsRange(req.query);
+    const { totals, groups } = aggregateLinkEvents({ ...range, groupBy, filter: { sellerId, productCode } });
+    res.json({ success: true, ...range, groupBy: groupBy || null, totals, groups });
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to get link analytics');
+  }
+});
+
+// Admin - Analytics of one link, per day
+// GET /api/admin/links/:id/analytics?from=&to=
+app.get('/api/admin/links/:id/analytics', checkAdminAuth, requirePermission('links:read'), (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    const { totals, groups } = aggregateLinkEvents({ ...range, groupBy: 'date', filter: { linkId: req.params.id } });
+    res.json({ success: true, linkId: req.params.id, ...range, totals, days: groups });
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to get link analytics');
+  }
+});
+
 // Admin - Create link
-app.post('/api/admin/links', checkAdminAuth, async (req, res) => {
+app.post('/api/admin/links', checkAdminAuth, requirePermission('links:manage'), async (req, res) => {
   try {
     const linkData = req.body;
     
-    // Load existing links
-    let links = [];
-    if (existsSync(LINKS_DB)) {
-      try {
-        links = await fs.readJson(LINKS_DB);
-      } catch (e) {
-        links = [];
-      }
-    }
-    
-    // Generate ID
-    const id = `${linkData.sellerId}-${linkData.productCode}-${Date.now()}`;
-    const newLink = {
-      id,
-      productCode: linkData.productCode,
-      sellerId: linkData.sellerId,
-      returnUrl: linkData.returnUrl,
-      volume: linkData.volume || 1,
-      mode: linkData.mode || 'BEFORE_BUY_SHOP',
-      test: linkData.test || false,
-      allowChangeTemplate: linkData.allowChangeTemplate || false,
-      customizedParameters: linkData.customizedParameters || null,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-    };
-    
-    links.push(newLink);
-    
-    // Save to file
-    await fs.writeJson(LINKS_DB, links, { spaces: 2 });
+    // Required fields and the parameters of the mode (400 with field errors)
+    const fields = validateLinkFields(linkData);
+    const expiresAt = parseLinkExpiry(linkData.expires_at) || null;
+    
+    const newLink = await updateLinks((links) => {
+      // Generate ID
+      const id = `${fields.sellerId}-${fields.productCode}-${Date.now()}`;
+      const link = {
+        id,
+        // Short code for /api/l/:code, easier to share than the id
+        code: generateLinkCode(links),
+        ...fields,
+        expires_at: expiresAt,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      };
+      links.push(link);
+      return link;
+    });
     
     res.json({ success: true, link: newLink });
   } catch (error) {
-    console.error('Failed to create link:', error);
-    res.status(500).json({ error: 'Failed to create link', details: error.message });
+    sendStorageError(res, error, 'Failed to create link');
   }
 });
 
 // Admin - Update link
-app.put('/api/admin/links/:id', checkAdminAuth, async (req, res) => {
+app.put('/api/admin/links/:id', checkAdminAuth, requirePermission('links:manage'), async (req, res) => {
   try {
     const linkId = req.params.id;
     const linkData = req.body;
-    
-    // Load existing links
-    let links = [];
-    if (existsSync(LINKS_DB)) {
-      try {
-        links = await fs.readJson(LINKS_DB);
-      } catch (e) {
-        links = [];
+    const fields = validateLinkFields(linkData);
+    const expiresAt = parseLinkExpiry(linkData.expires_at);
+    
+    // Changes the stored link, so completion state written meanwhile is kept
+    const link = await updateLinks((links) => {
+      const linkIndex = links.findIndex(l => l.id === linkId);
+      if (linkIndex === -1) {
+        throw new StorageError('Link not found', 404);
       }
-    }
-    
-    const linkIndex = links.findIndex(l => l.id === linkId);
-    if (linkIndex === -1) {
-      return res.status(404).json({ error: 'Link not found' });
-    }
-    
-    // Update link
-    links[linkIndex] = {
-      ...links[linkIndex],
-      productCode: linkData.productCode,
-      sellerId: linkData.sellerId,
-      returnUrl: linkData.returnUrl,
-      volume: linkData.volume || 1,
-      mode: linkData.mode || 'BEFORE_BUY_SHOP',
-      test: linkData.test || false,
-      allowChangeTemplate: linkData.allowChangeTemplate || false,
-      customizedParameters: linkData.customizedParameters || null,
-      updated_at: new Date().toISOString(),
-    };
-    
-    // Save to file
-    await fs.writeJson(LINKS_DB, links, { spaces: 2 });
+      
+      // Update link (expires_at is kept when it is not sent)
+      links[linkIndex] = {
+        ...links[linkIndex],
+        code: links[linkIndex].code || generateLinkCode(links),
+        ...fields,
+        expires_at: expiresAt === undefined ? links[linkIndex].expires_at || null : expiresAt,
+        updated_at: new Date().toISOString(),
+      };
+      return links[linkIndex];
+    });
     
-    res.json({ success: true, link: links[linkIndex] });
+    res.json({ success: true, link });
   } catch (error) {
-    console.error('Failed to update link:', error);
-    res.status(500).json({ error: 'Failed to update link', details: error.message });
+    sendStorageError(res, error, 'Failed to update link');
   }
 });
 
 // Admin - Delete link
-app.delete('/api/admin/links/:id', checkAdminAuth, async (req, res) => {
+app.delete('/api/admin/links/:id', checkAdminAuth, requirePermission('links:manage'), async (req, res) => {
   try {
     const linkId = req.params.id;
     
-    // Load existing links
-    let links = [];
-    if (existsSync(LINKS_DB)) {
-      try {
-        links = await fs.readJson(LINKS_DB);
-      } catch (e) {
-        links = [];
+    await updateLinks((links) => {
+      const linkIndex = links.findIndex(l => l.id === linkId);
+      if (linkIndex === -1) {
+        throw new StorageError('Link not found', 404);
       }
+      
+      // Remove link
+      links.splice(linkIndex, 1);
+    });
+    
+    res.json({ success: true, message: 'Link deleted successfully' });
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to delete link');
+  }
+});
+
+// Links - All personalisation links (none when the database cannot be read)
+const readLinks = async () => {
+  if (!existsSync(LINKS_DB)) return [];
+  try {
+    return await fs.readJson(LINKS_DB);
+  } catch (e) {
+    console.error('Failed to read links DB:', e);
+    return [];
+  }
+};
+
+// Links - Read-modify-write of the links DB, one at a time so concurrent changes cannot overwrite each other
+let linksWriteChain = Promise.resolve();
+const updateLinks = (change) => {
+  const update = linksWriteChain.then(async () => {
+    const links = await readLinks();
+    const result = await change(links);
+    await fs.writeJson(LINKS_DB, links, { spaces: 2 });
+    return result;
+  });
+  linksWriteChain = update.catch(() => {});
+  return update;
+};
+
+// Links - Mark a single-use link as completed (410 when another request completed it first)
+const claimLink = (linkId, completedDesign) => updateLinks((links) => {
+  const stored = links.find(l => l.id === linkId);
+  if (!stored) {
+    throw new StorageError('Link not found', 404);
+  }
+  if (stored.completed_at) {
+    throw new StorageError('This link has already been used', 410);
+  }
+  stored.completed_at = new Date().toISOString();
+  stored.completedDesign = completedDesign;
+});
+
+// Links - Undo claimLink() when the completion failed afterwards
+const releaseLink = (linkId) => updateLinks((links) => {
+  const stored = links.find(l => l.id === linkId);
+  if (stored) {
+    delete stored.completed_at;
+    delete stored.completedDesign;
+  }
+});
+
+// Links - Count a link event without holding up or failing the request; test links are not counted
+const trackLinkEvent = (link, event, options) => {
+  if (link.test) return;
+  recordLinkEvent(link, event, options)
+    .catch(error => console.error(`Failed to record link ${event}:`, error.message));
+};
+
+// Links - Test links open for panel users who can read links; the session is optional here
+const canOpenTestLinks = (req) => {
+  const result = verifySession(getBearerToken(req.headers.authorization));
+  return result.valid && hasPermission(resolveSessionRole(result.payload), 'links:read');
+};
+
+// Links - Link of :linkId (id or short code) that can be used right now
+const resolveLink = async (req) => {
+  const link = findLink(await readLinks(), req.params.linkId);
+  if (!link) {
+    throw new StorageError('Link not found', 404);
+  }
+  assertLinkUsable(link, { canTest: canOpenTestLinks(req) });
+  return link;
+};
+
+// Links - Links the designs of an order were made through. Each line item's _design_id is a
+// design of the ordering customer, and its metadata names the link it was saved through
+const orderLinkIds = async (order) => {
+  const designIds = new Set((order.line_items || [])
+    .map(item => item.meta_data?.find(meta => meta.key === '_design_id')?.value)
+    .filter(Boolean)
+    .map(String));
+  if (!order.customer_id || designIds.size === 0) return [];
+  
+  const linkIds = new Set();
+  for (const designId of designIds) {
+    try {
+      const metadata = await customerDesignStorage.scope(String(order.customer_id), designId).readJson('metadata.json');
+      if (metadata?.linkId) linkIds.add(String(metadata.linkId));
+    } catch (error) {
+      console.error(`Failed to read design ${designId} of order ${order.id}:`, error.message);
+    }
+  }
+  return [...linkIds];
+};
+
+// Links - Whether a design's productId is the link's product (by product code or ID)
+const isLinkProduct = async (link, productId) => {
+  if (!productId) return false;
+  if (String(productId) === String(link.productCode)) return true;
+  const product = await findLocalProduct(link.productCode);
+  return Boolean(product) && [product.id, product.productCode].map(String).includes(String(productId));
+};
+
+// Links - Open a personalisation link in the design tool: product, templates and parameters
+// GET /api/l/:linkId (link id or short code)
+app.get('/api/l/:linkId', async (req, res) => {
+  try {
+    const link = await resolveLink(req);
+    const product = await findLocalProduct(link.productCode);
+    if (!product) {
+      return res.status(404).json({ error: 'Product of this link not found' });
+    }
+    
+    // A link with a templateId keeps the customer on that template unless allowChangeTemplate is set
+    const templateId = link.customizedParameters?.templateId;
+    const templates = await listProductTemplates(product, {
+      only: templateId && !link.allowChangeTemplate ? [String(templateId)] : null,
+    });
+    
+    trackLinkEvent(link, 'open');
+    res.json({
+      success: true,
+      test: Boolean(link.test),
+      // Preview links show the product only; the design tool offers no save or finish
+      readOnly: Boolean(LINK_MODES[link.mode]?.readOnly),
+      link: {
+        id: link.id,
+        code: link.code || null,
+        mode: link.mode,
+        volume: link.volume,
+        sellerId: link.sellerId,
+        productCode: link.productCode,
+        allowChangeTemplate: Boolean(link.allowChangeTemplate),
+        orderReference: link.orderReference || null,
+        variableFields: link.variableFields || null,
+        expires_at: link.expires_at || null,
+      },
+      product,
+      templates,
+      customizedParameters: link.customizedParameters || null,
+    });
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to open link');
+  }
+});
+
+// Links - The design tool started an editor session for a link
+// POST /api/l/:linkId/sessions
+app.post('/api/l/:linkId/sessions', async (req, res) => {
+  try {
+    const link = await resolveLink(req);
+    if (LINK_MODES[link.mode]?.readOnly) {
+      return res.status(409).json({ error: `${link.mode} links have no editor sessions` });
+    }
+    trackLinkEvent(link, 'session');
+    res.status(201).json({ success: true, sessionId: crypto.randomUUID(), linkId: link.id });
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to start link session');
+  }
+});
+
+// Links - Finish a personalisation link: back to the seller's returnUrl with the signed result
+// POST /api/l/:linkId/complete { userId, designId, units }
+// What the seller gets depends on the mode: AFTER_BUY adds the orderReference and the link
+// stops working, B2B_BULK needs units (one object of variableFields values per unit) and
+// adds a signed URL to them, PREVIEW_ONLY links cannot be completed. The design must have
+// been saved through this link (409 otherwise).
+// Redirects (303); clients that accept JSON get { redirectUrl, result } to navigate themselves
+app.post('/api/l/:linkId/complete', checkAdminAuth, requireDesignOwner('customer_designs:read'), async (req, res) => {
+  try {
+    const link = await resolveLink(req);
+    if (LINK_MODES[link.mode]?.readOnly) {
+      return res.status(409).json({ error: `${link.mode} links cannot be completed` });
+    }
+    const { userId, designId } = req.body;
+    if (!userId || !designId) {
+      return res.status(400).json({ error: 'Missing required fields', required: ['userId', 'designId'] });
     }
+    const units = link.mode === 'B2B_BULK' ? validateBulkUnits(link, req.body.units) : null;
     
-    const linkIndex = links.findIndex(l => l.id === linkId);
-    if (linkIndex === -1) {
-      return res.status(404).json({ error: 'Link not found' });
+    const designStore = customerDesignStorage.scope(String(userId), String(designId));
+    const metadata = await designStore.readJson('metadata.json');
+    if (!metadata && !(await designStore.stat('design.json'))) {
+      return res.status(404).json({ error: 'Design not found' });
+    }
+    // Only designs saved through this link, for its product, can be handed to the seller
+    const savedThroughLink = metadata?.linkId && [link.id, link.code].includes(String(metadata.linkId));
+    if (!savedThroughLink || (metadata.productId && !(await isLinkProduct(link, metadata.productId)))) {
+      return res.status(409).json({ error: 'Design was not made through this link' });
     }
     
-    // Remove link
-    links.splice(linkIndex, 1);
+    // Single-use links are claimed before anything is signed, so only one completion gets a result
+    const singleUse = Boolean(LINK_MODES[link.mode]?.singleUse);
+    if (singleUse) {
+      await claimLink(link.id, { userId: String(userId), designId: String(designId) });
+    }
     
-    // Save to file
-    await fs.writeJson(LINKS_DB, links, { spaces: 2 });
+    let redirectUrl;
+    let result;
+    try {
+      // The seller fetches files without a session, so they get signed URLs
+      const signedUrl = (path) => `${BACKEND_PUBLIC_URL}${signPath(path, PREVIEW_LINK_DEFAULT_TTL).url}`;
+      const thumbnailPath = customerDesignThumbnailUrls(userId, designId, null).medium;
+      result = {
+        linkId: link.id,
+        sellerId: link.sellerId,
+        productCode: link.productCode,
+        mode: link.mode,
+        volume: link.volume,
+        test: Boolean(link.test),
+        userId: String(userId),
+        designId: String(designId),
+        savedAt: metadata?.savedAt || null,
+        previewUrl: signedUrl(thumbnailPath),
+        nonce: crypto.randomUUID(),
+      };
+      if (link.mode === 'AFTER_BUY') {
+        result.orderReference = link.orderReference;
+      }
+      if (units) {
+        // Too many values for a URL; they are stored with the design and fetched by the seller
+        await designStore.writeJson('units.json', { linkId: link.id, variableFields: link.variableFields, units });
+        result.unitCount = units.length;
+        result.variableFields = link.variableFields;
+        result.unitsUrl = signedUrl(`/api/customer-designs/${encodeURIComponent(userId)}/${encodeURIComponent(designId)}/units.json`);
+      }
+      redirectUrl = buildReturnUrl(link.returnUrl, signLinkResult(result, LINK_SIGNING_SECRET));
+    } catch (error) {
+      if (singleUse) {
+        await releaseLink(link.id).catch(e => console.error('Failed to release link:', e.message));
+      }
+      throw error;
+    }
     
-    res.json({ success: true, message: 'Link deleted successfully' });
+    if (req.headers.accept && req.headers.accept.includes('application/json')) {
+      return res.json({ success: true, redirectUrl, result });
+    }
+    res.redirect(303, redirectUrl);
   } catch (error) {
-    console.error('Failed to delete link:', error);
-    res.status(500).json({ error: 'Failed to delete link', details: error.message });
+    sendStorageError(res, error, 'Failed to complete link');
   }
 });
 
@@ -2431,6 +4006,13 @@ const startServer = async () => {
       console.warn('   Some features may not work until MongoDB is available');
     }
     
+    // Two handlers for the same method and path means one of them never runs
+    assertUniqueRoutes(app);
+    
+    // Resume queued order exports and image jobs
+    orderExportQueue.start();
+    imageQueue.start();
+    
     // Start Express server
     app.listen(PORT, () => {
       console.log(`
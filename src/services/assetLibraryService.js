@@ -0,0 +1,411 @@
+import archiver from 'archiver';
+import yauzl from 'yauzl';
+import { Readable } from 'stream';
+import { promisify } from 'util';
+import { StorageError, FILE_TYPES, FONT_TYPES, IMAGE_TYPES, sniffContentType } from './storageService.js';
+import { describeFont, getFontMetadata, fontMetadataName, fontSlug } from './fontMetadataService.js';
+import { getWebFont, removeWebFonts } from './webFontService.js';
+import { sanitizeSvg } from './svgSanitizer.js';
+import { prepareDesignDocument } from './designSchemaService.js';
+import {
+  UNCATEGORIZED,
+  getClipart,
+  addClipart,
+  removeClipart,
+  validateClipartFields,
+  listCategories,
+  createCategory,
+  invalidateClipartCatalog,
+} from './clipartCatalogService.js';
+
+/**
+ * Export and import of the asset library (fonts, clipart, templates) as one
+ * ZIP, for moving a library between installations such as staging and
+ * production.
+ *
+ * The archive has a manifest.json that lists every file with its type and
+ * metadata, next to the files themselves:
+ *   fonts/<file>       uploaded font files (web versions are regenerated)
+ *   clipart/<file>     clipart images; categories are in the manifest
+ *   templates/<file>   template JSON files and their preview images
+ * Imported files go through the same checks as single uploads: types are
+ * sniffed, font metadata is read from the files, SVGs are sanitised and
+ * templates are validated against the template schema.
+ */
+
+export const ASSET_MANIFEST = 'manifest.json';
+export const ASSET_ARCHIVE_FORMAT = 'design-tool-assets';
+export const ASSET_ARCHIVE_VERSION = 1;
+
+// What happens when an imported file already exists
+export const CONFLICT_POLICIES = ['skip', 'replace'];
+
+const MAX_ARCHIVE_ENTRIES = 10000;
+const MAX_MANIFEST_BYTES = 10 * 1024 * 1024;
+
+const FOLDERS = { font: 'fonts', clipart: 'clipart', template: 'templates', 'template-preview': 'templates' };
+const CLIPART_TYPES = ['png', 'jpeg', 'svg'];
+
+const baseNameOf = (filename) => filename.replace(/\.[^.]+$/, '');
+const extensionOf = (filename) => (filename.match(/\.([^.]+)$/) || [])[1]?.toLowerCase() || '';
+
+// Stored files are read only when the archive gets to them, so the whole
+// library is never held in memory at once
+const lazyFile = (store, name) => Readable.from((async function* () {
+  const buffer = await store.read(name);
+  if (buffer) yield buffer;
+})(), { objectMode: false });
+
+// Type of an imported file, checked against the types its store accepts
+const checkedType = (buffer, types) => {
+  const type = sniffContentType(buffer);
+  if (!type || !types.includes(type)) {
+    throw new StorageError(`Unsupported file type${type ? ` (${type})` : ''}`, 415);
+  }
+  return type;
+};
+
+const openZip = promisify(yauzl.open);
+
+// Entries of a ZIP by path, plus a reader for single entries
+const readZip = async (zipPath) => {
+  let zipfile;
+  try {
+    zipfile = await openZip(zipPath, { lazyEntries: true, autoClose: false });
+  } catch (error) {
+    throw new StorageError(`File is not a readable ZIP archive (${error.message})`, 415);
+  }
+  
+  const entries = new Map();
+  try {
+    await new Promise((resolve, reject) => {
+      zipfile.on('entry', (entry) => {
+        if (entries.size >= MAX_ARCHIVE_ENTRIES) {
+          reject(new StorageError(`Archives may contain at most ${MAX_ARCHIVE_ENTRIES} files`));
+          return;
+        }
+        if (!entry.fileName.endsWith('/')) {
+          entries.set(entry.fileName, entry);
+        }
+        zipfile.readEntry();
+      });
+      zipfile.on('end', resolve);
+      zipfile.on('error', error => reject(new StorageError(`File is not a readable ZIP archive (${error.message})`, 415)));
+      zipfile.readEntry();
+    });
+  } catch (error) {
+    zipfile.close();
+    throw error;
+  }
+  
+  const openReadStream = promisify(zipfile.openReadStream.bind(zipfile));
+  return {
+    entries,
+    async read(entry) {
+      const chunks = [];
+      for await (const chunk of await openReadStream(entry)) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    },
+    close: () => zipfile.close(),
+  };
+};
+
+/**
+ * @param {Object} stores
+ * @param {Object} stores.fonts - Font store
+ * @param {Object} stores.clipart - Clipart store (catalogue initialised with initClipartCatalog())
+ * @param {Object} stores.templates - Template store
+ * @param {Object} stores.templatePreviews - Store of template preview images
+ * @returns {{ exportTo: Function, importArchive: Function }}
+ */
+export const createAssetLibrary = (stores) => {
+  const manifestEntry = (type, filename, metadata) => ({
+    path: `${FOLDERS[type]}/${filename}`,
+    type,
+    filename,
+    ...(metadata ? { metadata } : {}),
+  });
+  
+  const collectFiles = async () => {
+    const files = [];
+    
+    for (const { name } of (await stores.fonts.list()).files) {
+      if (!FONT_TYPES.includes(extensionOf(name))) continue;
+      const metadata = await getFontMetadata(stores.fonts, name);
+      if (!metadata) continue;
+      // Usage belongs to the installation the font was scanned on
+      const { used, usage, ...fields } = metadata;
+      files.push({ store: stores.fonts, entry: manifestEntry('font', name, fields) });
+    }
+    
+    for (const { name } of (await stores.clipart.list()).files) {
+      const item = await getClipart(name);
+      if (!item) continue;
+      const { name: title, category, tags, description, uploaded_at: uploadedAt } = item;
+      files.push({
+        store: stores.clipart,
+        entry: manifestEntry('clipart', name, { name: title, category, tags, description, uploaded_at: uploadedAt }),
+      });
+    }
+    
+    for (const { name } of (await stores.templates.list()).files) {
+      const extension = extensionOf(name);
+      if (extension === 'json') {
+        files.push({ store: stores.templates, entry: manifestEntry('template', name) });
+      } else if (IMAGE_TYPES.some(type => FILE_TYPES[type].ext === extension)) {
+        files.push({ store: stores.templatePreviews, entry: manifestEntry('template-preview', name) });
+      }
+    }
+    return files;
+  };
+  
+  /**
+   * Write the whole library as a ZIP into a stream (e.g. an Express response).
+   * @param {Writable} output
+   * @returns {Promise<{ files: number }>} Resolves once the archive is complete
+   */
+  const exportTo = async (output) => {
+    const files = await collectFiles();
+    const categories = (await listCategories())
+      .filter(category => category.id !== UNCATEGORIZED)
+      .map(({ id, name, description }) => ({ id, name, description }));
+    
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const finished = new Promise((resolve, reject) => {
+      output.on('finish', resolve);
+      output.on('error', reject);
+      archive.on('error', reject);
+    });
+    archive.pipe(output);
+    
+    archive.append(JSON.stringify({
+      format: ASSET_ARCHIVE_FORMAT,
+      version: ASSET_ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      clipartCategories: categories,
+      files: files.map(file => file.entry),
+    }, null, 2), { name: ASSET_MANIFEST });
+    
+    for (const { store, entry } of files) {
+      archive.append(lazyFile(store, entry.filename), { name: entry.path });
+    }
+    await archive.finalize();
+    await finished;
+    return { files: files.length };
+  };
+  
+  // Import handlers per manifest type; each returns 'imported', 'replaced' or 'skipped'
+  const importers = {
+    async font(buffer, entry, context) {
+      checkedType(buffer, FONT_TYPES);
+      const metadata = entry.metadata || {};
+      const { fullName, ...fields } = describeFont(buffer, metadata);
+      const fontId = fontSlug(`${fields.family} ${fields.subfamily}`);
+      if (!fontId) {
+        throw new StorageError('Font family name has no usable characters');
+      }
+      
+      // One file per family variant, whatever its format
+      const existing = [];
+      for (const type of FONT_TYPES) {
+        if (await stores.fonts.exists(`${fontId}.${type}`)) existing.push(`${fontId}.${type}`);
+      }
+      if (existing.length > 0) {
+        if (context.onConflict === 'skip') return { status: 'skipped', reason: `${fields.family} ${fields.subfamily} already exists` };
+        for (const filename of existing) {
+          await stores.fonts.remove(filename);
+          await stores.fonts.remove(fontMetadataName(filename));
+          await removeWebFonts(stores.fonts, filename);
+        }
+      }
+      
+      const filename = `${fontId}.${FILE_TYPES[fields.format].ext}`;
+      await stores.fonts.write(filename, buffer, { contentType: FILE_TYPES[fields.format].mime });
+      await stores.fonts.writeJson(fontMetadataName(filename), {
+        id: fontId,
+        name: fullName,
+        ...fields,
+        filename,
+        license: metadata.license || 'public',
+        used: false,
+        uploaded_at: metadata.uploaded_at || new Date().toISOString(),
+      });
+      
+      let warning = null;
+      try {
+        await getWebFont(stores.fonts, filename);
+      } catch (e) {
+        // Retried on first request, like after an upload
+        warning = `WOFF2 version could not be generated (${e.message})`;
+      }
+      return { status: existing.length > 0 ? 'replaced' : 'imported', filename, ...(warning ? { warning } : {}) };
+    },
+    
+    async clipart(buffer, entry, context) {
+      const type = checkedType(buffer, CLIPART_TYPES);
+      const metadata = entry.metadata || {};
+      const category = context.categories.get(metadata.category) || metadata.category;
+      const fields = { name: metadata.name, category, tags: metadata.tags, description: metadata.description };
+      await validateClipartFields(fields);
+      
+      let removed = null;
+      if (type === 'svg') {
+        const result = sanitizeSvg(buffer);
+        buffer = Buffer.from(result.svg);
+        removed = result.removed;
+      }
+      
+      const filename = `${baseNameOf(entry.filename)}.${FILE_TYPES[type].ext}`;
+      const exists = await stores.clipart.exists(filename);
+      if (exists) {
+        if (context.onConflict === 'skip') return { status: 'skipped', reason: 'Clipart already exists', filename };
+        await removeClipart(filename);
+      }
+      await stores.clipart.write(filename, buffer, { contentType: FILE_TYPES[type].mime });
+      await addClipart(filename, fields, { sanitized: removed !== null });
+      return { status: exists ? 'replaced' : 'imported', filename, ...(removed?.length ? { sanitized: removed } : {}) };
+    },
+    
+    async template(buffer, entry, context) {
+      if (extensionOf(entry.filename) !== 'json') {
+        throw new StorageError('Template files must be .json', 415);
+      }
+      // Checked like an upload: older formats are upgraded, then validated against the schema
+      const data = prepareDesignDocument(buffer.toString('utf8').replace(/^\uFEFF/, ''), 'template', template => ({
+        name: template.name || 'Untitled Template',
+        category: template.category || 'Uncategorized',
+      }));
+      
+      const exists = await stores.templates.exists(entry.filename);
+      if (exists && context.onConflict === 'skip') return { status: 'skipped', reason: 'Template already exists' };
+      await stores.templates.writeJson(entry.filename, data);
+      return { status: exists ? 'replaced' : 'imported', filename: entry.filename };
+    },
+    
+    async 'template-preview'(buffer, entry, context) {
+      const type = checkedType(buffer, IMAGE_TYPES);
+      // The name stays the same so the preview_url of imported templates keeps working
+      const filename = `${baseNameOf(entry.filename)}.${FILE_TYPES[type].ext}`;
+      const exists = await stores.templatePreviews.exists(filename);
+      if (exists && context.onConflict === 'skip') return { status: 'skipped', reason: 'Preview image already exists', filename };
+      await stores.templatePreviews.write(filename, type === 'svg' ? sanitizeSvg(buffer).svg : buffer, { contentType: FILE_TYPES[type].mime });
+      return { status: exists ? 'replaced' : 'imported', filename };
+    },
+  };
+  
+  // Manifest categories by id; unknown ones are created, matching ones reused
+  const importCategories = async (list) => {
+    const ids = new Map();
+    const created = [];
+    const existing = await listCategories();
+    for (const category of Array.isArray(list) ? list : []) {
+      if (!category || !category.id || !category.name) continue;
+      const wanted = String(category.name).toLowerCase();
+      const match = existing.find(entry => entry.id === category.id || entry.name.toLowerCase() === wanted);
+      if (match) {
+        ids.set(category.id, match.id);
+      } else {
+        const added = await createCategory({ name: category.name, description: category.description });
+        existing.push(added);
+        ids.set(category.id, added.id);
+        created.push(added.id);
+      }
+    }
+    return { ids, created };
+  };
+  
+  /**
+   * Import a library ZIP. Every file is handled on its own: one that fails
+   * does not stop the others, and the result says what happened to each.
+   * @param {string} zipPath - Uploaded archive
+   * @param {Object} [options]
+   * @param {string} [options.onConflict='skip'] - 'skip' keeps existing files, 'replace' overwrites them
+   * @param {Object} [options.limits] - Largest accepted file per manifest type in bytes, e.g. { font: 5242880 }
+   * @returns {Promise<Object>} { summary, categories, files: [{ path, type, status, filename, reason, error, errors }] }
+   * @throws {StorageError} For unreadable archives and missing or invalid manifests
+   */
+  const importArchive = async (zipPath, options = {}) => {
+    const onConflict = options.onConflict || 'skip';
+    if (!CONFLICT_POLICIES.includes(onConflict)) {
+      throw new StorageError(`onConflict must be one of: ${CONFLICT_POLICIES.join(', ')}`);
+    }
+    
+    const zip = await readZip(zipPath);
+    try {
+      const manifestFile = zip.entries.get(ASSET_MANIFEST);
+      if (!manifestFile) {
+        throw new StorageError(`Archive has no ${ASSET_MANIFEST}`);
+      }
+      if (manifestFile.uncompressedSize > MAX_MANIFEST_BYTES) {
+        throw new StorageError(`${ASSET_MANIFEST} is too large`);
+      }
+      let manifest;
+      try {
+        manifest = JSON.parse((await zip.read(manifestFile)).toString('utf8').replace(/^\uFEFF/, ''));
+      } catch (e) {
+        throw new StorageError(`${ASSET_MANIFEST} is not valid JSON (${e.message})`);
+      }
+      if (manifest?.format !== ASSET_ARCHIVE_FORMAT || !Array.isArray(manifest.files)) {
+        throw new StorageError(`${ASSET_MANIFEST} is not an asset library manifest`);
+      }
+      if (manifest.version > ASSET_ARCHIVE_VERSION) {
+        throw new StorageError(`Manifest version ${manifest.version} is newer than this server supports (${ASSET_ARCHIVE_VERSION})`);
+      }
+      
+      const { ids: categories, created } = await importCategories(manifest.clipartCategories);
+      const context = { onConflict, categories };
+      const results = [];
+      const listed = new Set([ASSET_MANIFEST]);
+      
+      for (const entry of manifest.files) {
+        const path = String(entry?.path || '');
+        const result = { path, type: entry?.type || null };
+        listed.add(path);
+        try {
+          const importer = importers[entry?.type];
+          if (!importer) {
+            throw new StorageError(`Unknown file type "${entry?.type}"`);
+          }
+          if (typeof entry.filename !== 'string' || !entry.filename) {
+            throw new StorageError('Manifest entry has no filename');
+          }
+          const file = zip.entries.get(path);
+          if (!file) {
+            throw new StorageError('File is listed in the manifest but missing from the archive', 404);
+          }
+          const maxBytes = options.limits?.[entry.type] ?? Infinity;
+          if (file.uncompressedSize > maxBytes) {
+            throw new StorageError(`File is larger than ${Math.floor(maxBytes / (1024 * 1024))} MB`, 413);
+          }
+          Object.assign(result, await importer(await zip.read(file), entry, context));
+        } catch (error) {
+          result.status = 'failed';
+          result.error = error.message;
+          if (error.errors) result.errors = error.errors;
+          if (!(error instanceof StorageError)) {
+            console.error(`Failed to import ${path}:`, error);
+          }
+        }
+        results.push(result);
+      }
+      
+      for (const path of zip.entries.keys()) {
+        if (!listed.has(path)) {
+          results.push({ path, type: null, status: 'skipped', reason: 'Not listed in the manifest' });
+        }
+      }
+      
+      const summary = { imported: 0, replaced: 0, skipped: 0, failed: 0 };
+      results.forEach((result) => { summary[result.status] += 1; });
+      return { summary, categories: { created }, files: results };
+    } finally {
+      zip.close();
+      // Replaced files and new categories are picked up on the next catalogue read
+      invalidateClipartCatalog();
+    }
+  };
+  
+  return { exportTo, importArchive };
+};
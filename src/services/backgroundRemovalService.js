@@ -0,0 +1,78 @@
+import { Worker } from 'worker_threads';
+import { dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+/**
+ * Background removal for uploaded images.
+ *
+ * Uses @imgly/background-removal-node, the server build of the
+ * @imgly/background-removal model. Inference runs in a worker thread so a
+ * large image never blocks the event loop. The model files ship inside the
+ * npm package and are read from disk (file://), so no network access is
+ * needed; assetsPath can point at a copy elsewhere.
+ */
+
+export const BACKGROUND_REMOVAL_MODELS = ['small', 'medium'];
+
+const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * file:// URL of the model assets bundled with the npm package.
+ * @returns {string}
+ */
+export const getBundledAssetsPath = () => {
+  const entry = fileURLToPath(import.meta.resolve('@imgly/background-removal-node'));
+  return `${pathToFileURL(dirname(entry)).href}/`;
+};
+
+/**
+ * Name of the transparent variant stored next to an image.
+ * @param {string} filename
+ * @returns {string}
+ */
+export const backgroundRemovedName = (filename) => `${filename.replace(/\.[^.]+$/, '')}-nobg.png`;
+
+/**
+ * Remove the background of an image.
+ * @param {Buffer} image - Any format sharp can read
+ * @param {Object} [options]
+ * @param {string} [options.model='medium'] - small | medium
+ * @param {string} [options.assetsPath] - Directory or file:// URL with resources.json and the model chunks
+ * @param {number} [options.timeoutMs] - The worker is stopped after this long
+ * @returns {Promise<Buffer>} Transparent PNG in the original size
+ */
+export const removeImageBackground = (image, options = {}) => new Promise((resolve, reject) => {
+  const model = options.model || 'medium';
+  if (!BACKGROUND_REMOVAL_MODELS.includes(model)) {
+    reject(new Error(`Unknown background removal model: ${model}`));
+    return;
+  }
+  
+  let publicPath = getBundledAssetsPath();
+  if (options.assetsPath) {
+    publicPath = options.assetsPath.startsWith('file://') ? options.assetsPath : pathToFileURL(options.assetsPath).href;
+    publicPath = publicPath.replace(/\/?$/, '/');
+  }
+  
+  const worker = new Worker(new URL('./backgroundRemovalWorker.js', import.meta.url), {
+    workerData: { image, model, publicPath },
+  });
+  
+  let settled = false;
+  const finish = (error, buffer) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timer);
+    worker.terminate();
+    if (error) reject(error);
+    else resolve(buffer);
+  };
+  
+  const timer = setTimeout(() => finish(new Error('Background removal timed out')), options.timeoutMs || DEFAULT_TIMEOUT_MS);
+  worker.on('message', (message) => {
+    if (message.error) finish(new Error(message.error));
+    else finish(null, Buffer.from(message.buffer));
+  });
+  worker.on('error', finish);
+  worker.on('exit', (code) => finish(new Error(`Background removal worker stopped (exit code ${code})`)));
+});
@@ -0,0 +1,23 @@
+import { parentPort, workerData } from 'worker_threads';
+import sharp from 'sharp';
+import { removeBackground } from '@imgly/background-removal-node';
+
+/**
+ * Worker thread for backgroundRemovalService: decodes the image, runs the
+ * segmentation model and posts the transparent PNG back.
+ */
+
+const run = async () => {
+  // The library only decodes PNG/JPEG/WebP, so everything else (SVG, GIF, CMYK) goes through sharp first
+  const png = await sharp(Buffer.from(workerData.image)).rotate().toColourspace('srgb').png().toBuffer();
+  const result = await removeBackground(new Blob([png], { type: 'image/png' }), {
+    publicPath: workerData.publicPath,
+    model: workerData.model,
+    output: { format: 'image/png' },
+  });
+  return Buffer.from(await result.arrayBuffer());
+};
+
+run()
+  .then(buffer => parentPort.postMessage({ buffer }))
+  .catch(error => parentPort.postMessage({ error: error.message || String(error) }));
@@ -0,0 +1,483 @@
+import fs from 'fs-extra';
+import { existsSync } from 'fs';
+import { StorageError } from './storageService.js';
+import { sanitizeSvg } from './svgSanitizer.js';
+
+/**
+ * Clipart catalogue: categories, tags, search and pagination.
+ *
+ * Each clipart file keeps its metadata in a <name>.json sidecar in the
+ * clipart store (name, category, tags, description). Categories are kept
+ * in a JSON file. Both are cached and read again after a few seconds, so
+ * changes made by other server processes show up; changes made through this
+ * module update the cache at once.
+ */
+
+export const UNCATEGORIZED = 'uncategorized';
+
+const CLIPART_FILE = /\.(png|svg|jpg|jpeg)$/i;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const DEFAULT_PER_PAGE = 24;
+const MAX_PER_PAGE = 100;
+const DEFAULT_CACHE_TTL_SECONDS = 30;
+
+let clipartStore = null;
+let categoriesFile = null;
+let categories = []; // [{ id, name, description, created_at, updated_at }]
+let items = null; // cached catalogue, null until first read
+let loadedAt = 0;
+let loading = null;
+let cacheTtlMs = DEFAULT_CACHE_TTL_SECONDS * 1000;
+
+/**
+ * @param {Object} options
+ * @param {Object} options.store - Clipart store
+ * @param {string} options.categoriesFile - JSON file holding the categories
+ * @param {number} [options.cacheTtl=30] - Seconds before the catalogue is read from storage again
+ */
+export const initClipartCatalog = (options) => {
+  clipartStore = options.store;
+  categoriesFile = options.categoriesFile || null;
+  cacheTtlMs = (options.cacheTtl ?? DEFAULT_CACHE_TTL_SECONDS) * 1000;
+  categories = [];
+  items = null;
+  if (categoriesFile && existsSync(categoriesFile)) {
+    try {
+      categories = fs.readJsonSync(categoriesFile);
+    } catch (e) {
+      console.error('Failed to read clipart categories:', e.message);
+    }
+  }
+};
+
+const saveCategories = async () => {
+  if (categoriesFile) {
+    await fs.writeJson(categoriesFile, categories, { spaces: 2 });
+  }
+};
+
+const metadataName = (filename) => filename.replace(CLIPART_FILE, '.json');
+
+const slugify = (value) => String(value || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Lower-case words without accents, for matching search terms
+const tokenize = (value) => String(value || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+/**
+ * Clean up a tag list given as an array or a comma-separated string.
+ * @param {string|string[]} value
+ * @returns {string[]}
+ * @throws {StorageError} When there are too many or too long tags
+ */
+export const normalizeTags = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const tags = [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+  if (tags.length > MAX_TAGS) {
+    throw new StorageError(`At most ${MAX_TAGS} tags are allowed`);
+  }
+  const tooLong = tags.find(tag => tag.length > MAX_TAG_LENGTH);
+  if (tooLong) {
+    throw new StorageError(`Tags may be at most ${MAX_TAG_LENGTH} characters ("${tooLong}")`);
+  }
+  return tags;
+};
+
+const findCategory = (value) => {
+  if (!value) return null;
+  const wanted = String(value).toLowerCase();
+  return categories.find(category => category.id === wanted || category.name.toLowerCase() === wanted) || null;
+};
+
+const categoryName = (id) => (id === UNCATEGORIZED ? 'Uncategorized' : findCategory(id)?.name || 'Uncategorized');
+
+/**
+ * Resolve a category given by id or name.
+ * @param {string} value
+ * @param {Object} [options]
+ * @param {boolean} [options.create] - Create unknown categories (used for older sidecars that stored a name)
+ * @returns {Promise<string>} Category id
+ * @throws {StorageError} 400 for unknown categories
+ */
+const resolveCategory = async (value, options = {}) => {
+  if (!value || slugify(value) === UNCATEGORIZED) return UNCATEGORIZED;
+  const existing = findCategory(value);
+  if (existing) return existing.id;
+  if (!options.create) {
+    throw new StorageError(`Unknown category "${value}"`);
+  }
+  return (await createCategory({ name: value })).id;
+};
+
+const toItem = (file, metadata) => {
+  const modified = file.modified ? new Date(file.modified).toISOString() : null;
+  return {
+    id: file.name,
+    filename: file.name,
+    name: metadata.name || file.name.replace(CLIPART_FILE, ''),
+    category: metadata.category || UNCATEGORIZED,
+    tags: Array.isArray(metadata.tags) ? metadata.tags : [],
+    description: metadata.description || '',
+    type: /\.svg$/i.test(file.name) ? 'svg' : 'raster',
+    size: file.size,
+    uploaded_at: metadata.uploaded_at || modified,
+    updated_at: metadata.updated_at || metadata.uploaded_at || modified,
+  };
+};
+
+// Read every sidecar once. Older sidecars (category stored by name, SVGs
+// uploaded before sanitising) are brought up to date on the way.
+const readItems = async () => {
+  const loaded = [];
+  const { files } = await clipartStore.list();
+  for (const file of files) {
+    if (!CLIPART_FILE.test(file.name)) continue;
+    let metadata = {};
+    try {
+      metadata = (await clipartStore.readJson(metadataName(file.name))) || {};
+    } catch (e) {
+      // Unreadable metadata is rebuilt from the defaults
+    }
+    
+    let changed = false;
+    const category = await resolveCategory(metadata.category, { create: true });
+    if (category !== metadata.category) {
+      metadata.category = category;
+      changed = true;
+    }
+    if (/\.svg$/i.test(file.name) && !metadata.sanitized_at) {
+      try {
+        const { svg } = sanitizeSvg(await clipartStore.read(file.name));
+        await clipartStore.write(file.name, svg, { contentType: 'image/svg+xml' });
+        file.size = Buffer.byteLength(svg);
+        metadata.sanitized_at = new Date().toISOString();
+        changed = true;
+      } catch (e) {
+        // Files that are not SVG after all are left alone and stay out of the catalogue
+        console.error(`Failed to sanitise clipart ${file.name}:`, e.message);
+        continue;
+      }
+    }
+    if (changed) {
+      await clipartStore.writeJson(metadataName(file.name), metadata);
+    }
+    loaded.push(toItem(file, metadata));
+  }
+  return loaded;
+};
+
+// Categories as stored, for picking up changes of other processes
+const readCategories = async () => {
+  if (!categoriesFile || !existsSync(categoriesFile)) return;
+  try {
+    categories = await fs.readJson(categoriesFile);
+  } catch (e) {
+    console.error('Failed to read clipart categories:', e.message);
+  }
+};
+
+// Parallel requests after the cache expired share one read
+const loadItems = async () => {
+  if (items && Date.now() - loadedAt < cacheTtlMs) return items;
+  if (!loading) {
+    loading = readCategories()
+      .then(readItems)
+      .then((loaded) => {
+        items = loaded;
+        loadedAt = Date.now();
+        return items;
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+  return loading;
+};
+
+/**
+ * Force the next read to reload the catalogue from storage (e.g. after an import).
+ */
+export const invalidateClipartCatalog = () => {
+  items = null;
+};
+
+const withCategory = (item) => ({ ...item, categoryName: categoryName(item.category) });
+
+// Every search term must be the start of a word in the name, tags, category or description
+const scoreItem = (item, terms) => {
+  const fields = [
+    [tokenize(item.name), 3],
+    [item.tags.flatMap(tokenize), 2],
+    [tokenize(categoryName(item.category)), 1.5],
+    [tokenize(item.description), 1],
+  ];
+  let score = 0;
+  for (const term of terms) {
+    let best = 0;
+    for (const [words, weight] of fields) {
+      if (words.includes(term)) {
+        best = Math.max(best, weight + 1);
+      } else if (words.some(word => word.startsWith(term))) {
+        best = Math.max(best, weight);
+      }
+    }
+    if (best === 0) return 0;
+    score += best;
+  }
+  return score;
+};
+
+const SORTS = {
+  newest: (a, b) => new Date(b.uploaded_at) - new Date(a.uploaded_at),
+  oldest: (a, b) => new Date(a.uploaded_at) - new Date(b.uploaded_at),
+  name: (a, b) => a.name.localeCompare(b.name),
+};
+
+/**
+ * Search the catalogue.
+ * @param {Object} [query]
+ * @param {string} [query.q] - Full-text search over name, tags, category and description
+ * @param {string} [query.category] - Category id or name
+ * @param {string|string[]} [query.tags] - Items must have all of these tags
+ * @param {string} [query.sort] - relevance (default with q) | newest (default) | oldest | name
+ * @param {number|string} [query.page=1]
+ * @param {number|string} [query.perPage=24]
+ * @returns {Promise<{ items: Object[], pagination: Object }>}
+ */
+export const searchClipart = async (query = {}) => {
+  let results = await loadItems();
+  
+  if (query.category) {
+    const category = findCategory(query.category);
+    const id = category ? category.id : slugify(query.category);
+    results = results.filter(item => item.category === id);
+  }
+  
+  const tags = query.tags ? normalizeTags(query.tags) : [];
+  if (tags.length > 0) {
+    results = results.filter(item => tags.every(tag => item.tags.includes(tag)));
+  }
+  
+  const terms = [...new Set(tokenize(query.q))];
+  let scores = null;
+  if (terms.length > 0) {
+    scores = new Map(results.map(item => [item.id, scoreItem(item, terms)]));
+    results = results.filter(item => scores.get(item.id) > 0);
+  }
+  
+  const sort = query.sort || (scores ? 'relevance' : 'newest');
+  if (sort === 'relevance' && scores) {
+    results = [...results].sort((a, b) => (scores.get(b.id) - scores.get(a.id)) || SORTS.newest(a, b));
+  } else if (SORTS[sort]) {
+    results = [...results].sort(SORTS[sort]);
+  } else if (sort !== 'relevance') {
+    throw new StorageError(`Unknown sort "${sort}" (use relevance, newest, oldest or name)`);
+  }
+  
+  const perPage = Math.min(MAX_PER_PAGE, Math.max(1, parseInt(query.perPage, 10) || DEFAULT_PER_PAGE));
+  const total = results.length;
+  const totalPages = Math.max(1, Math.ceil(total / perPage));
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  
+  return {
+    items: results.slice((page - 1) * perPage, page * perPage).map(withCategory),
+    pagination: { page, perPage, total, totalPages },
+  };
+};
+
+/**
+ * @param {string} filename
+ * @returns {Promise<Object|null>}
+ */
+export const getClipart = async (filename) => {
+  const item = (await loadItems()).find(entry => entry.filename === filename);
+  return item ? withCategory(item) : null;
+};
+
+const validateFields = async (fields) => {
+  const metadata = {};
+  if (fields.name !== undefined) {
+    metadata.name = String(fields.name).trim();
+    if (!metadata.name) throw new StorageError('Name must not be empty');
+  }
+  if (fields.category !== undefined) {
+    metadata.category = await resolveCategory(fields.category);
+  }
+  if (fields.tags !== undefined) {
+    metadata.tags = normalizeTags(fields.tags);
+  }
+  if (fields.description !== undefined) {
+    metadata.description = String(fields.description).trim();
+  }
+  return metadata;
+};
+
+/**
+ * Check catalogue fields before a file is stored.
+ * @param {Object} fields - { name, category, tags, description }
+ * @returns {Promise<Object>} Normalised fields
+ * @throws {StorageError} 400 for invalid fields
+ */
+export const validateClipartFields = (fields) => validateFields(fields);
+
+/**
+ * Add a stored clipart file to the catalogue.
+ * @param {string} filename - File already saved in the clipart store
+ * @param {Object} fields - { name, category, tags, description }
+ * @param {Object} [info] - { sanitized } for SVGs that went through sanitizeSvg()
+ * @returns {Promise<Object>} The catalogue item
+ */
+export const addClipart = async (filename, fields, info = {}) => {
+  const now = new Date().toISOString();
+  const metadata = {
+    name: filename.replace(CLIPART_FILE, ''),
+    category: UNCATEGORIZED,
+    tags: [],
+    description: '',
+    ...(await validateFields(fields)),
+    uploaded_at: now,
+    updated_at: now,
+    ...(info.sanitized ? { sanitized_at: now } : {}),
+  };
+  await clipartStore.writeJson(metadataName(filename), metadata);
+  
+  const stat = await clipartStore.stat(filename);
+  const item = toItem({ name: filename, size: stat?.size ?? null, modified: stat?.modified }, metadata);
+  if (items) {
+    items = [...items.filter(entry => entry.filename !== filename), item];
+  }
+  return withCategory(item);
+};
+
+/**
+ * Change name, category, tags or description of a clipart item.
+ * @param {string} filename
+ * @param {Object} fields
+ * @returns {Promise<Object|null>} null when the item does not exist
+ */
+export const updateClipart = async (filename, fields) => {
+  const current = (await loadItems()).find(entry => entry.filename === filename);
+  if (!current) return null;
+  
+  const stored = (await clipartStore.readJson(metadataName(filename))) || {};
+  const metadata = { ...stored, ...(await validateFields(fields)), updated_at: new Date().toISOString() };
+  await clipartStore.writeJson(metadataName(filename), metadata);
+  
+  const item = toItem({ name: filename, size: current.size, modified: current.uploaded_at }, metadata);
+  items = items.map(entry => (entry.filename === filename ? item : entry));
+  return withCategory(item);
+};
+
+/**
+ * Delete a clipart file and its metadata.
+ * @param {string} filename
+ * @returns {Promise<boolean>} false if it did not exist
+ */
+export const removeClipart = async (filename) => {
+  if (!CLIPART_FILE.test(filename)) return false;
+  const removed = await clipartStore.remove(filename);
+  if (!removed) return false;
+  await clipartStore.remove(metadataName(filename));
+  if (items) {
+    items = items.filter(entry => entry.filename !== filename);
+  }
+  return true;
+};
+
+/**
+ * All categories with the number of items in each, "Uncategorized" first.
+ * @returns {Promise<Object[]>}
+ */
+export const listCategories = async () => {
+  const counts = new Map();
+  (await loadItems()).forEach(item => counts.set(item.category, (counts.get(item.category) || 0) + 1));
+  return [
+    { id: UNCATEGORIZED, name: 'Uncategorized', description: '', count: counts.get(UNCATEGORIZED) || 0 },
+    ...[...categories]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(category => ({ ...category, count: counts.get(category.id) || 0 })),
+  ];
+};
+
+/**
+ * @param {Object} fields - { name, description }
+ * @returns {Promise<Object>} The new category
+ * @throws {StorageError} 400 for a missing name, 409 if it already exists
+ */
+export const createCategory = async (fields) => {
+  const name = String(fields.name || '').trim();
+  const id = slugify(name);
+  if (!id) {
+    throw new StorageError('Category name is required');
+  }
+  if (id === UNCATEGORIZED || findCategory(id) || findCategory(name)) {
+    throw new StorageError(`Category "${name}" already exists`, 409);
+  }
+  
+  const now = new Date().toISOString();
+  const category = { id, name, description: String(fields.description || '').trim(), created_at: now, updated_at: now };
+  categories.push(category);
+  await saveCategories();
+  return category;
+};
+
+/**
+ * Rename a category or change its description. The id stays the same, so
+ * items keep their category.
+ * @param {string} id
+ * @param {Object} fields - { name, description }
+ * @returns {Promise<Object|null>} null when the category does not exist
+ */
+export const updateCategory = async (id, fields) => {
+  const category = categories.find(entry => entry.id === id);
+  if (!category) return null;
+  
+  if (fields.name !== undefined) {
+    const name = String(fields.name).trim();
+    if (!name) throw new StorageError('Category name is required');
+    const clash = findCategory(name);
+    if (clash && clash.id !== id) {
+      throw new StorageError(`Category "${name}" already exists`, 409);
+    }
+    category.name = name;
+  }
+  if (fields.description !== undefined) {
+    category.description = String(fields.description).trim();
+  }
+  category.updated_at = new Date().toISOString();
+  await saveCategories();
+  return category;
+};
+
+/**
+ * Delete a category. Its items move to another category (or Uncategorized).
+ * @param {string} id
+ * @param {Object} [options]
+ * @param {string} [options.moveTo] - Category for the items of the deleted one
+ * @returns {Promise<{ moved: number }|null>} null when the category does not exist
+ */
+export const deleteCategory = async (id, options = {}) => {
+  if (!categories.some(entry => entry.id === id)) return null;
+  const target = options.moveTo ? await resolveCategory(options.moveTo) : UNCATEGORIZED;
+  if (target === id) {
+    throw new StorageError('Items cannot be moved to the category being deleted');
+  }
+  
+  const affected = (await loadItems()).filter(item => item.category === id);
+  for (const item of affected) {
+    await updateClipart(item.filename, { category: target });
+  }
+  categories = categories.filter(entry => entry.id !== id);
+  await saveCategories();
+  return { moved: affected.length };
+};
@@ -0,0 +1,213 @@
+import sharp from 'sharp';
+import opentype from 'opentype.js';
+import fs from 'fs-extra';
+import { normalizeDesign, resolveDesignAsset } from '../utils/designDocument.js';
+import { loadFontLibrary, findFontFile } from '../utils/fontLibrary.js';
+
+/**
+ * Headless raster renderer for design JSON.
+ *
+ * Designs are converted to SVG (text is turned into outlines with the
+ * uploaded fonts so output does not depend on system fonts) and then
+ * rasterised with sharp at the requested DPI.
+ */
+
+export const DEFAULT_RENDER_DPI = 300;
+export const MIN_RENDER_DPI = 36;
+export const MAX_RENDER_DPI = 600;
+
+// Guard against designs that would allocate absurd bitmaps
+const MAX_OUTPUT_SIDE = 20000;
+
+const MM_PER_INCH = 25.4;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const attr = (name, value) => (value === null || value === undefined ? '' : ` ${name}="${escapeXml(value)}"`);
+
+const paintAttrs = (layer) => {
+  const fill = typeof layer.fill === 'string' ? layer.fill : 'none';
+  const hasStroke = typeof layer.stroke === 'string' && layer.strokeWidth > 0;
+  return attr('fill', fill)
+    + (hasStroke ? attr('stroke', layer.stroke) + attr('stroke-width', layer.strokeWidth) : '')
+    + (layer.opacity < 1 ? attr('opacity', Math.max(0, layer.opacity)) : '');
+};
+
+const transformAttr = (layer) => (layer.rotation
+  ? attr('transform', `rotate(${layer.rotation} ${layer.pivotX} ${layer.pivotY})`)
+  : '');
+
+const sniffMime = (buffer) => {
+  if (buffer[0] === 0x89 && buffer[1] === 0x50) return 'image/png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return 'image/jpeg';
+  const head = buffer.subarray(0, 256).toString('utf8').trimStart();
+  if (head.startsWith('<svg') || head.startsWith('<?xml')) return 'image/svg+xml';
+  return null;
+};
+
+/**
+ * Rasterise design JSON to PNG.
+ * @param {string|Object} designData - Design JSON
+ * @param {Object} options
+ * @param {number} [options.dpi=300] - Output resolution
+ * @param {string} options.fontsDir - Uploaded fonts directory
+ * @param {string} options.imagesDir - Uploaded images directory
+ * @param {string} options.clipartDir - Clipart directory
+ * @param {Map} [options.fontLibrary] - Preloaded font library
+ * @returns {Promise<{ buffer: Buffer, width: number, height: number, dpi: number, warnings: string[] }>}
+ */
+export const renderDesignPng = async (designData, options = {}) => {
+  const design = normalizeDesign(designData);
+  const dpi = Math.min(MAX_RENDER_DPI, Math.max(MIN_RENDER_DPI, parseInt(options.dpi, 10) || DEFAULT_RENDER_DPI));
+  const warnings = [];
+  
+  const width = Math.round((design.widthMm / MM_PER_INCH) * dpi);
+  const height = Math.round((design.heightMm / MM_PER_INCH) * dpi);
+  if (width < 1 || height < 1 || width > MAX_OUTPUT_SIDE || height > MAX_OUTPUT_SIDE) {
+    throw new Error(`Output size ${width}x${height}px at ${dpi} DPI is out of range`);
+  }
+  
+  const svg = await buildDesignSvg(design, {
+    ...options,
+    width,
+    height,
+    warnings,
+  });
+  
+  const buffer = await sharp(Buffer.from(svg), { density: 72, limitInputPixels: false })
+    .png({ compressionLevel: 6 })
+    .withMetadata({ density: dpi })
+    .toBuffer();
+  
+  return { buffer, width, height, dpi, warnings };
+};
+
+/**
+ * Build an SVG document for a normalised design.
+ * @param {Object} design - Result of normalizeDesign()
+ * @param {Object} options - { width, height, fontsDir, imagesDir, clipartDir, fontLibrary, warnings }
+ * @returns {Promise<string>}
+ */
+export const buildDesignSvg = async (design, options = {}) => {
+  const warnings = options.warnings || [];
+  const dirs = { imagesDir: options.imagesDir, clipartDir: options.clipartDir };
+  const fontLibrary = options.fontLibrary || await loadFontLibrary(options.fontsDir, { extensions: ['ttf', 'otf', 'woff'] });
+  const fonts = new Map(); // file path -> parsed font
+  const elements = [];
+  
+  const getFont = async (layer) => {
+    const match = findFontFile(fontLibrary, layer.fontFamily, layer.fontWeight, layer.fontStyle);
+    if (!match) {
+      if (layer.fontFamily) warnings.push(`Font "${layer.fontFamily}" is not in the font library, using a system font`);
+      return null;
+    }
+    if (!fonts.has(match.file)) {
+      try {
+        const data = await fs.readFile(match.file);
+        fonts.set(match.file, opentype.parse(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength)));
+      } catch (e) {
+        warnings.push(`Font "${layer.fontFamily}" could not be parsed: ${e.message}`);
+        fonts.set(match.file, null);
+      }
+    }
+    return fonts.get(match.file);
+  };
+  
+  if (typeof design.background === 'string' && design.background) {
+    elements.push(`<rect x="0" y="0" width="${design.width}" height="${design.height}"${attr('fill', design.background)}/>`);
+  }
+  
+  for (const layer of design.layers) {
+    const transform = transformAttr(layer);
+    
+    switch (layer.type) {
+      case 'rect':
+        elements.push(`<rect${attr('x', layer.x)}${attr('y', layer.y)}${attr('width', layer.width)}${attr('height', layer.height)}${attr('rx', layer.raw.rx ? layer.raw.rx * layer.scaleX : null)}${attr('ry', layer.raw.ry ? layer.raw.ry * layer.scaleY : null)}${paintAttrs(layer)}${transform}/>`);
+        break;
+      
+      case 'circle':
+      case 'ellipse':
+        elements.push(`<ellipse${attr('cx', layer.x + layer.width / 2)}${attr('cy', layer.y + layer.height / 2)}${attr('rx', layer.width / 2)}${attr('ry', layer.height / 2)}${paintAttrs(layer)}${transform}/>`);
+        break;
+      
+      case 'triangle': {
+        const points = [
+          [layer.x + layer.width / 2, layer.y],
+          [layer.x + layer.width, layer.y + layer.height],
+          [layer.x, layer.y + layer.height],
+        ].map(p => p.join(',')).join(' ');
+        elements.push(`<polygon${attr('points', points)}${paintAttrs(layer)}${transform}/>`);
+        break;
+      }
+      
+      case 'text': {
+        if (!layer.text) break;
+        const font = await getFont(layer);
+        const lines = String(layer.text).split('\n');
+        const lineAdvance = layer.fontSize * layer.lineHeight;
+        
+        if (font) {
+          const ascent = (font.ascender / font.unitsPerEm) * layer.fontSize;
+          const paths = lines.map((line, i) => {
+            const lineWidth = font.getAdvanceWidth(line, layer.fontSize);
+            let offset = 0;
+            if (layer.textAlign === 'center') offset = (layer.width - lineWidth) / 2;
+            if (layer.textAlign === 'right') offset = layer.width - lineWidth;
+            return font.getPath(line, layer.x + offset, layer.y + ascent + i * lineAdvance, layer.fontSize).toPathData(3);
+          }).join(' ');
+          elements.push(`<path${attr('d', paths)}${paintAttrs({ ...layer, fill: layer.fill || '#000000' })}${transform}/>`);
+        } else {
+          const anchor = { center: 'middle', right: 'end' }[layer.textAlign] || 'start';
+          const anchorX = layer.x + (anchor === 'middle' ? layer.width / 2 : (anchor === 'end' ? layer.width : 0));
+          const spans = lines.map((line, i) => `<tspan${attr('x', anchorX)}${attr('y', layer.y + i * lineAdvance)}>${escapeXml(line)}</tspan>`).join('');
+          elements.push(`<text${attr('font-family', layer.fontFamily || 'sans-serif')}${attr('font-size', layer.fontSize)}${attr('font-weight', layer.fontWeight)}${attr('font-style', layer.fontStyle)}${attr('text-anchor', anchor)} dominant-baseline="text-before-edge"${paintAttrs({ ...layer, fill: layer.fill || '#000000' })}${transform}>${spans}</text>`);
+        }
+        break;
+      }
+      
+      case 'image': {
+        const href = await loadImageHref(layer.src, dirs).catch((e) => {
+          warnings.push(`Image ${layer.id} could not be read: ${e.message}`);
+          return null;
+        });
+        if (!href) {
+          warnings.push(`Image ${layer.id} skipped: only backend assets or data URLs can be rendered`);
+          break;
+        }
+        elements.push(`<image${attr('x', layer.x)}${attr('y', layer.y)}${attr('width', layer.width)}${attr('height', layer.height)} preserveAspectRatio="none"${attr('href', href)}${layer.opacity < 1 ? attr('opacity', layer.opacity) : ''}${transform}/>`);
+        break;
+      }
+      
+      default:
+        warnings.push(`Layer ${layer.id} has unsupported type "${layer.type}" and was skipped`);
+    }
+  }
+  
+  const width = options.width || design.width;
+  const height = options.height || design.height;
+  return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${design.width} ${design.height}">${elements.join('')}</svg>`;
+};
+
+// Resolve an image to a data URI that librsvg can render (PNG, JPEG or SVG)
+const loadImageHref = async (src, dirs) => {
+  const asset = resolveDesignAsset(src, dirs);
+  if (!asset) return null;
+  
+  let buffer = asset.dataUrl
+    ? Buffer.from(asset.dataUrl.replace(/^data:image\/[\w+.-]+;base64,/, ''), 'base64')
+    : await fs.readFile(asset.path);
+  
+  let mime = sniffMime(buffer);
+  if (!mime) {
+    // WebP, GIF, TIFF etc. are converted first
+    buffer = await sharp(buffer).png().toBuffer();
+    mime = 'image/png';
+  }
+  
+  return `data:${mime};base64,${buffer.toString('base64')}`;
+};
@@ -0,0 +1,269 @@
+import { readDesignSource } from '../utils/designDocument.js';
+
+/**
+ * Immutable revisions for customer designs.
+ *
+ * The design folder keeps the current design.json / preview.png /
+ * metadata.json, and every save copies them into revisions/<NNNN>/ next
+ * to a revision.json record. Revision folders are never written again, so
+ * restoring an old version creates a new revision instead of rewinding.
+ *
+ * Functions take the design's store (customerDesignStorage.scope(userId,
+ * designId)), so revisions work on every storage driver.
+ */
+
+const REVISIONS_DIR = 'revisions';
+const SNAPSHOT_FILES = ['design.json', 'preview.png', 'metadata.json'];
+
+// Properties that only describe editor state and would make every layer look modified
+const IGNORED_LAYER_PROPS = ['version', 'dirty', 'selectable', 'evented', 'hasControls', 'hasBorders'];
+
+const revisionDirName = (revision) => String(revision).padStart(4, '0');
+
+const getRevisionStore = (designStore, revision) => designStore.scope(REVISIONS_DIR, revisionDirName(revision));
+
+const getRevisionNumbers = async (designStore) => {
+  const { folders } = await designStore.list(REVISIONS_DIR);
+  return folders
+    .filter(name => /^\d+$/.test(name))
+    .map(name => parseInt(name, 10))
+    .sort((a, b) => a - b);
+};
+
+const parseRevision = (value) => {
+  if (!/^\d+$/.test(String(value))) return null;
+  const revision = parseInt(value, 10);
+  return revision > 0 ? revision : null;
+};
+
+/**
+ * Snapshot the current design files as a new revision.
+ * @param {Object} designStore - Store scoped to the customer design folder
+ * @param {Object} [info]
+ * @param {string} [info.source='save'] - save | restore | baseline
+ * @param {number} [info.restoredFrom] - Revision a restore was made from
+ * @returns {Promise<Object>} The revision record
+ */
+export const createRevision = async (designStore, info = {}) => {
+  const files = [];
+  for (const file of SNAPSHOT_FILES) {
+    if (await designStore.exists(file)) {
+      files.push(file);
+    }
+  }
+  
+  // revision.json is written only if it does not exist yet, so concurrent
+  // saves can never share a revision
+  let revision = ((await getRevisionNumbers(designStore)).pop() || 0) + 1;
+  let record;
+  for (let attempt = 0; ; attempt += 1) {
+    record = {
+      revision,
+      source: info.source || 'save',
+      restoredFrom: info.restoredFrom ?? null,
+      createdAt: new Date().toISOString(),
+      files,
+    };
+    try {
+      await getRevisionStore(designStore, revision).writeJson('revision.json', record, { ifNotExists: true });
+      break;
+    } catch (e) {
+      if (e.code !== 'EEXIST' || attempt >= 10) throw e;
+      revision += 1;
+    }
+  }
+  
+  // The current metadata points at the revision it corresponds to
+  const metadata = await designStore.readJson('metadata.json');
+  if (metadata) {
+    await designStore.writeJson('metadata.json', { ...metadata, revision });
+  }
+  
+  const revisionStore = getRevisionStore(designStore, revision);
+  for (const file of files) {
+    await designStore.copyTo(file, revisionStore);
+  }
+  
+  return record;
+};
+
+/**
+ * Keep work saved before revisions existed: if a design has current files
+ * but no revisions yet, snapshot them as the first revision.
+ * @param {Object} designStore
+ * @returns {Promise<Object|null>} The baseline revision, if one was created
+ */
+export const ensureBaselineRevision = async (designStore) => {
+  if (!(await designStore.exists('design.json'))) return null;
+  if ((await getRevisionNumbers(designStore)).length > 0) return null;
+  return createRevision(designStore, { source: 'baseline' });
+};
+
+/**
+ * List the revisions of a design, newest first.
+ * @param {Object} designStore
+ * @returns {Promise<Object[]>}
+ */
+export const listRevisions = async (designStore) => {
+  const revisions = [];
+  for (const revision of (await getRevisionNumbers(designStore)).reverse()) {
+    const revisionStore = getRevisionStore(designStore, revision);
+    const record = (await revisionStore.readJson('revision.json')) || { revision };
+    
+    let layerCount = null;
+    try {
+      layerCount = readDesignSource(await revisionStore.readJson('design.json')).objects.length;
+    } catch (e) {
+      // Unreadable design JSON is still listed, just without a layer count
+    }
+    
+    revisions.push({
+      ...record,
+      layerCount,
+      hasPreview: await revisionStore.exists('preview.png'),
+    });
+  }
+  return revisions;
+};
+
+/**
+ * Read a single revision.
+ * @param {Object} designStore
+ * @param {number|string} revisionId
+ * @returns {Promise<Object|null>} { revision, record, metadata, designData, hasPreview, store }
+ */
+export const getRevision = async (designStore, revisionId) => {
+  const revision = parseRevision(revisionId);
+  if (!revision) return null;
+  
+  const revisionStore = getRevisionStore(designStore, revision);
+  const record = await revisionStore.readJson('revision.json');
+  if (!record) return null;
+  
+  return {
+    revision,
+    record,
+    metadata: await revisionStore.readJson('metadata.json'),
+    designData: await revisionStore.readJson('design.json'),
+    hasPreview: await revisionStore.exists('preview.png'),
+    store: revisionStore,
+  };
+};
+
+/**
+ * Make an older revision the current version. The restored content is
+ * recorded as a new revision.
+ * @param {Object} designStore
+ * @param {number|string} revisionId
+ * @returns {Promise<{ revision: Object, metadata: Object }|null>}
+ */
+export const restoreRevision = async (designStore, revisionId) => {
+  const source = await getRevision(designStore, revisionId);
+  if (!source || !source.designData) return null;
+  
+  await designStore.writeJson('design.json', source.designData);
+  
+  if (source.hasPreview) {
+    await source.store.copyTo('preview.png', designStore);
+  } else {
+    await designStore.remove('preview.png');
+  }
+  
+  const current = (await designStore.readJson('metadata.json')) || {};
+  const metadata = {
+    ...current,
+    ...(source.metadata || {}),
+    savedAt: new Date().toISOString(),
+    restoredFrom: source.revision,
+    previewPath: source.hasPreview ? designStore.localPath('preview.png') || designStore.key('preview.png') : null,
+  };
+  if (!source.hasPreview) {
+    metadata.previewUrl = null;
+  }
+  await designStore.writeJson('metadata.json', metadata);
+  
+  const revision = await createRevision(designStore, { source: 'restore', restoredFrom: source.revision });
+  return { revision, metadata: { ...metadata, revision: revision.revision } };
+};
+
+const layerKey = (layer, index) => String(layer.id || layer.name || `#${index}`);
+
+const layerSummary = (layer, key) => ({
+  id: key,
+  type: layer.type || null,
+  ...(layer.text !== undefined ? { text: layer.text } : {}),
+});
+
+const diffProps = (before, after) => {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+  for (const key of keys) {
+    if (IGNORED_LAYER_PROPS.includes(key)) continue;
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes.push({ property: key, from: before[key] ?? null, to: after[key] ?? null });
+    }
+  }
+  return changes;
+};
+
+// Canvas-level properties (size, background, ...) without the layer list
+const canvasProps = ({ source, canvas }) => {
+  const props = { ...source, ...canvas };
+  delete props.objects;
+  delete props.layers;
+  delete props.canvas;
+  return props;
+};
+
+/**
+ * Compare two designs layer by layer. Layers are matched by id (or name),
+ * falling back to their position for layers without either.
+ * @param {string|Object} fromDesign
+ * @param {string|Object} toDesign
+ * @returns {{ canvas: Object[], added: Object[], removed: Object[], modified: Object[], reordered: boolean, unchanged: number }}
+ */
+export const diffDesigns = (fromDesign, toDesign) => {
+  const from = readDesignSource(fromDesign);
+  const to = readDesignSource(toDesign);
+  
+  const fromLayers = new Map(from.objects.map((layer, i) => [layerKey(layer, i), layer]));
+  const toLayers = new Map(to.objects.map((layer, i) => [layerKey(layer, i), layer]));
+  
+  const added = [];
+  const removed = [];
+  const modified = [];
+  let unchanged = 0;
+  
+  for (const [key, layer] of toLayers) {
+    if (!fromLayers.has(key)) {
+      added.push(layerSummary(layer, key));
+      continue;
+    }
+    const changes = diffProps(fromLayers.get(key), layer);
+    if (changes.length > 0) {
+      modified.push({ ...layerSummary(layer, key), changes });
+    } else {
+      unchanged += 1;
+    }
+  }
+  
+  for (const [key, layer] of fromLayers) {
+    if (!toLayers.has(key)) {
+      removed.push(layerSummary(layer, key));
+    }
+  }
+  
+  // Stacking order of the layers present in both versions
+  const common = [...fromLayers.keys()].filter(key => toLayers.has(key));
+  const commonAfter = [...toLayers.keys()].filter(key => fromLayers.has(key));
+  const reordered = common.some((key, i) => commonAfter[i] !== key);
+  
+  return {
+    canvas: diffProps(canvasProps(from), canvasProps(to)),
+    added,
+    removed,
+    modified,
+    reordered,
+    unchanged,
+  };
+};
@@ -0,0 +1,345 @@
+import Ajv from 'ajv';
+import { StorageError } from './storageService.js';
+
+/**
+ * JSON Schema and format versions of design documents.
+ *
+ * Templates and saved customer designs share one document format: canvas
+ * size, print area, a list of fabric.js-style layers (objects) and the
+ * fonts they use. Templates additionally need a canvas size and a name.
+ *
+ * Every document carries a schemaVersion. Documents written by older
+ * versions of the editor are brought up to date by the migrations below
+ * when they are read, so they keep loading as the format evolves. To change
+ * the format, append a migration and update the schema to match.
+ */
+
+// Migration i turns a version i document into version i + 1; they must not modify their input
+const MIGRATIONS = [
+  // 0 -> 1: documents before versioning. Unwraps { design } / { canvasJSON } saves,
+  // renames template-style layers/x/y/rotation (and url/image of image layers) to
+  // the fabric.js names and moves the canvas size into canvas.
+  (document) => {
+    let source = document;
+    if (!document.objects && !document.layers && (document.design || document.canvasJSON)) {
+      const { design, canvasJSON, ...outer } = document;
+      const inner = design || canvasJSON;
+      source = { ...outer, ...(typeof inner === 'string' ? JSON.parse(inner) : inner) };
+    }
+    
+    const toLayer = (layer) => {
+      if (!layer || typeof layer !== 'object') return layer;
+      const { x, y, rotation, ...rest } = layer;
+      const image = typeof layer.type === 'string' && new RegExp(IMAGE_TYPE).test(layer.type);
+      if (image) {
+        delete rest.url;
+        delete rest.image;
+      }
+      return {
+        ...rest,
+        left: layer.left ?? x,
+        top: layer.top ?? y,
+        angle: layer.angle ?? rotation,
+        ...(image ? { src: layer.src ?? layer.url ?? layer.image } : {}),
+        ...(Array.isArray(layer.objects) ? { objects: layer.objects.map(toLayer) } : {}),
+      };
+    };
+    
+    const { layers, width, height, dpi, ...rest } = source;
+    const canvas = { ...(source.canvas && typeof source.canvas === 'object' ? source.canvas : {}) };
+    canvas.width = canvas.width ?? width;
+    canvas.height = canvas.height ?? height;
+    canvas.dpi = canvas.dpi ?? dpi;
+    Object.keys(canvas).forEach((key) => canvas[key] === undefined && delete canvas[key]);
+    
+    return {
+      ...rest,
+      ...(Object.keys(canvas).length > 0 ? { canvas } : {}),
+      objects: (Array.isArray(source.objects || layers) ? (source.objects || layers) : []).map(toLayer),
+    };
+  },
+];
+
+export const DESIGN_SCHEMA_VERSION = MIGRATIONS.length;
+
+// Layer type names of fabric.js 5 (lower case) and 6 (class names)
+const TEXT_TYPE = '^(?:[Tt]ext|[Ii]-?[Tt]ext|[Tt]extbox|FabricText)$';
+const IMAGE_TYPE = '^(?:[Ii]mage|FabricImage)$';
+const GROUP_TYPE = '^(?:[Gg]roup|[Aa]ctiveSelection)$';
+
+const positive = { type: 'number', exclusiveMinimum: 0 };
+const nonNegative = { type: 'number', minimum: 0 };
+
+export const designDocumentSchema = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'design-document.json',
+  title: 'Design document',
+  type: 'object',
+  required: ['schemaVersion', 'objects'],
+  properties: {
+    schemaVersion: { const: DESIGN_SCHEMA_VERSION },
+    canvas: {
+      type: 'object',
+      required: ['width', 'height'],
+      properties: {
+        width: positive,
+        height: positive,
+        dpi: positive,
+        background: { $ref: '#/definitions/paint' },
+      },
+    },
+    printArea: {
+      type: 'object',
+      required: ['width', 'height'],
+      properties: {
+        width: positive,
+        height: positive,
+        unit: { enum: ['mm', 'cm', 'in', 'inch'] },
+      },
+    },
+    background: { $ref: '#/definitions/paint' },
+    backgroundColor: { $ref: '#/definitions/paint' },
+    objects: { type: 'array', items: { $ref: '#/definitions/layer' } },
+    fonts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['family'],
+        properties: {
+          family: { type: 'string', minLength: 1 },
+          weight: { $ref: '#/definitions/fontWeight' },
+          style: { $ref: '#/definitions/fontStyle' },
+        },
+      },
+    },
+  },
+  definitions: {
+    // Colours are strings; gradients and patterns are objects
+    paint: { type: ['string', 'object', 'null'] },
+    fontWeight: {
+      type: ['string', 'integer'],
+      pattern: '^(?:normal|bold|bolder|lighter|[1-9]00)$',
+      minimum: 1,
+      maximum: 1000,
+    },
+    fontStyle: { enum: ['normal', 'italic', 'oblique'] },
+    layer: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { type: 'string', minLength: 1 },
+        id: { type: ['string', 'number'] },
+        name: { type: 'string' },
+        left: { type: 'number' },
+        top: { type: 'number' },
+        width: nonNegative,
+        height: nonNegative,
+        scaleX: { type: 'number' },
+        scaleY: { type: 'number' },
+        angle: { type: 'number' },
+        originX: { type: ['string', 'number'], pattern: '^(?:left|center|right)$' },
+        originY: { type: ['string', 'number'], pattern: '^(?:top|center|bottom)$' },
+        opacity: { type: 'number', minimum: 0, maximum: 1 },
+        visible: { type: 'boolean' },
+        fill: { $ref: '#/definitions/paint' },
+        stroke: { $ref: '#/definitions/paint' },
+        strokeWidth: nonNegative,
+      },
+      allOf: [
+        {
+          if: { required: ['type'], properties: { type: { pattern: TEXT_TYPE } } },
+          then: {
+            required: ['text'],
+            properties: {
+              text: { type: 'string' },
+              fontFamily: { type: 'string', minLength: 1 },
+              fontSize: positive,
+              fontWeight: { $ref: '#/definitions/fontWeight' },
+              fontStyle: { $ref: '#/definitions/fontStyle' },
+              textAlign: { enum: ['left', 'center', 'right', 'justify', 'justify-left', 'justify-center', 'justify-right'] },
+              lineHeight: positive,
+              charSpacing: { type: 'number' },
+              styles: { type: ['object', 'array'] },
+            },
+          },
+        },
+        {
+          if: { required: ['type'], properties: { type: { pattern: IMAGE_TYPE } } },
+          then: {
+            required: ['src'],
+            properties: { src: { type: 'string', minLength: 1 } },
+          },
+        },
+        {
+          if: { required: ['type'], properties: { type: { pattern: GROUP_TYPE } } },
+          then: {
+            required: ['objects'],
+            properties: { objects: { type: 'array', items: { $ref: '#/definitions/layer' } } },
+          },
+        },
+      ],
+    },
+  },
+};
+
+export const templateSchema = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'template.json',
+  title: 'Template',
+  allOf: [{ $ref: 'design-document.json' }],
+  required: ['canvas', 'name'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    category: { type: 'string' },
+    tags: { type: 'array', maxItems: 20, items: { type: 'string', minLength: 1, maxLength: 40 } },
+    // Products and print areas the template fits, see templateCompatibilityService
+    compatibility: {
+      type: ['object', 'null'],
+      additionalProperties: false,
+      properties: {
+        productCodes: { type: 'array', items: { type: 'string', minLength: 1 } },
+        printAreas: { type: 'array', items: { type: 'string', minLength: 1 } },
+        minWidthMm: positive,
+        maxWidthMm: positive,
+        minHeightMm: positive,
+        maxHeightMm: positive,
+        aspectRatio: positive,
+        aspectRatioTolerance: { type: 'number', minimum: 0, maximum: 1 },
+      },
+    },
+  },
+};
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+ajv.addSchema(designDocumentSchema);
+const validators = {
+  design: ajv.compile({ $ref: 'design-document.json' }),
+  template: ajv.compile(templateSchema),
+  // Template fields that can change without touching the layers
+  templateFields: ajv.compile({
+    type: 'object',
+    properties: Object.fromEntries(['name', 'category', 'tags', 'compatibility']
+      .map(field => [field, templateSchema.properties[field]])),
+  }),
+};
+
+/**
+ * A document that does not match the schema; errors lists every problem.
+ */
+export class DesignSchemaError extends StorageError {
+  constructor(message, errors = []) {
+    super(message, 400);
+    this.name = 'DesignSchemaError';
+    this.errors = errors;
+  }
+}
+
+// objects[2].fontSize from /objects/2/fontSize
+const fieldName = (pointer) => pointer
+  .split('/')
+  .slice(1)
+  .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+  .reduce((field, part) => (/^\d+$/.test(part) ? `${field}[${part}]` : (field ? `${field}.${part}` : part)), '');
+
+const formatErrors = (errors) => {
+  const seen = new Set();
+  return (errors || [])
+    // if/then failures repeat the errors of the then branch
+    .filter(error => error.keyword !== 'if')
+    .map((error) => {
+      if (error.keyword === 'required') {
+        return { field: fieldName(`${error.instancePath}/${error.params.missingProperty}`), message: 'is required' };
+      }
+      if (error.keyword === 'additionalProperties') {
+        return { field: fieldName(`${error.instancePath}/${error.params.additionalProperty}`), message: 'is not allowed' };
+      }
+      return { field: fieldName(error.instancePath) || '(document)', message: error.message };
+    })
+    .filter((error) => {
+      const key = `${error.field}|${error.message}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Bring a document to the current schemaVersion.
+ * @param {string|Object} input - Design or template JSON (string or parsed)
+ * @returns {{ document: Object, from: number, migrated: boolean }}
+ * @throws {StorageError} 400 for invalid JSON and unknown or newer versions
+ */
+export const migrateDesignDocument = (input) => {
+  let document = input;
+  if (typeof input === 'string') {
+    try {
+      document = JSON.parse(input);
+    } catch (e) {
+      throw new StorageError(`Design is not valid JSON (${e.message})`);
+    }
+  }
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new StorageError('Design must be a JSON object');
+  }
+  
+  const from = document.schemaVersion ?? 0;
+  if (!Number.isInteger(from) || from < 0) {
+    throw new DesignSchemaError('Invalid schemaVersion', [{ field: 'schemaVersion', message: 'must be a non-negative integer' }]);
+  }
+  if (from > DESIGN_SCHEMA_VERSION) {
+    throw new StorageError(`schemaVersion ${from} is newer than this server supports (${DESIGN_SCHEMA_VERSION})`);
+  }
+  
+  for (let version = from; version < DESIGN_SCHEMA_VERSION; version += 1) {
+    try {
+      document = { ...MIGRATIONS[version](document), schemaVersion: version + 1 };
+    } catch (e) {
+      throw new StorageError(`Design could not be upgraded to schemaVersion ${version + 1} (${e.message})`);
+    }
+  }
+  return { document, from, migrated: from !== DESIGN_SCHEMA_VERSION };
+};
+
+/**
+ * Check a document (at the current version) against the schema.
+ * @param {Object} document
+ * @param {'design'|'template'} [kind='design']
+ * @returns {{ field: string, message: string }[]} Empty when the document is valid
+ */
+export const validateDesignDocument = (document, kind = 'design') => {
+  const validate = validators[kind];
+  return validate(document) ? [] : formatErrors(validate.errors);
+};
+
+/**
+ * Migrate and validate a document before it is stored.
+ * @param {string|Object} input
+ * @param {'design'|'template'} [kind='design']
+ * @param {Object|Function} [fields] - Fields set by the server (e.g. a template's name), applied
+ *   before validation; a function gets the migrated document and returns them
+ * @returns {Object} The document at the current version
+ * @throws {DesignSchemaError} 400 with field-level errors
+ */
+export const prepareDesignDocument = (input, kind = 'design', fields = {}) => {
+  const migrated = migrateDesignDocument(input).document;
+  const document = { ...migrated, ...(typeof fields === 'function' ? fields(migrated) : fields) };
+  const errors = validateDesignDocument(document, kind);
+  if (errors.length > 0) {
+    throw new DesignSchemaError(`${kind === 'template' ? 'Template' : 'Design'} does not match the schema`, errors);
+  }
+  return document;
+};
+
+/**
+ * Validate changed template metadata (name, category, tags, compatibility) on its own,
+ * so it can be applied to a stored template without validating its layers again.
+ * @param {Object} fields
+ * @returns {Object} fields
+ * @throws {DesignSchemaError} 400 with field-level errors
+ */
+export const prepareTemplateFields = (fields) => {
+  if (!validators.templateFields(fields)) {
+    throw new DesignSchemaError('Template does not match the schema', formatErrors(validators.templateFields.errors));
+  }
+  return fields;
+};
@@ -0,0 +1,105 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { StorageError, FILE_TYPES } from './storageService.js';
+import { THUMBNAIL_SIZES } from './imageProcessingService.js';
+import { renderDesignPng, MIN_RENDER_DPI } from './designRenderer.js';
+import { readDesignSource, normalizeDesign } from '../utils/designDocument.js';
+
+/**
+ * Preview images of templates and customer designs, rendered from their JSON.
+ *
+ * Each document gets its own thumbnail folder with one WebP per size in
+ * THUMBNAIL_SIZES and a thumbnails.json that records the content hash they
+ * were rendered from. When the document changes (different hash) they are
+ * rendered again; name, tags and other metadata do not count as changes.
+ */
+
+export const DESIGN_THUMBS_DIR = 'thumbs';
+
+const THUMBNAILS_FILE = 'thumbnails.json';
+
+// Thumbnails are small; rendering above this resolution only costs time
+const MAX_THUMBNAIL_DPI = 150;
+
+const MM_PER_INCH = 25.4;
+
+export const designThumbnailName = (size) => `${size}.webp`;
+
+/**
+ * Hash of everything that affects how a document looks.
+ * @param {string|Object} designData
+ * @returns {string}
+ */
+export const designContentHash = (designData) => {
+  const { design, source, canvas, objects } = readDesignSource(designData);
+  const content = {
+    canvas,
+    objects,
+    width: source.width ?? design.width ?? null,
+    height: source.height ?? design.height ?? null,
+    dpi: source.dpi ?? design.dpi ?? null,
+    printArea: source.printArea || design.printArea || null,
+    background: source.background ?? source.backgroundColor ?? null,
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex').substring(0, 16);
+};
+
+// Renders in progress, so a save and a request for the same document share one
+const pending = new Map();
+
+const renderThumbnails = async (store, designData, hash, renderOptions) => {
+  // Resolution at which the longest side matches the largest thumbnail
+  const { widthMm, heightMm } = normalizeDesign(designData);
+  const largest = Math.max(...Object.values(THUMBNAIL_SIZES));
+  const dpi = Math.min(MAX_THUMBNAIL_DPI, Math.max(MIN_RENDER_DPI, Math.ceil(largest / (Math.max(widthMm, heightMm) / MM_PER_INCH))));
+  
+  let png;
+  try {
+    png = await renderDesignPng(designData, { ...renderOptions, dpi });
+  } catch (error) {
+    throw new StorageError(`Thumbnail could not be rendered (${error.message})`, 422);
+  }
+  
+  const sizes = {};
+  for (const [size, maxSide] of Object.entries(THUMBNAIL_SIZES)) {
+    const thumb = await sharp(png.buffer)
+      .resize(maxSide, maxSide, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+    await store.write(designThumbnailName(size), thumb.data, { contentType: FILE_TYPES.webp.mime });
+    sizes[size] = { filename: designThumbnailName(size), width: thumb.info.width, height: thumb.info.height };
+  }
+  
+  const record = { hash, sizes, warnings: png.warnings, generatedAt: new Date().toISOString() };
+  await store.writeJson(THUMBNAILS_FILE, record);
+  return record;
+};
+
+/**
+ * Thumbnails of a document, rendered when they are missing or out of date.
+ * @param {Object} store - Thumbnail folder of the document (e.g. designStore.scope('thumbs'))
+ * @param {string|Object} designData - Template or design JSON
+ * @param {Object} renderOptions - fontsDir, imagesDir, clipartDir for renderDesignPng()
+ * @returns {Promise<{ hash: string, sizes: Object, warnings: string[], generatedAt: string }>}
+ * @throws {StorageError} 422 when the document cannot be rendered
+ */
+export const getDesignThumbnails = async (store, designData, renderOptions = {}) => {
+  const hash = designContentHash(designData);
+  const current = await store.readJson(THUMBNAILS_FILE).catch(() => null);
+  if (current?.hash === hash) return current;
+  
+  const key = `${store.key(THUMBNAILS_FILE)}:${hash}`;
+  if (!pending.has(key)) {
+    pending.set(key, renderThumbnails(store, designData, hash, renderOptions).finally(() => pending.delete(key)));
+  }
+  return pending.get(key);
+};
+
+/**
+ * Thumbnail URLs of a document per size.
+ * @param {string} baseUrl - URL the sizes are appended to, e.g. /api/templates/t.json/thumbnails
+ * @param {string} version - Changes with the content, so browsers may cache each version
+ * @returns {Object} { small: url, medium: url }
+ */
+export const designThumbnailUrls = (baseUrl, version) => Object.fromEntries(Object.keys(THUMBNAIL_SIZES)
+  .map(size => [size, `${baseUrl}/${size}${version ? `?v=${encodeURIComponent(version)}` : ''}`]));
@@ -0,0 +1,250 @@
+import opentype from 'opentype.js';
+import { StorageError, sniffContentType } from './storageService.js';
+
+/**
+ * Font metadata from the font files themselves.
+ *
+ * Uploads are identified by the name table (family, subfamily) and the
+ * OS/2 table (weight, italic flags) instead of names typed into the admin.
+ * The result is kept in a <name>.json sidecar next to the font, and the
+ * fonts of one family are grouped into variants for the admin and for the
+ * @font-face CSS served to the design tool.
+ */
+
+// CSS format() names per sniffed file type
+export const FONT_FORMATS = {
+  ttf: 'truetype',
+  otf: 'opentype',
+  woff: 'woff',
+  woff2: 'woff2',
+};
+
+// Weight keywords used in subfamily names, for fonts without a usable OS/2 weight
+const WEIGHT_NAMES = [
+  [/hairline|thin/i, 100],
+  [/extra[ -]?light|ultra[ -]?light/i, 200],
+  [/light/i, 300],
+  [/medium/i, 500],
+  [/semi[ -]?bold|demi[ -]?bold/i, 600],
+  [/extra[ -]?bold|ultra[ -]?bold/i, 800],
+  [/black|heavy/i, 900],
+  [/bold/i, 700],
+];
+
+const baseNameOf = (filename) => filename.replace(/\.[^.]+$/, '');
+
+export const fontMetadataName = (filename) => `${baseNameOf(filename)}.json`;
+
+/**
+ * Lower-case, dash-separated identifier (used as the stored file name).
+ * @param {string} value
+ * @returns {string}
+ */
+export const fontSlug = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Name table entry, preferring Windows English records like most font tools
+const readName = (font, key) => {
+  for (const platform of ['windows', 'macintosh', 'unicode']) {
+    const record = font.names[platform]?.[key];
+    if (record) {
+      const value = record.en || Object.values(record)[0];
+      if (value) return String(value).trim();
+    }
+  }
+  return null;
+};
+
+/**
+ * CSS weight (100-900) from an OS/2 weight class or a subfamily name.
+ * @param {number} weightClass
+ * @param {string} [subfamily]
+ * @returns {number}
+ */
+export const normalizeFontWeight = (weightClass, subfamily = '') => {
+  let weight = Number(weightClass) || 0;
+  // Some older fonts use 1-9 instead of 100-900
+  if (weight > 0 && weight < 10) weight *= 100;
+  if (weight >= 1 && weight <= 1000) {
+    return Math.min(900, Math.max(100, Math.round(weight / 100) * 100));
+  }
+  const named = WEIGHT_NAMES.find(([pattern]) => pattern.test(subfamily));
+  return named ? named[1] : 400;
+};
+
+/**
+ * Read family, subfamily, weight and style from a font file.
+ * @param {Buffer} buffer - TTF, OTF or WOFF file
+ * @returns {Object|null} null for WOFF2, which cannot be parsed here
+ * @throws {StorageError} 415 when the file is not a readable font
+ */
+export const readFontMetadata = (buffer) => {
+  const type = sniffContentType(buffer);
+  if (type === 'woff2') return null;
+  if (!FONT_FORMATS[type]) {
+    throw new StorageError('File is not a TTF, OTF or WOFF font', 415);
+  }
+  
+  let font;
+  try {
+    font = opentype.parse(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+  } catch (error) {
+    throw new StorageError(`Font could not be read (${error.message})`, 415);
+  }
+  
+  // Typographic names (IDs 16/17) group weights beyond regular/bold into one family
+  const family = readName(font, 'preferredFamily') || readName(font, 'typographicFamily') || readName(font, 'fontFamily');
+  if (!family) {
+    throw new StorageError('Font has no family name', 415);
+  }
+  const subfamily = readName(font, 'preferredSubfamily') || readName(font, 'typographicSubfamily') || readName(font, 'fontSubfamily') || 'Regular';
+  
+  const os2 = font.tables.os2 || {};
+  const macStyle = font.tables.head?.macStyle || 0;
+  let style = 'normal';
+  // fsSelection bit 9 is OBLIQUE, bit 0 ITALIC; macStyle bit 1 is italic
+  if ((os2.fsSelection & 0x200) || /oblique/i.test(subfamily)) {
+    style = 'oblique';
+  } else if ((os2.fsSelection & 0x1) || (macStyle & 0x2) || /italic/i.test(subfamily)) {
+    style = 'italic';
+  }
+  
+  return {
+    family,
+    subfamily,
+    fullName: readName(font, 'fullName') || `${family} ${subfamily}`,
+    postScriptName: readName(font, 'postScriptName'),
+    version: readName(font, 'version'),
+    weight: normalizeFontWeight(os2.usWeightClass, subfamily),
+    style,
+    format: type,
+    glyphCount: font.numGlyphs,
+  };
+};
+
+/**
+ * Metadata of a font being added to the library. WOFF2 files cannot be
+ * read here, so for them family, subfamily, weight and style come from the
+ * given fields instead.
+ * @param {Buffer} buffer
+ * @param {Object} [fields] - { family, subfamily, weight, style } for WOFF2 files
+ * @returns {Object} Same shape as readFontMetadata()
+ * @throws {StorageError} 400 when a WOFF2 font has no family, 415 for unreadable files
+ */
+export const describeFont = (buffer, fields = {}) => {
+  const parsed = readFontMetadata(buffer);
+  if (parsed) return parsed;
+  
+  const family = String(fields.family || '').trim();
+  if (!family) {
+    throw new StorageError('Font family is required for WOFF2 uploads');
+  }
+  const style = ['italic', 'oblique'].includes(fields.style) ? fields.style : 'normal';
+  const subfamily = String(fields.subfamily || '').trim() || (style === 'normal' ? 'Regular' : 'Italic');
+  return {
+    family,
+    subfamily,
+    fullName: `${family} ${subfamily}`,
+    postScriptName: null,
+    version: null,
+    weight: normalizeFontWeight(fields.weight, subfamily),
+    style,
+    format: 'woff2',
+  };
+};
+
+const styleOrder = { normal: 0, italic: 1, oblique: 2 };
+
+/**
+ * Group font records into families with their variants.
+ * @param {Object[]} fonts - Records with family, weight, style
+ * @returns {{ family: string, variants: Object[] }[]} Families by name, variants by weight then style
+ */
+export const groupFontFamilies = (fonts) => {
+  const families = new Map();
+  for (const font of fonts) {
+    const key = font.family.toLowerCase();
+    if (!families.has(key)) {
+      families.set(key, { family: font.family, variants: [] });
+    }
+    families.get(key).variants.push(font);
+  }
+  
+  return [...families.values()]
+    .map(({ family, variants }) => ({
+      family,
+      variants: variants.sort((a, b) => (a.weight - b.weight) || (styleOrder[a.style] - styleOrder[b.style])),
+    }))
+    .sort((a, b) => a.family.localeCompare(b.family));
+};
+
+// Quoted CSS string; also keeps name table text from closing the rule
+const cssString = (value) => `'${String(value).replace(/[\\'"\n\r\f<>{}]/g, (c) => `\\${c.charCodeAt(0).toString(16)} `)}'`;
+
+/**
+ * @font-face rules for every variant.
+ * @param {{ family: string, variants: Object[] }[]} families - Result of groupFontFamilies()
+ * @param {(font: Object) => { url: string, format: string }[]} sourcesFor - Files of a variant, preferred first
+ *   (format is a sniffed type such as woff2 or ttf)
+ * @param {Object} [options]
+ * @param {string} [options.unicodeRange] - Limit the rules to these characters
+ * @returns {string}
+ */
+export const buildFontFaceCss = (families, sourcesFor, options = {}) => families
+  .flatMap(({ family, variants }) => variants.map(font => [
+    '@font-face {',
+    `  font-family: ${cssString(family)};`,
+    `  src: ${sourcesFor(font).map(({ url, format }) => `url(${cssString(url)}) format('${FONT_FORMATS[format] || 'truetype'}')`).join(', ')};`,
+    `  font-weight: ${font.weight};`,
+    `  font-style: ${font.style};`,
+    '  font-display: swap;',
+    ...(options.unicodeRange ? [`  unicode-range: ${options.unicodeRange};`] : []),
+    '}',
+  ].join('\n')))
+  .join('\n\n');
+
+/**
+ * Sidecar metadata of a stored font. Fonts uploaded before metadata was
+ * read from the files get it filled in on first access; their license and
+ * other admin fields are kept.
+ * @param {Object} store - Font store
+ * @param {string} filename
+ * @returns {Promise<Object|null>} null when the font does not exist
+ */
+export const getFontMetadata = async (store, filename) => {
+  const sidecar = (await store.readJson(fontMetadataName(filename)).catch(() => null)) || {};
+  if (sidecar.filename === filename && sidecar.weight) return sidecar;
+  
+  const buffer = await store.read(filename);
+  if (!buffer) return null;
+  
+  let parsed;
+  try {
+    parsed = readFontMetadata(buffer);
+  } catch (error) {
+    parsed = null;
+  }
+  const { fullName, ...fields } = parsed || {};
+  const legacyName = sidecar.name || baseNameOf(filename).replace(/[-_]/g, ' ');
+  const metadata = {
+    id: sidecar.id || baseNameOf(filename),
+    license: 'public',
+    used: false,
+    uploaded_at: sidecar.uploaded_at || new Date().toISOString(),
+    ...sidecar,
+    // Unreadable and WOFF2 files keep what was entered when they were uploaded
+    family: sidecar.family || legacyName,
+    subfamily: 'Regular',
+    weight: 400,
+    style: 'normal',
+    format: sniffContentType(buffer),
+    ...fields,
+    name: fullName || legacyName,
+    filename,
+  };
+  delete metadata.types;
+  await store.writeJson(fontMetadataName(filename), metadata);
+  return metadata;
+};
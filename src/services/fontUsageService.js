@@ -0,0 +1,181 @@
+import { readDesignSource } from '../utils/designDocument.js';
+
+/**
+ * Which uploaded fonts are used by saved customer designs and by orders.
+ *
+ * Text layers (also inside groups, and per-character styles) reference a
+ * font by family, weight and style. Each reference is matched to the
+ * uploaded file the design tool would load for it, so the report shows
+ * usage per font file - which is what a licence covers.
+ */
+
+// WooCommerce statuses of orders that are still to be produced
+export const OPEN_ORDER_STATUSES = ['pending', 'processing', 'on-hold'];
+
+export const isOpenOrder = (order) => OPEN_ORDER_STATUSES.includes(order.status);
+
+const getMeta = (item, key) => item.meta_data?.find(m => m.key === key)?.value;
+
+// First family of a CSS font-family list, without quotes
+const primaryFamily = (value) => String(value).split(',')[0].trim().replace(/^['"]|['"]$/g, '').trim();
+
+const cssWeight = (value) => {
+  if (value === 'bold' || value === 'bolder') return 700;
+  if (value === 'lighter') return 300;
+  const weight = parseInt(value, 10);
+  return Number.isFinite(weight) ? weight : 400;
+};
+
+const cssStyle = (value) => (value === 'italic' || value === 'oblique' ? 'italic' : 'normal');
+
+// Per-character styles: fabric.js 5 { line: { char: style } } or 6 [{ start, end, style }]
+const collectStyleRuns = (styles, runs = []) => {
+  if (!styles || typeof styles !== 'object') return runs;
+  if (styles.fontFamily || styles.fontWeight || styles.fontStyle) {
+    runs.push(styles);
+    return runs;
+  }
+  Object.values(Array.isArray(styles) ? styles.map(run => run.style || run) : styles)
+    .forEach(value => collectStyleRuns(value, runs));
+  return runs;
+};
+
+const collectReferences = (objects, references) => {
+  for (const obj of objects || []) {
+    if (!obj || typeof obj !== 'object') continue;
+    if (Array.isArray(obj.objects)) {
+      collectReferences(obj.objects, references);
+    }
+    if (!obj.fontFamily) continue;
+    
+    for (const style of [obj, ...collectStyleRuns(obj.styles)]) {
+      const family = primaryFamily(style.fontFamily || obj.fontFamily);
+      if (!family) continue;
+      const weight = cssWeight(style.fontWeight ?? obj.fontWeight);
+      const fontStyle = cssStyle(style.fontStyle ?? obj.fontStyle);
+      references.set(`${family.toLowerCase()}|${weight}|${fontStyle}`, { family, weight, style: fontStyle });
+    }
+  }
+  return references;
+};
+
+/**
+ * Fonts referenced by a design's text layers.
+ * @param {string|Object} designData - Design JSON
+ * @returns {{ family: string, weight: number, style: string }[]} Unique references
+ */
+export const extractFontReferences = (designData) => {
+  const { objects } = readDesignSource(designData);
+  return [...collectReferences(objects, new Map()).values()];
+};
+
+/**
+ * Match font references to uploaded files the way a browser picks a face:
+ * same family, matching style preferred, then the closest weight.
+ * @param {Object[]} fonts - Font records with filename, family, weight, style
+ * @returns {(reference: Object) => Object|null}
+ */
+export const createFontMatcher = (fonts) => {
+  const byFamily = new Map();
+  for (const font of fonts) {
+    const key = font.family.toLowerCase();
+    byFamily.set(key, [...(byFamily.get(key) || []), font]);
+  }
+  
+  return (reference) => {
+    const candidates = byFamily.get(reference.family.toLowerCase());
+    if (!candidates) return null;
+    const score = (font) => (cssStyle(font.style) === reference.style ? 0 : 1000)
+      + Math.abs((Number(font.weight) || 400) - reference.weight);
+    return candidates.reduce((best, font) => (score(font) < score(best) ? font : best));
+  };
+};
+
+/**
+ * Usage of every uploaded font.
+ * @param {Object} sources
+ * @param {Object[]} sources.fonts - Font records (listFontRecords)
+ * @param {AsyncIterable<{ userId: string, designId: string, designData: Object }>|Object[]} [sources.designs] - Saved customer designs
+ * @param {Object[]} [sources.orders] - WooCommerce orders
+ * @returns {Promise<Object>} { fonts, missing, scanned }
+ */
+export const buildFontUsageReport = async ({ fonts, designs = [], orders = [] }) => {
+  const match = createFontMatcher(fonts);
+  const usage = new Map(fonts.map(font => [font.filename, { designs: [], orders: new Map() }]));
+  const missing = new Map();
+  const scanned = { designs: 0, orders: 0, unreadable: 0 };
+  
+  const record = (designData, onFont, onMissing) => {
+    let references;
+    try {
+      references = extractFontReferences(designData);
+    } catch (e) {
+      scanned.unreadable += 1;
+      return;
+    }
+    // A design counts once per font file or missing family, whatever it uses it for
+    const files = new Set();
+    const missingFamilies = new Map();
+    for (const reference of references) {
+      const font = match(reference);
+      if (font) {
+        files.add(font.filename);
+      } else {
+        missingFamilies.set(reference.family.toLowerCase(), reference.family);
+      }
+    }
+    files.forEach(filename => onFont(usage.get(filename)));
+    missingFamilies.forEach((family, key) => {
+      const entry = missing.get(key) || { family, designs: 0, orders: new Set() };
+      onMissing(entry);
+      missing.set(key, entry);
+    });
+  };
+  
+  for await (const design of designs) {
+    scanned.designs += 1;
+    const ref = { userId: design.userId, designId: design.designId };
+    record(design.designData, entry => entry.designs.push(ref), entry => { entry.designs += 1; });
+  }
+  
+  for (const order of orders) {
+    scanned.orders += 1;
+    for (const item of order.line_items || []) {
+      const designData = getMeta(item, '_design_data');
+      if (!designData) continue;
+      record(designData, (entry) => {
+        const orderUsage = entry.orders.get(order.id) || { orderId: order.id, status: order.status, open: isOpenOrder(order), itemIds: [] };
+        orderUsage.itemIds.push(item.id);
+        entry.orders.set(order.id, orderUsage);
+      }, entry => entry.orders.add(order.id));
+    }
+  }
+  
+  return {
+    fonts: fonts.map((font) => {
+      const { designs: fontDesigns, orders: fontOrders } = usage.get(font.filename);
+      const orderList = [...fontOrders.values()];
+      return {
+        filename: font.filename,
+        family: font.family,
+        subfamily: font.subfamily || null,
+        weight: font.weight,
+        style: font.style,
+        license: font.license || 'public',
+        used: fontDesigns.length > 0 || orderList.length > 0,
+        designCount: fontDesigns.length,
+        orderCount: orderList.length,
+        openOrderCount: orderList.filter(order => order.open).length,
+        designs: fontDesigns,
+        orders: orderList,
+      };
+    }),
+    // Families used by designs that have no uploaded file (system or removed fonts)
+    missing: [...missing.values()].map(entry => ({
+      family: entry.family,
+      designCount: entry.designs,
+      orderCount: entry.orders.size,
+    })),
+    scanned,
+  };
+};
@@ -0,0 +1,208 @@
+import sharp from 'sharp';
+import { StorageError, FILE_TYPES, sniffContentType } from './storageService.js';
+import { sanitizeSvg } from './svgSanitizer.js';
+
+/**
+ * Upload pipeline for customer images.
+ *
+ * The uploaded file is kept untouched in originals/, and a normalised master
+ * (EXIF rotation applied, converted to sRGB, PNG or JPEG) is written next to
+ * a sidecar <name>.json with pixel size, colour mode and DPI. Web thumbnails
+ * go to thumbs/. Masters keep the uploaded pixel size so print quality is
+ * not lost; only thumbnails are downscaled.
+ */
+
+export const ORIGINALS_DIR = 'originals';
+export const THUMBS_DIR = 'thumbs';
+
+// Longest side in pixels per thumbnail name
+export const THUMBNAIL_SIZES = { small: 200, medium: 800 };
+
+// Print resolution below MIN is flagged as too low, below RECOMMENDED as acceptable
+export const MIN_PRINT_DPI = 150;
+export const RECOMMENDED_PRINT_DPI = 300;
+
+const MM_PER_INCH = 25.4;
+
+// sharp's colour space names as shown to customers and in the admin
+const COLOUR_MODES = {
+  srgb: 'rgb',
+  rgb: 'rgb',
+  rgb16: 'rgb',
+  scrgb: 'rgb',
+  cmyk: 'cmyk',
+  'b-w': 'grayscale',
+  grey16: 'grayscale',
+  lab: 'lab',
+};
+
+const baseNameOf = (filename) => filename.replace(/\.[^.]+$/, '');
+
+export const thumbnailName = (filename, size) => `${baseNameOf(filename)}-${size}.webp`;
+
+export const metadataName = (filename) => `${baseNameOf(filename)}.json`;
+
+/**
+ * Normalise an image and create its thumbnails.
+ * @param {Buffer} input - Uploaded file; SVGs are sanitised first
+ * @returns {Promise<{ master: Object, thumbnails: Object[], info: Object }>}
+ * @throws {StorageError} 415 when the file cannot be decoded
+ */
+export const processImage = async (input) => {
+  const type = sniffContentType(input);
+  // Scripts, event handlers and external references never reach the stored SVG
+  const sanitized = type === 'svg' ? sanitizeSvg(input) : null;
+  const buffer = sanitized ? Buffer.from(sanitized.svg) : input;
+  let meta;
+  try {
+    meta = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new StorageError(`Image could not be read (${error.message})`, 415);
+  }
+  
+  // EXIF orientations 5-8 swap width and height
+  const rotated = meta.orientation >= 5;
+  const width = rotated ? meta.height : meta.width;
+  const height = rotated ? meta.width : meta.height;
+  const vector = type === 'svg';
+  
+  const info = {
+    width,
+    height,
+    originalFormat: type,
+    colourMode: COLOUR_MODES[meta.space] || meta.space || null,
+    channels: meta.channels,
+    hasAlpha: Boolean(meta.hasAlpha),
+    hasIccProfile: Boolean(meta.icc),
+    bitDepth: meta.depth || null,
+    // Declared in the file; SVGs are resolution independent
+    dpi: vector ? null : (meta.density ? Math.round(meta.density) : null),
+    vector,
+    animated: (meta.pages || 1) > 1,
+    ...(sanitized && { sanitized: sanitized.removed }),
+  };
+  
+  // SVG masters stay vector
+  let master;
+  if (vector) {
+    master = { buffer, type: 'svg' };
+  } else {
+    const pipeline = sharp(buffer).rotate().toColourspace('srgb');
+    master = info.hasAlpha || type === 'png' || type === 'gif'
+      ? { buffer: await pipeline.png({ compressionLevel: 6 }).toBuffer(), type: 'png' }
+      : { buffer: await pipeline.jpeg({ quality: 92, chromaSubsampling: '4:4:4' }).toBuffer(), type: 'jpeg' };
+  }
+  master.ext = FILE_TYPES[master.type].ext;
+  master.mime = FILE_TYPES[master.type].mime;
+  
+  const thumbnails = [];
+  for (const [size, maxSide] of Object.entries(THUMBNAIL_SIZES)) {
+    const thumb = await sharp(buffer, { density: vector ? 144 : undefined })
+      .rotate()
+      .resize(maxSide, maxSide, { fit: 'inside', withoutEnlargement: true })
+      .toColourspace('srgb')
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+    thumbnails.push({ size, buffer: thumb.data, width: thumb.info.width, height: thumb.info.height });
+  }
+  
+  return { master, thumbnails, info };
+};
+
+/**
+ * Effective print resolution of an image placed at a given size.
+ * @param {{ width: number, height: number, vector?: boolean }} image - Pixel size
+ * @param {{ widthMm?: number, heightMm?: number }} printSize
+ * @param {Object} [limits] - { minDpi, recommendedDpi }
+ * @returns {Object|null} null when no print size is known
+ */
+export const checkPrintResolution = (image, printSize, limits = {}) => {
+  const minDpi = limits.minDpi || MIN_PRINT_DPI;
+  const recommendedDpi = limits.recommendedDpi || RECOMMENDED_PRINT_DPI;
+  const widthMm = Number(printSize?.widthMm) || null;
+  const heightMm = Number(printSize?.heightMm) || null;
+  if (!widthMm && !heightMm) return null;
+  
+  if (image.vector) {
+    return { widthMm, heightMm, effectiveDpi: null, minDpi, recommendedDpi, quality: 'good', warning: null };
+  }
+  
+  // The image is limited by whichever side has fewer pixels per inch
+  const candidates = [];
+  if (widthMm) candidates.push(image.width / (widthMm / MM_PER_INCH));
+  if (heightMm) candidates.push(image.height / (heightMm / MM_PER_INCH));
+  const effectiveDpi = Math.floor(Math.min(...candidates));
+  
+  let quality = 'good';
+  let warning = null;
+  if (effectiveDpi < minDpi) {
+    quality = 'low';
+    warning = `Image resolution is too low for this print size (${effectiveDpi} DPI, at least ${minDpi} DPI needed). It may print blurry.`;
+  } else if (effectiveDpi < recommendedDpi) {
+    quality = 'acceptable';
+  }
+  
+  return { widthMm, heightMm, effectiveDpi, minDpi, recommendedDpi, quality, warning };
+};
+
+/**
+ * Run the pipeline for a stored upload and write master, thumbnails and
+ * sidecar into the image store.
+ * @param {Object} store - Image store (imageStorage)
+ * @param {string} sourceName - File in originals/ (or in the store itself for images uploaded before the pipeline)
+ * @param {Object} [options]
+ * @param {boolean} [options.legacy] - Source is an existing file in the store; it is kept as the master
+ * @returns {Promise<Object>} Sidecar metadata
+ */
+export const processStoredImage = async (store, sourceName, options = {}) => {
+  const source = options.legacy ? store : store.scope(ORIGINALS_DIR);
+  const buffer = await source.read(sourceName);
+  if (!buffer) {
+    throw new StorageError('File not found', 404);
+  }
+  
+  const { master, thumbnails, info } = await processImage(buffer);
+  let filename = sourceName;
+  let format = info.originalFormat;
+  let size = buffer.length;
+  if (!options.legacy) {
+    filename = `${baseNameOf(sourceName)}.${master.ext}`;
+    format = master.type;
+    size = master.buffer.length;
+    await store.write(filename, master.buffer, { contentType: master.mime });
+  }
+  
+  const thumbStore = store.scope(THUMBS_DIR);
+  const thumbnailFiles = {};
+  for (const thumb of thumbnails) {
+    const name = thumbnailName(filename, thumb.size);
+    await thumbStore.write(name, thumb.buffer, { contentType: FILE_TYPES.webp.mime });
+    thumbnailFiles[thumb.size] = { filename: name, width: thumb.width, height: thumb.height };
+  }
+  
+  const metadata = {
+    filename,
+    original: options.legacy ? null : sourceName,
+    format,
+    size,
+    ...info,
+    thumbnails: thumbnailFiles,
+    processedAt: new Date().toISOString(),
+  };
+  await store.writeJson(metadataName(filename), metadata);
+  return metadata;
+};
+
+/**
+ * Sidecar metadata of a stored image. Images uploaded before the pipeline
+ * existed are processed on first access.
+ * @param {Object} store - Image store
+ * @param {string} filename
+ * @returns {Promise<Object|null>} null when the image does not exist
+ */
+export const getImageMetadata = async (store, filename) => {
+  const metadata = await store.readJson(metadataName(filename));
+  if (metadata?.filename === filename) return metadata;
+  if (!(await store.exists(filename))) return null;
+  return processStoredImage(store, filename, { legacy: true });
+};
@@ -0,0 +1,299 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { existsSync } from 'fs';
+
+/**
+ * Small persistent job queue backed by a JSON file.
+ *
+ * Jobs survive restarts (running jobs are re-queued on load), failed jobs
+ * are retried with exponential backoff and at most `concurrency` jobs run
+ * at the same time. Finished jobs are kept for `retentionDays` so their
+ * results can still be fetched.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a job queue.
+ * @param {Object} options
+ * @param {string} options.name - Queue name used in logs
+ * @param {string} options.file - JSON file that stores the jobs
+ * @param {number} [options.concurrency=2] - Jobs processed in parallel
+ * @param {number} [options.maxAttempts=3] - Attempts before a job is marked failed
+ * @param {number} [options.retryDelayMs=5000] - Base delay for exponential backoff
+ * @param {number} [options.retentionDays=7] - How long finished jobs are kept
+ * @returns {Object} Queue API
+ */
+export const createJobQueue = (options) => {
+  const name = options.name || 'jobs';
+  const file = options.file;
+  const concurrency = Math.max(1, parseInt(options.concurrency, 10) || 2);
+  const maxAttempts = Math.max(1, parseInt(options.maxAttempts, 10) || 3);
+  const retryDelayMs = options.retryDelayMs ?? 5000;
+  const retentionMs = (options.retentionDays ?? 7) * DAY_MS;
+  
+  const handlers = new Map();
+  const contexts = new Map(); // jobId -> in-memory context (never persisted)
+  const listeners = [];
+  let jobs = [];
+  let running = 0;
+  let started = false;
+  let timer = null;
+  let writeChain = Promise.resolve();
+  
+  const now = () => new Date().toISOString();
+  
+  const persist = () => {
+    // Serialise writes so concurrent updates never interleave
+    const snapshot = JSON.stringify(jobs, null, 2);
+    writeChain = writeChain
+      .then(() => fs.writeFile(file, snapshot))
+      .catch(e => console.error(`[${name}] Failed to persist jobs:`, e.message));
+    return writeChain;
+  };
+  
+  const load = () => {
+    if (!file || !existsSync(file)) return;
+    try {
+      jobs = fs.readJsonSync(file);
+    } catch (e) {
+      console.error(`[${name}] Failed to read job file:`, e.message);
+      jobs = [];
+    }
+    
+    // Jobs that were running when the process stopped start again
+    jobs.forEach((job) => {
+      if (job.status === 'running') {
+        job.status = 'queued';
+        job.updated_at = now();
+      }
+    });
+  };
+  
+  const prune = () => {
+    const cutoff = Date.now() - retentionMs;
+    jobs = jobs.filter(job =>
+      !['completed', 'failed'].includes(job.status) || new Date(job.finished_at || job.updated_at).getTime() > cutoff
+    );
+  };
+  
+  const notify = (job) => {
+    listeners.forEach((listener) => {
+      try {
+        listener({ ...job });
+      } catch (e) {
+        console.error(`[${name}] Job listener failed:`, e.message);
+      }
+    });
+  };
+  
+  const schedule = (delay) => {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      pump();
+    }, delay);
+    timer.unref?.();
+  };
+  
+  const run = async (job) => {
+    const handler = handlers.get(job.type);
+    running += 1;
+    job.status = 'running';
+    job.attempts += 1;
+    job.started_at = now();
+    job.updated_at = job.started_at;
+    job.error = null;
+    await persist();
+    notify(job);
+    
+    try {
+      const result = await handler(job.payload, { ...job, context: contexts.get(job.id) });
+      job.status = 'completed';
+      job.result = result ?? null;
+      job.finished_at = now();
+      contexts.delete(job.id);
+    } catch (error) {
+      console.error(`[${name}] Job ${job.id} (${job.type}) attempt ${job.attempts} failed:`, error.message);
+      job.error = error.message;
+      if (job.attempts < job.max_attempts) {
+        const delay = retryDelayMs * 2 ** (job.attempts - 1);
+        job.status = 'queued';
+        job.run_after = new Date(Date.now() + delay).toISOString();
+      } else {
+        job.status = 'failed';
+        job.finished_at = now();
+        contexts.delete(job.id);
+      }
+    } finally {
+      running -= 1;
+      job.updated_at = now();
+      await persist();
+      notify(job);
+      pump();
+    }
+  };
+  
+  const pump = () => {
+    if (!started) return;
+    
+    const current = Date.now();
+    let nextRetry = null;
+    
+    for (const job of jobs) {
+      if (running >= concurrency) break;
+      if (job.status !== 'queued' || !handlers.has(job.type)) continue;
+      // Follow-up jobs wait until the job they follow has finished
+      if (job.after && jobs.some(other => other.id === job.after && ['queued', 'running'].includes(other.status))) continue;
+      
+      const runAfter = job.run_after ? new Date(job.run_after).getTime() : 0;
+      if (runAfter > current) {
+        nextRetry = nextRetry === null ? runAfter : Math.min(nextRetry, runAfter);
+        continue;
+      }
+      run(job);
+    }
+    
+    if (nextRetry !== null) {
+      schedule(Math.max(0, nextRetry - current));
+    }
+  };
+  
+  load();
+  prune();
+  
+  return {
+    /**
+     * Register the handler for a job type.
+     * @param {string} type
+     * @param {Function} handler - async (payload, job) => result
+     */
+    register(type, handler) {
+      handlers.set(type, handler);
+      pump();
+    },
+    
+    /**
+     * Begin processing queued jobs.
+     */
+    start() {
+      started = true;
+      pump();
+    },
+    
+    /**
+     * Register a listener for job status changes.
+     * @param {Function} listener - Called with a copy of the job
+     */
+    onUpdate(listener) {
+      listeners.push(listener);
+    },
+    
+    /**
+     * Add a job to the queue.
+     * @param {string} type
+     * @param {Object} payload - Persisted job input
+     * @param {Object} [opts]
+     * @param {string} [opts.dedupeKey] - Reuse a queued/running job with the same key
+     * @param {boolean} [opts.replace=false] - The new input supersedes the old one: a queued job with
+     *   the key takes over payload and context (returned with coalesced: true), and while one is
+     *   running a follow-up job is queued that starts after it
+     * @param {Object} [opts.context] - Extra data kept in memory only (e.g. credentials)
+     * @returns {Promise<Object>} The job
+     */
+    async enqueue(type, payload, opts = {}) {
+      let after = null;
+      if (opts.dedupeKey) {
+        const pending = jobs.filter(job =>
+          job.dedupe_key === opts.dedupeKey && ['queued', 'running'].includes(job.status)
+        );
+        const queued = pending.find(job => job.status === 'queued');
+        if (queued && opts.replace) {
+          queued.payload = payload;
+          queued.updated_at = now();
+          if (opts.context) {
+            contexts.set(queued.id, opts.context);
+          }
+          await persist();
+          return { ...queued, coalesced: true };
+        }
+        if (pending.length > 0 && !opts.replace) return { ...pending[0] };
+        after = pending[0]?.id || null;
+      }
+      
+      const job = {
+        id: crypto.randomUUID(),
+        type,
+        status: 'queued',
+        payload,
+        dedupe_key: opts.dedupeKey || null,
+        after,
+        attempts: 0,
+        max_attempts: opts.maxAttempts || maxAttempts,
+        result: null,
+        error: null,
+        run_after: null,
+        created_at: now(),
+        updated_at: now(),
+        started_at: null,
+        finished_at: null,
+      };
+      
+      if (opts.context) {
+        contexts.set(job.id, opts.context);
+      }
+      
+      prune();
+      jobs.push(job);
+      await persist();
+      pump();
+      return { ...job };
+    },
+    
+    /**
+     * @param {string} id
+     * @returns {Object|null} A copy of the job
+     */
+    get(id) {
+      const job = jobs.find(j => j.id === id);
+      return job ? { ...job } : null;
+    },
+    
+    /**
+     * @param {Object} [filter] - { type, status }
+     * @returns {Object[]} Jobs, newest first
+     */
+    list(filter = {}) {
+      return jobs
+        .filter(job => (!filter.type || job.type === filter.type) && (!filter.status || job.status === filter.status))
+        .map(job => ({ ...job }))
+        .reverse();
+    },
+    
+    /**
+     * Put a failed job back in the queue.
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async retry(id) {
+      const job = jobs.find(j => j.id === id);
+      if (!job || job.status !== 'failed') return null;
+      job.status = 'queued';
+      job.attempts = 0;
+      job.run_after = null;
+      job.finished_at = null;
+      job.updated_at = now();
+      await persist();
+      pump();
+      return { ...job };
+    },
+    
+    stats() {
+      return {
+        running,
+        concurrency,
+        queued: jobs.filter(job => job.status === 'queued').length,
+      };
+    },
+  };
+};
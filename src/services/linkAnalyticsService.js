@@ -0,0 +1,169 @@
+import fs from 'fs-extra';
+import { existsSync } from 'fs';
+import { StorageError } from './storageService.js';
+
+/**
+ * Usage numbers of personalisation links.
+ *
+ * Events are counted per link and day (UTC) instead of being stored one by
+ * one, so the file stays small however often links are opened. Each row
+ * keeps the sellerId and productCode the link had, so totals stay right
+ * after a link is changed or deleted. Events that can be reported more than
+ * once (an order updated several times, a design saved again) are recorded
+ * with a dedupe key and only counted the first time.
+ */
+
+// Event name -> counter of a row
+export const LINK_EVENTS = {
+  open: 'opens',
+  session: 'sessions',
+  save: 'saves',
+  order: 'orders',
+};
+
+export const LINK_ANALYTICS_GROUPS = ['sellerId', 'productCode', 'linkId', 'date'];
+
+const MAX_DEDUPE_KEYS = 10000;
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+let statsFile = null;
+let rows = []; // [{ date, linkId, sellerId, productCode, opens, sessions, saves, orders }]
+let dedupeKeys = []; // oldest first
+let rowIndex = new Map();
+let seen = new Set();
+let writeChain = Promise.resolve();
+
+const persist = () => {
+  if (!statsFile) return writeChain;
+  // Serialise writes so concurrent events never interleave
+  const snapshot = JSON.stringify({ rows, dedupeKeys }, null, 2);
+  writeChain = writeChain
+    .then(() => fs.writeFile(statsFile, snapshot))
+    .catch(e => console.error('Failed to persist link analytics:', e.message));
+  return writeChain;
+};
+
+const emptyCounters = () => Object.fromEntries(Object.values(LINK_EVENTS).map(counter => [counter, 0]));
+
+/**
+ * Load the counters. Must be called once on startup.
+ * @param {Object} options
+ * @param {string} options.file - JSON file for the counters
+ */
+export const initLinkAnalytics = (options = {}) => {
+  statsFile = options.file || null;
+  rows = [];
+  dedupeKeys = [];
+  if (statsFile && existsSync(statsFile)) {
+    try {
+      ({ rows = [], dedupeKeys = [] } = fs.readJsonSync(statsFile));
+    } catch (e) {
+      console.error('Failed to read link analytics:', e.message);
+    }
+  }
+  rowIndex = new Map(rows.map(row => [`${row.date}|${row.linkId}`, row]));
+  seen = new Set(dedupeKeys);
+};
+
+/**
+ * Count an event of a link.
+ * @param {Object} link - { id, sellerId, productCode }
+ * @param {'open'|'session'|'save'|'order'} event
+ * @param {Object} [options]
+ * @param {string} [options.dedupeKey] - Count the event only once per key (e.g. the order ID)
+ * @param {Date|string} [options.at] - When it happened (default now)
+ * @returns {Promise<boolean>} false when the event was counted before
+ */
+export const recordLinkEvent = async (link, event, options = {}) => {
+  const counter = LINK_EVENTS[event];
+  if (!counter) {
+    throw new Error(`Unknown link event: ${event}`);
+  }
+  
+  if (options.dedupeKey) {
+    const key = `${event}:${link.id}:${options.dedupeKey}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    dedupeKeys.push(key);
+    if (dedupeKeys.length > MAX_DEDUPE_KEYS) {
+      dedupeKeys.splice(0, dedupeKeys.length - MAX_DEDUPE_KEYS).forEach(old => seen.delete(old));
+    }
+  }
+  
+  const date = new Date(options.at || Date.now()).toISOString().substring(0, 10);
+  const rowKey = `${date}|${link.id}`;
+  let row = rowIndex.get(rowKey);
+  if (!row) {
+    row = { date, linkId: link.id, sellerId: link.sellerId ?? null, productCode: link.productCode ?? null, ...emptyCounters() };
+    rows.push(row);
+    rowIndex.set(rowKey, row);
+  }
+  row[counter] += 1;
+  await persist();
+  return true;
+};
+
+/**
+ * Read a from/to range of days from a query string.
+ * @param {Object} query - { from, to } as YYYY-MM-DD; both are optional and inclusive
+ * @returns {{ from: string|null, to: string|null }}
+ * @throws {StorageError} 400 for invalid days or from after to
+ */
+export const parseAnalyticsRange = ({ from, to } = {}) => {
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && (!DAY.test(value) || Number.isNaN(Date.parse(value)))) {
+      throw new StorageError(`${name} must be a day (YYYY-MM-DD)`);
+    }
+  }
+  if (from && to && from > to) {
+    throw new StorageError('from must not be after to');
+  }
+  return { from: from || null, to: to || null };
+};
+
+// Counters plus the share of opens that ended in a saved design and in an order
+const withRates = (counters) => ({
+  ...counters,
+  saveRate: counters.opens ? Math.round((counters.saves / counters.opens) * 10000) / 10000 : null,
+  conversionRate: counters.opens ? Math.round((counters.orders / counters.opens) * 10000) / 10000 : null,
+});
+
+/**
+ * Totals over a range of days, optionally grouped.
+ * @param {Object} [options]
+ * @param {string|null} [options.from] - First day (YYYY-MM-DD), inclusive
+ * @param {string|null} [options.to] - Last day, inclusive
+ * @param {string} [options.groupBy] - One of LINK_ANALYTICS_GROUPS
+ * @param {Object} [options.filter] - Only rows with these values, e.g. { sellerId: 's1' }
+ * @returns {{ totals: Object, groups: Object[] }} groups (largest number of opens first, days in
+ *   order) is empty without groupBy
+ */
+export const aggregateLinkEvents = (options = {}) => {
+  const { from = null, to = null, groupBy = null, filter = {} } = options;
+  const filters = Object.entries(filter).filter(([, value]) => value !== undefined && value !== null && value !== '');
+  const matching = rows.filter(row => (!from || row.date >= from)
+    && (!to || row.date <= to)
+    && filters.every(([key, value]) => String(row[key]) === String(value)));
+  
+  const add = (target, row) => {
+    Object.values(LINK_EVENTS).forEach((counter) => { target[counter] += row[counter] || 0; });
+  };
+  
+  const totals = emptyCounters();
+  const groups = new Map();
+  for (const row of matching) {
+    add(totals, row);
+    if (groupBy) {
+      const key = row[groupBy] ?? null;
+      if (!groups.has(key)) groups.set(key, emptyCounters());
+      add(groups.get(key), row);
+    }
+  }
+  
+  return {
+    totals: withRates(totals),
+    groups: [...groups.entries()]
+      .map(([key, counters]) => ({ [groupBy]: key, ...withRates(counters) }))
+      .sort((a, b) => (groupBy === 'date' ? a.date.localeCompare(b.date) : b.opens - a.opens)),
+  };
+};
@@ -0,0 +1,330 @@
+import crypto from 'crypto';
+import { StorageError } from './storageService.js';
+
+/**
+ * Personalisation links: the URLs sellers send their customers to the
+ * design tool with.
+ *
+ * A link is opened by its id or by its short code. Expired links are gone
+ * (410) and test links only open for panel users who can read links, so a
+ * test link that reaches a customer does nothing. When the customer is done,
+ * the design tool sends them back to the link's returnUrl with the result as
+ * a base64url JSON payload (dt_result) and an HMAC-SHA256 signature of it
+ * (dt_signature). The seller checks the signature with the shared secret
+ * (see verifyLinkResult) before trusting anything in the payload.
+ *
+ * The link's mode decides what the customer does and what the seller gets
+ * back (see LINK_MODES).
+ */
+
+/**
+ * Link modes.
+ *   returnUrl  the link must have a returnUrl to send the result to
+ *   singleUse  the link stops working once it has been completed
+ *   readOnly   the design tool only shows the product; the link cannot be completed
+ */
+export const LINK_MODES = {
+  // Customer designs before buying; the seller adds the result to the cart
+  BEFORE_BUY_SHOP: { returnUrl: true, singleUse: false, readOnly: false },
+  // Customer personalises an order already paid for (orderReference), once
+  AFTER_BUY: { returnUrl: true, singleUse: true, readOnly: false },
+  // One design for volume units, each with its own values of variableFields
+  B2B_BULK: { returnUrl: true, singleUse: false, readOnly: false },
+  // Product and templates to look at; nothing is saved or sent back
+  PREVIEW_ONLY: { returnUrl: false, singleUse: false, readOnly: true },
+};
+
+export const DEFAULT_LINK_MODE = 'BEFORE_BUY_SHOP';
+
+export const MAX_LINK_VOLUME = 10000;
+export const MAX_VARIABLE_FIELDS = 20;
+export const MAX_UNIT_VALUE_LENGTH = 200;
+
+// Variable field names are used as placeholders in text layers, e.g. {{name}}
+const VARIABLE_FIELD_NAME = /^[A-Za-z][A-Za-z0-9_-]{0,39}$/;
+
+// Short codes avoid characters that are easily mistaken for each other (0/o, 1/l/i)
+const CODE_ALPHABET = '23456789abcdefghjkmnpqrstuvwxyz';
+export const LINK_CODE_LENGTH = 8;
+
+// Results older than this are rejected by verifyLinkResult() unless told otherwise
+export const LINK_RESULT_MAX_AGE = 60 * 60;
+
+const hmac = (value, secret) => crypto.createHmac('sha256', secret).update(value).digest('hex');
+
+const text = (value) => (typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '');
+
+/**
+ * Link fields or unit data that do not validate; errors lists every problem.
+ */
+export class LinkValidationError extends StorageError {
+  constructor(message, errors = []) {
+    super(message, 400);
+    this.name = 'LinkValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * New short code that no other link uses.
+ * @param {Object[]} links - Existing links
+ * @returns {string}
+ */
+export const generateLinkCode = (links = []) => {
+  const taken = new Set(links.map(link => link.code).filter(Boolean));
+  let code;
+  do {
+    code = Array.from({ length: LINK_CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+  } while (taken.has(code));
+  return code;
+};
+
+/**
+ * Find a link by id or short code.
+ * @param {Object[]} links
+ * @param {string} idOrCode
+ * @returns {Object|null}
+ */
+export const findLink = (links, idOrCode) => {
+  const value = String(idOrCode);
+  return links.find(link => link.id === value)
+    || links.find(link => link.code && link.code === value.toLowerCase())
+    || null;
+};
+
+/**
+ * Read an expiry date sent to the link routes.
+ * @param {string|null} value - ISO 8601 date; empty string or null removes the expiry
+ * @returns {string|null|undefined} undefined when nothing was sent
+ * @throws {StorageError} 400 for values that are not dates
+ */
+export const parseLinkExpiry = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new StorageError('expires_at must be an ISO 8601 date');
+  }
+  return new Date(time).toISOString();
+};
+
+/**
+ * Whether a return URL can be redirected to (absolute http or https).
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isValidReturnUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Validate the fields of a link sent to the create and update routes.
+ * Fields that do not apply to the mode are returned as null.
+ * @param {Object} input - Request body
+ * @returns {Object} productCode, sellerId, returnUrl, volume, mode, test, allowChangeTemplate,
+ *   customizedParameters, orderReference, variableFields
+ * @throws {LinkValidationError} 400 with one entry per invalid field
+ */
+export const validateLinkFields = (input = {}) => {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+  
+  const mode = input.mode || DEFAULT_LINK_MODE;
+  const rules = LINK_MODES[mode];
+  if (!rules) {
+    fail('mode', `must be one of ${Object.keys(LINK_MODES).join(', ')}`);
+  }
+  
+  const productCode = text(input.productCode);
+  if (!productCode) fail('productCode', 'is required');
+  const sellerId = text(input.sellerId);
+  if (!sellerId) fail('sellerId', 'is required');
+  
+  const returnUrl = text(input.returnUrl) || null;
+  if (returnUrl && !isValidReturnUrl(returnUrl)) {
+    fail('returnUrl', 'must be an http or https URL');
+  } else if (!returnUrl && rules?.returnUrl) {
+    fail('returnUrl', `is required for ${mode} links`);
+  }
+  
+  const volume = [undefined, null, ''].includes(input.volume) ? 1 : Number(input.volume);
+  if (!Number.isInteger(volume) || volume < 1 || volume > MAX_LINK_VOLUME) {
+    fail('volume', `must be a whole number from 1 to ${MAX_LINK_VOLUME}`);
+  }
+  
+  const customizedParameters = input.customizedParameters || null;
+  if (customizedParameters !== null && (typeof customizedParameters !== 'object' || Array.isArray(customizedParameters))) {
+    fail('customizedParameters', 'must be an object');
+  }
+  
+  let orderReference = null;
+  if (mode === 'AFTER_BUY') {
+    orderReference = text(input.orderReference);
+    if (!orderReference) {
+      fail('orderReference', 'is required for AFTER_BUY links');
+    } else if (orderReference.length > 100) {
+      fail('orderReference', 'must be at most 100 characters');
+    }
+  }
+  
+  let variableFields = null;
+  if (mode === 'B2B_BULK') {
+    // A list, or names separated by commas
+    const names = Array.isArray(input.variableFields) ? input.variableFields : String(input.variableFields || '').split(',');
+    variableFields = [...new Set(names.map(text).filter(Boolean))];
+    if (variableFields.length === 0) {
+      fail('variableFields', 'is required for B2B_BULK links');
+    } else if (variableFields.length > MAX_VARIABLE_FIELDS) {
+      fail('variableFields', `must have at most ${MAX_VARIABLE_FIELDS} entries`);
+    }
+    variableFields.forEach((name, index) => {
+      if (!VARIABLE_FIELD_NAME.test(name)) {
+        fail(`variableFields[${index}]`, 'must start with a letter and contain only letters, digits, _ and - (40 at most)');
+      }
+    });
+  }
+  
+  if (errors.length > 0) {
+    throw new LinkValidationError('Link is not valid', errors);
+  }
+  return {
+    productCode,
+    sellerId,
+    returnUrl,
+    volume,
+    mode,
+    test: Boolean(input.test),
+    allowChangeTemplate: Boolean(input.allowChangeTemplate),
+    customizedParameters,
+    orderReference,
+    variableFields,
+  };
+};
+
+/**
+ * Validate the per-unit data sent when a B2B_BULK link is completed.
+ * @param {Object} link
+ * @param {Object[]} units - One object per unit with a value for each of the link's variableFields
+ * @returns {Object[]} The units with only the variable fields, as strings
+ * @throws {LinkValidationError} 400 with one entry per invalid unit field
+ */
+export const validateBulkUnits = (link, units) => {
+  const fields = link.variableFields || [];
+  if (!Array.isArray(units)) {
+    throw new LinkValidationError('Unit data is not valid', [{ field: 'units', message: 'is required for B2B_BULK links' }]);
+  }
+  
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+  if (units.length !== link.volume) {
+    fail('units', `must have ${link.volume} entries, one per unit`);
+  }
+  units.forEach((unit, index) => {
+    if (!unit || typeof unit !== 'object' || Array.isArray(unit)) {
+      fail(`units[${index}]`, 'must be an object');
+      return;
+    }
+    for (const field of fields) {
+      const value = unit[field];
+      if (value === undefined || value === null) {
+        fail(`units[${index}].${field}`, 'is required');
+      } else if (typeof value !== 'string' && typeof value !== 'number') {
+        fail(`units[${index}].${field}`, 'must be text');
+      } else if (String(value).length > MAX_UNIT_VALUE_LENGTH) {
+        fail(`units[${index}].${field}`, `must be at most ${MAX_UNIT_VALUE_LENGTH} characters`);
+      }
+    }
+    Object.keys(unit).filter(key => !fields.includes(key)).forEach(key => fail(`units[${index}].${key}`, 'is not allowed'));
+  });
+  
+  if (errors.length > 0) {
+    throw new LinkValidationError('Unit data is not valid', errors);
+  }
+  return units.map(unit => Object.fromEntries(fields.map(field => [field, String(unit[field])])));
+};
+
+/**
+ * Check that a link can be used right now.
+ * @param {Object} link
+ * @param {Object} [options]
+ * @param {boolean} [options.canTest=false] - The request comes from a panel user who can read links
+ * @param {number} [options.now=Date.now()]
+ * @throws {StorageError} 410 when the link has expired or a single-use link was completed,
+ *   403 for test links opened by anyone else
+ */
+export const assertLinkUsable = (link, options = {}) => {
+  const { canTest = false, now = Date.now() } = options;
+  if (link.expires_at && Date.parse(link.expires_at) <= now) {
+    throw new StorageError('This link has expired', 410);
+  }
+  if (LINK_MODES[link.mode]?.singleUse && link.completed_at) {
+    throw new StorageError('This link has already been used', 410);
+  }
+  if (link.test && !canTest) {
+    throw new StorageError('This is a test link; log in to the panel to open it', 403);
+  }
+};
+
+/**
+ * Sign a completion result for the seller.
+ * @param {Object} result - Result fields (linkId, designId, ...)
+ * @param {string} secret
+ * @returns {{ payload: string, signature: string }} base64url JSON and its hex HMAC-SHA256
+ * @throws {StorageError} 503 when no secret is configured
+ */
+export const signLinkResult = (result, secret) => {
+  if (!secret) {
+    throw new StorageError('Link results cannot be signed: LINK_SIGNING_SECRET is not configured', 503);
+  }
+  const payload = Buffer.from(JSON.stringify({ ...result, issuedAt: new Date().toISOString() })).toString('base64url');
+  return { payload, signature: hmac(payload, secret) };
+};
+
+/**
+ * Verify a signed result, as the seller does when the customer comes back.
+ * Recompute HMAC-SHA256(dt_result, secret) as hex and compare it to
+ * dt_signature, then decode dt_result (base64url JSON).
+ * @param {string} payload - dt_result from the return URL
+ * @param {string} signature - dt_signature from the return URL
+ * @param {string} secret
+ * @param {Object} [options]
+ * @param {number} [options.maxAge=LINK_RESULT_MAX_AGE] - Seconds; 0 accepts results of any age
+ * @returns {Object|null} The result, or null when the signature is wrong or the result too old
+ */
+export const verifyLinkResult = (payload, signature, secret, options = {}) => {
+  const { maxAge = LINK_RESULT_MAX_AGE } = options;
+  if (!secret || !payload || !signature) return null;
+  const expected = Buffer.from(hmac(String(payload), secret));
+  const actual = Buffer.from(String(signature));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  
+  let result;
+  try {
+    result = JSON.parse(Buffer.from(String(payload), 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+  if (maxAge && !(Date.now() - Date.parse(result.issuedAt) <= maxAge * 1000)) return null;
+  return result;
+};
+
+/**
+ * The seller's return URL with a signed result added to its query string.
+ * @param {string} returnUrl
+ * @param {{ payload: string, signature: string }} signed - Result of signLinkResult()
+ * @returns {string}
+ * @throws {StorageError} 422 when the return URL is missing or not http(s)
+ */
+export const buildReturnUrl = (returnUrl, signed) => {
+  if (!isValidReturnUrl(returnUrl)) {
+    throw new StorageError('Link has no valid returnUrl', 422);
+  }
+  const url = new URL(returnUrl);
+  url.searchParams.set('dt_result', signed.payload);
+  url.searchParams.set('dt_signature', signed.signature);
+  return url.toString();
+};
@@ -0,0 +1,169 @@
+import archiver from 'archiver';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { renderDesignPdf, loadFontLibrary } from './pdfExportService.js';
+import { renderDesignPng } from './designRenderer.js';
+
+/**
+ * Production package (ZIP) for a WooCommerce order.
+ *
+ * For every line item with design meta the package contains the 300dpi PNG,
+ * the raw design JSON and a print-ready PDF. Files are written under
+ * uploads/orders/<orderId> and the ZIP is renamed into place only once it
+ * is complete, so a download never sees a half-written archive.
+ *
+ * PNGs rendered here get a <name>-300dpi.json next to them with the hash of
+ * the design they were rendered from, and are rendered again when the
+ * design changes. A PNG without one was uploaded by the design tool and is
+ * used as it is.
+ */
+
+const getMeta = (item, key) => item.meta_data?.find(m => m.key === key)?.value;
+
+// Unique per build, so concurrent builds of one order (also from other processes) never share a file
+const tempName = (path) => `${path}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+const writeFileAtomic = async (path, data) => {
+  const tempPath = tempName(path);
+  try {
+    await fs.writeFile(tempPath, data);
+    await fs.move(tempPath, path, { overwrite: true });
+  } catch (error) {
+    await fs.remove(tempPath);
+    throw error;
+  }
+};
+
+/**
+ * Whether an order has at least one line item with design meta.
+ * @param {Object} order - WooCommerce order
+ * @returns {boolean}
+ */
+export const orderHasDesigns = (order) => (order.line_items || []).some(item =>
+  (item.meta_data || []).some(meta => meta.key.startsWith('_design_'))
+);
+
+/**
+ * Build the production ZIP for an order.
+ * @param {Object} order - WooCommerce order (as returned by /wc/v3/orders/:id)
+ * @param {Object} options
+ * @param {string} options.ordersDir - Base directory for order files
+ * @param {string} options.fontsDir
+ * @param {string} options.imagesDir
+ * @param {string} options.clipartDir
+ * @param {number} [options.bleed] - PDF bleed in mm
+ * @param {number} [options.compressionLevel=6] - zlib level for the ZIP
+ * @returns {Promise<{ zipPath: string, filename: string, size: number, files: string[], warnings: string[] }>}
+ */
+export const buildOrderPackage = async (order, options) => {
+  const orderId = String(order.id);
+  const orderDir = join(options.ordersDir, orderId);
+  await fs.ensureDir(orderDir);
+  
+  const filename = `order-${orderId}-designs.zip`;
+  const zipPath = join(orderDir, filename);
+  
+  // Fonts are embedded into the print PDFs
+  const fontLibrary = await loadFontLibrary(options.fontsDir);
+  const renderOptions = {
+    fontsDir: options.fontsDir,
+    imagesDir: options.imagesDir,
+    clipartDir: options.clipartDir,
+  };
+  const files = [];
+  const warnings = [];
+  // Files for the ZIP ([path, name]); it is only written once everything is rendered
+  const entries = [];
+  
+  for (const item of order.line_items || []) {
+    const designId = getMeta(item, '_design_id');
+    const designName = getMeta(item, '_design_name') || `design-${item.id}`;
+    if (!designId) continue;
+    
+    const safeName = String(designName).replace(/[^a-z0-9]/gi, '_').toLowerCase();
+    const pngPath = join(orderDir, `${safeName}-300dpi.png`);
+    const pngInfoPath = join(orderDir, `${safeName}-300dpi.json`);
+    const rawDesignData = getMeta(item, '_design_data');
+    const designData = rawDesignData && typeof rawDesignData === 'object' ? JSON.stringify(rawDesignData) : rawDesignData;
+    
+    // Render the 300dpi PNG on the server unless the design tool uploaded one, and again
+    // whenever the design has changed since it was rendered
+    const uploaded = existsSync(pngPath) && !existsSync(pngInfoPath);
+    if (designData && !uploaded) {
+      const hash = crypto.createHash('sha256').update(designData).digest('hex');
+      const rendered = await fs.readJson(pngInfoPath).catch(() => null);
+      if (rendered?.hash !== hash || !existsSync(pngPath)) {
+        try {
+          const png = await renderDesignPng(designData, { ...renderOptions, dpi: 300 });
+          await writeFileAtomic(pngPath, png.buffer);
+          await writeFileAtomic(pngInfoPath, JSON.stringify({ hash, renderedAt: new Date().toISOString() }));
+          png.warnings.forEach(warning => warnings.push(`${safeName} (png): ${warning}`));
+        } catch (renderError) {
+          // A PNG of the previous version must not reach the printer
+          await fs.remove(pngPath);
+          await fs.remove(pngInfoPath);
+          warnings.push(`${safeName}: PNG could not be generated (${renderError.message})`);
+        }
+      }
+    }
+    
+    if (existsSync(pngPath)) {
+      entries.push([pngPath, `${safeName}-300dpi.png`]);
+      files.push(`${safeName}-300dpi.png`);
+    }
+    
+    if (!designData) continue;
+    
+    const designDataPath = join(orderDir, `${safeName}-data.json`);
+    await writeFileAtomic(designDataPath, designData);
+    entries.push([designDataPath, `${safeName}-data.json`]);
+    files.push(`${safeName}-data.json`);
+    
+    // Print-ready PDF with bleed and crop marks
+    try {
+      const pdf = await renderDesignPdf(designData, {
+        ...renderOptions,
+        fontLibrary,
+        bleed: options.bleed,
+        title: `Order ${orderId} - ${designName}`,
+      });
+      const pdfPath = join(orderDir, `${safeName}-print.pdf`);
+      await writeFileAtomic(pdfPath, pdf.buffer);
+      entries.push([pdfPath, `${safeName}-print.pdf`]);
+      files.push(`${safeName}-print.pdf`);
+      pdf.warnings.forEach(warning => warnings.push(`${safeName}: ${warning}`));
+    } catch (pdfError) {
+      warnings.push(`${safeName}: PDF could not be generated (${pdfError.message})`);
+    }
+  }
+  
+  const tempPath = tempName(zipPath);
+  const output = fs.createWriteStream(tempPath);
+  const archive = archiver('zip', { zlib: { level: options.compressionLevel ?? 6 } });
+  const finished = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+  
+  try {
+    archive.pipe(output);
+    entries.forEach(([path, name]) => archive.file(path, { name }));
+    // Let the printer know about anything that could not be rendered
+    if (warnings.length > 0) {
+      archive.append(warnings.join('\n') + '\n', { name: 'export-warnings.txt' });
+    }
+    await Promise.all([archive.finalize(), finished]);
+    await fs.move(tempPath, zipPath, { overwrite: true });
+  } catch (error) {
+    archive.abort();
+    output.destroy();
+    await fs.remove(tempPath);
+    throw error;
+  }
+  
+  const { size } = await fs.stat(zipPath);
+  return { zipPath, filename, size, files, warnings };
+};
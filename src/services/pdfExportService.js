@@ -0,0 +1,283 @@
+import { jsPDF, GState } from 'jspdf';
+import fs from 'fs-extra';
+import fontverter from 'fontverter';
+import { basename } from 'path';
+import { normalizeDesign, parseColor, resolveDesignAsset } from '../utils/designDocument.js';
+import { fontStyleKey, loadFontLibrary as loadAllFonts, findFontFile } from '../utils/fontLibrary.js';
+import { sniffContentType } from './storageService.js';
+
+/**
+ * Print-ready PDF export for design JSON.
+ *
+ * Each design becomes a single page sized to the trim box plus bleed and a
+ * slug area for crop marks. Text uses the fonts uploaded to the font
+ * library so the printer does not need them installed. jsPDF can only embed
+ * TrueType outlines: WOFF and WOFF2 files are unpacked first, and fonts with
+ * PostScript (CFF) outlines fall back to Helvetica with a warning.
+ */
+
+const PT_PER_MM = 72 / 25.4;
+const CROP_MARK_LENGTH = 5; // mm
+const CROP_MARK_GAP = 1; // mm between bleed edge and mark
+
+/**
+ * Build a lookup of the fonts for PDF export, preferring TrueType files
+ * when a variant has several.
+ * @param {string} fontsDir
+ * @returns {Promise<Map<string, Object>>}
+ */
+export const loadFontLibrary = (fontsDir) => loadAllFonts(fontsDir, { extensions: ['ttf', 'otf', 'woff', 'woff2'] });
+
+// Whether an sfnt font has a glyf table (TrueType outlines) rather than CFF
+const hasTrueTypeOutlines = (buffer) => {
+  if (buffer.length < 12) return false;
+  const numTables = buffer.readUInt16BE(4);
+  for (let i = 0; i < numTables; i += 1) {
+    const offset = 12 + i * 16;
+    if (offset + 4 > buffer.length) return false;
+    if (buffer.toString('latin1', offset, offset + 4) === 'glyf') return true;
+  }
+  return false;
+};
+
+// Font file as TrueType data jsPDF can embed; WOFF and WOFF2 are unpacked first
+const readEmbeddableFont = async (file) => {
+  let buffer = await fs.readFile(file);
+  const type = sniffContentType(buffer);
+  if (type === 'woff' || type === 'woff2') {
+    buffer = Buffer.from(await fontverter.convert(buffer, 'sfnt'));
+  }
+  if (!hasTrueTypeOutlines(buffer)) {
+    throw new Error('it has PostScript (CFF) outlines, which cannot be embedded; upload a TrueType version');
+  }
+  return buffer;
+};
+
+const imageFormat = (buffer) => {
+  if (buffer[0] === 0x89 && buffer[1] === 0x50) return 'PNG';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return 'JPEG';
+  return null;
+};
+
+const loadImage = async (src, dirs) => {
+  const asset = resolveDesignAsset(src, dirs);
+  if (!asset) return null;
+  
+  const buffer = asset.dataUrl
+    ? Buffer.from(asset.dataUrl.replace(/^data:image\/[\w+.-]+;base64,/, ''), 'base64')
+    : await fs.readFile(asset.path);
+  
+  const format = imageFormat(buffer);
+  return format ? { data: new Uint8Array(buffer), format } : null;
+};
+
+/**
+ * Render design JSON into a print-ready PDF.
+ * @param {string|Object} designData - Design JSON
+ * @param {Object} options
+ * @param {string} options.fontsDir - Uploaded fonts directory
+ * @param {string} options.imagesDir - Uploaded images directory
+ * @param {string} options.clipartDir - Clipart directory
+ * @param {number} [options.bleed=3] - Bleed in mm
+ * @param {boolean} [options.cropMarks=true] - Draw crop marks in the slug area
+ * @param {string} [options.title] - Label printed in the slug and stored as PDF title
+ * @param {Map} [options.fontLibrary] - Preloaded result of loadFontLibrary()
+ * @returns {Promise<{ buffer: Buffer, warnings: string[], widthMm: number, heightMm: number }>}
+ */
+export const renderDesignPdf = async (designData, options = {}) => {
+  const design = normalizeDesign(designData);
+  const bleed = options.bleed ?? 3;
+  const cropMarks = options.cropMarks !== false;
+  const slug = bleed + (cropMarks ? CROP_MARK_GAP + CROP_MARK_LENGTH + 1 : 0);
+  const dirs = { imagesDir: options.imagesDir, clipartDir: options.clipartDir };
+  const warnings = [];
+  
+  const pageWidth = design.widthMm + slug * 2;
+  const pageHeight = design.heightMm + slug * 2;
+  const doc = new jsPDF({
+    unit: 'mm',
+    format: [pageWidth, pageHeight],
+    orientation: pageWidth > pageHeight ? 'landscape' : 'portrait',
+    compress: true,
+  });
+  
+  if (options.title) {
+    doc.setProperties({ title: options.title, creator: 'Design Tool Backend' });
+  }
+  
+  // Design pixels -> mm, with the trim box offset by the slug
+  const sx = design.widthMm / design.width;
+  const sy = design.heightMm / design.height;
+  const toPage = (layer, u, v) => {
+    const rad = (layer.rotation * Math.PI) / 180;
+    const dx = layer.x + u - layer.pivotX;
+    const dy = layer.y + v - layer.pivotY;
+    const px = layer.pivotX + dx * Math.cos(rad) - dy * Math.sin(rad);
+    const py = layer.pivotY + dx * Math.sin(rad) + dy * Math.cos(rad);
+    return [slug + px * sx, slug + py * sy];
+  };
+  
+  const setOpacity = (opacity) => {
+    doc.setGState(new GState({ opacity, 'stroke-opacity': opacity }));
+  };
+  
+  // Background extends into the bleed
+  const background = parseColor(typeof design.background === 'string' ? design.background : null);
+  if (background) {
+    doc.setFillColor(...background.rgb);
+    doc.rect(slug - bleed, slug - bleed, design.widthMm + bleed * 2, design.heightMm + bleed * 2, 'F');
+  }
+  
+  // Embed fonts used by text layers
+  const fontLibrary = options.fontLibrary || await loadFontLibrary(options.fontsDir);
+  const embedded = new Map(); // "family|style" -> registered font name
+  const useFont = async (family, weight, style) => {
+    const match = findFontFile(fontLibrary, family, weight, style);
+    if (!match) {
+      if (family) warnings.push(`Font "${family}" is not in the font library, using Helvetica`);
+      doc.setFont('helvetica', fontStyleKey(weight, style));
+      return;
+    }
+
+    const { file, key } = match;
+    const cacheKey = `${family.toLowerCase()}|${key}`;
+
+    if (!embedded.has(cacheKey)) {
+      const vfsName = basename(file);
+      const fontName = `${family}-${key}`;
+      try {
+        const base64 = (await readEmbeddableFont(file)).toString('base64');
+        doc.addFileToVFS(vfsName, base64);
+        doc.addFont(vfsName, fontName, 'normal');
+        embedded.set(cacheKey, fontName);
+      } catch (e) {
+        warnings.push(`Font "${family}" could not be embedded (${e.message}), using Helvetica`);
+        embedded.set(cacheKey, null);
+      }
+    }
+    
+    const fontName = embedded.get(cacheKey);
+    if (fontName) {
+      doc.setFont(fontName, 'normal');
+    } else {
+      doc.setFont('helvetica', fontStyleKey(weight, style));
+    }
+  };
+  
+  for (const layer of design.layers) {
+    setOpacity(Math.max(0, Math.min(1, layer.opacity)));
+    const fill = parseColor(typeof layer.fill === 'string' ? layer.fill : null);
+    const stroke = parseColor(typeof layer.stroke === 'string' ? layer.stroke : null);
+    const strokeWidth = layer.strokeWidth * sx;
+    
+    if (fill) doc.setFillColor(...fill.rgb);
+    if (stroke && strokeWidth > 0) {
+      doc.setDrawColor(...stroke.rgb);
+      doc.setLineWidth(strokeWidth);
+    }
+    const style = fill && stroke && strokeWidth > 0 ? 'FD' : (fill ? 'F' : (stroke && strokeWidth > 0 ? 'S' : null));
+    
+    switch (layer.type) {
+      case 'rect':
+      case 'triangle': {
+        if (!style) break;
+        const corners = layer.type === 'triangle'
+          ? [toPage(layer, layer.width / 2, 0), toPage(layer, layer.width, layer.height), toPage(layer, 0, layer.height)]
+          : [toPage(layer, 0, 0), toPage(layer, layer.width, 0), toPage(layer, layer.width, layer.height), toPage(layer, 0, layer.height)];
+        const segments = corners.slice(1).map((point, i) => [point[0] - corners[i][0], point[1] - corners[i][1]]);
+        doc.lines(segments, corners[0][0], corners[0][1], [1, 1], style, true);
+        break;
+      }
+      
+      case 'circle':
+      case 'ellipse': {
+        if (!style) break;
+        const [cx, cy] = toPage(layer, layer.width / 2, layer.height / 2);
+        doc.ellipse(cx, cy, (layer.width / 2) * sx, (layer.height / 2) * sy, style);
+        break;
+      }
+      
+      case 'text': {
+        if (!layer.text) break;
+        await useFont(layer.fontFamily, layer.fontWeight, layer.fontStyle);
+        const fontSizeMm = layer.fontSize * sy;
+        doc.setFontSize(fontSizeMm * PT_PER_MM);
+        doc.setTextColor(...(fill ? fill.rgb : [0, 0, 0]));
+        
+        const lines = String(layer.text).split('\n');
+        lines.forEach((line, i) => {
+          const lineWidth = doc.getTextWidth(line) / sx;
+          let offset = 0;
+          if (layer.textAlign === 'center') offset = (layer.width - lineWidth) / 2;
+          if (layer.textAlign === 'right') offset = layer.width - lineWidth;
+          const [tx, ty] = toPage(layer, offset, i * layer.fontSize * layer.lineHeight);
+          doc.text(line, tx, ty, { baseline: 'top', angle: -layer.rotation });
+        });
+        break;
+      }
+      
+      case 'image': {
+        let image = null;
+        try {
+          image = await loadImage(layer.src, dirs);
+        } catch (e) {
+          warnings.push(`Image ${layer.id} could not be read: ${e.message}`);
+          break;
+        }
+        if (!image) {
+          warnings.push(`Image ${layer.id} skipped: only PNG/JPEG backend assets or data URLs can be embedded`);
+          break;
+        }
+        const [ix, iy] = toPage(layer, 0, 0);
+        doc.addImage(image.data, image.format, ix, iy, layer.width * sx, layer.height * sy, undefined, 'FAST', -layer.rotation);
+        break;
+      }
+      
+      default:
+        warnings.push(`Layer ${layer.id} has unsupported type "${layer.type}" and was skipped`);
+    }
+  }
+  
+  setOpacity(1);
+  
+  if (cropMarks) {
+    drawCropMarks(doc, slug, design.widthMm, design.heightMm, bleed);
+    if (options.title) {
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(6);
+      doc.setTextColor(0, 0, 0);
+      doc.text(`${options.title} - trim ${design.widthMm.toFixed(1)} x ${design.heightMm.toFixed(1)} mm, bleed ${bleed} mm`, slug, pageHeight - 1.5);
+    }
+  }
+  
+  return {
+    buffer: Buffer.from(doc.output('arraybuffer')),
+    warnings,
+    widthMm: design.widthMm,
+    heightMm: design.heightMm,
+  };
+};
+
+const drawCropMarks = (doc, slug, width, height, bleed) => {
+  const start = bleed + CROP_MARK_GAP;
+  const end = start + CROP_MARK_LENGTH;
+  const left = slug;
+  const top = slug;
+  const right = slug + width;
+  const bottom = slug + height;
+  
+  doc.setDrawColor(0, 0, 0);
+  doc.setLineWidth(0.1);
+  
+  // Horizontal marks aligned with top and bottom trim
+  [top, bottom].forEach((y) => {
+    doc.line(left - end, y, left - start, y);
+    doc.line(right + start, y, right + end, y);
+  });
+  
+  // Vertical marks aligned with left and right trim
+  [left, right].forEach((x) => {
+    doc.line(x, top - end, x, top - start);
+    doc.line(x, bottom + start, x, bottom + end);
+  });
+};
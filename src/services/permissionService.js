@@ -0,0 +1,160 @@
+import fs from 'fs-extra';
+import { existsSync } from 'fs';
+
+/**
+ * Role-based permissions for the admin panel.
+ *
+ * Each role maps to a list of capabilities. Routes declare the capability
+ * they need and the session's role is checked against this table.
+ */
+
+export const CAPABILITIES = [
+  'stats:read',
+  'settings:read',
+  'settings:write',
+  'users:read',
+  'users:manage',
+  'orders:read',
+  'assets:read',
+  'assets:write',
+  'links:read',
+  'links:manage',
+  'customer_designs:read',
+  'customer_designs:write',
+];
+
+export const ROLES = {
+  admin: {
+    label: 'Administrator',
+    capabilities: [...CAPABILITIES],
+  },
+  designer: {
+    label: 'Designer',
+    capabilities: ['stats:read', 'assets:read', 'assets:write'],
+  },
+  fulfilment: {
+    label: 'Fulfilment',
+    capabilities: ['stats:read', 'orders:read', 'customer_designs:read'],
+  },
+  seller: {
+    label: 'Seller',
+    capabilities: ['stats:read', 'links:read', 'links:manage'],
+  },
+  // Shop customers: no panel access, only their own designs
+  customer: {
+    label: 'Customer',
+    capabilities: [],
+  },
+};
+
+// WordPress role names that map onto panel roles
+const ROLE_ALIASES = {
+  administrator: 'admin',
+  shop_manager: 'admin',
+  subscriber: 'customer',
+};
+
+let assignmentsFile = null;
+let assignments = []; // [{ user_id, role, assigned_at, assigned_by }]
+
+/**
+ * Load role assignments from disk.
+ * @param {Object} options
+ * @param {string} options.file - JSON file holding role assignments
+ */
+export const initPermissions = (options = {}) => {
+  assignmentsFile = options.file || null;
+  assignments = [];
+  if (assignmentsFile && existsSync(assignmentsFile)) {
+    try {
+      assignments = fs.readJsonSync(assignmentsFile);
+    } catch (e) {
+      console.error('Failed to read role assignments:', e.message);
+    }
+  }
+};
+
+/**
+ * Normalise a role name, resolving WordPress aliases.
+ * @param {string} role
+ * @returns {string|null} Known role name or null
+ */
+export const normalizeRole = (role) => {
+  if (!role) return null;
+  const name = ROLE_ALIASES[role] || role;
+  return ROLES[name] ? name : null;
+};
+
+export const isValidRole = (role) => Boolean(ROLES[role]);
+
+/**
+ * @param {string} role
+ * @returns {string[]} Capabilities granted to the role
+ */
+export const getCapabilities = (role) => {
+  const name = normalizeRole(role);
+  return name ? [...ROLES[name].capabilities] : [];
+};
+
+/**
+ * @param {string} role
+ * @param {string} capability
+ * @returns {boolean}
+ */
+export const hasPermission = (role, capability) => getCapabilities(role).includes(capability);
+
+/**
+ * @param {string|number} userId
+ * @returns {string|null} Role explicitly assigned to the user, if any
+ */
+export const getAssignedRole = (userId) => {
+  const entry = assignments.find(a => a.user_id === String(userId));
+  return entry ? entry.role : null;
+};
+
+export const listAssignments = () => [...assignments];
+
+/**
+ * Assign a role to a user, replacing any previous assignment.
+ * @param {string|number} userId
+ * @param {string} role
+ * @param {string|number} [assignedBy]
+ * @returns {Promise<Object>} The stored assignment
+ */
+export const assignRole = async (userId, role, assignedBy = null) => {
+  if (!isValidRole(role)) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+  
+  const entry = {
+    user_id: String(userId),
+    role,
+    assigned_at: new Date().toISOString(),
+    assigned_by: assignedBy !== null ? String(assignedBy) : null,
+  };
+  
+  assignments = assignments.filter(a => a.user_id !== entry.user_id);
+  assignments.push(entry);
+  
+  if (assignmentsFile) {
+    await fs.writeJson(assignmentsFile, assignments, { spaces: 2 });
+  }
+  
+  return entry;
+};
+
+/**
+ * Remove a user's role assignment so the default applies again.
+ * @param {string|number} userId
+ * @returns {Promise<boolean>} Whether an assignment was removed
+ */
+export const removeRole = async (userId) => {
+  const before = assignments.length;
+  assignments = assignments.filter(a => a.user_id !== String(userId));
+  if (assignments.length === before) return false;
+  
+  if (assignmentsFile) {
+    await fs.writeJson(assignmentsFile, assignments, { spaces: 2 });
+  }
+  return true;
+};
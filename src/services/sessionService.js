@@ -0,0 +1,217 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { existsSync } from 'fs';
+
+/**
+ * Session tokens for the admin panel.
+ *
+ * Tokens use the compact JWT layout (header.payload.signature) signed with
+ * HMAC-SHA256, so they can be verified locally without calling WordPress.
+ * Revoked token IDs are kept until their original expiry.
+ */
+
+const DEFAULT_TTL_SECONDS = 3600;
+
+let secret = null;
+let ttlSeconds = DEFAULT_TTL_SECONDS;
+let revocationFile = null;
+const revoked = new Map(); // jti -> exp (unix seconds)
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const sign = (data) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const pruneRevoked = () => {
+  const current = now();
+  for (const [jti, exp] of revoked) {
+    if (exp <= current) {
+      revoked.delete(jti);
+    }
+  }
+};
+
+const persistRevoked = async () => {
+  if (!revocationFile) return;
+  pruneRevoked();
+  const entries = [...revoked].map(([jti, exp]) => ({ jti, exp }));
+  await fs.writeJson(revocationFile, entries, { spaces: 2 });
+};
+
+/**
+ * Configure the session subsystem. Must be called once on startup.
+ * @param {Object} options
+ * @param {string} options.secret - HMAC secret (JWT_SECRET_KEY)
+ * @param {number} [options.ttlSeconds] - Token lifetime in seconds
+ * @param {string} [options.revocationFile] - JSON file for the revocation list
+ */
+export const initSessions = (options = {}) => {
+  if (options.secret) {
+    secret = options.secret;
+  } else {
+    // Tokens signed with a random secret do not survive a restart
+    secret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️  JWT_SECRET_KEY is not set - using a temporary secret, sessions will not survive a restart');
+  }
+  
+  if (options.ttlSeconds) {
+    setSessionTtl(options.ttlSeconds);
+  }
+  
+  revocationFile = options.revocationFile || null;
+  revoked.clear();
+  if (revocationFile && existsSync(revocationFile)) {
+    try {
+      const entries = fs.readJsonSync(revocationFile);
+      entries.forEach(({ jti, exp }) => revoked.set(jti, exp));
+      pruneRevoked();
+    } catch (e) {
+      console.error('Failed to read session revocation list:', e.message);
+    }
+  }
+};
+
+/**
+ * Change the lifetime of newly issued tokens. Existing tokens keep their expiry.
+ * @param {number} seconds
+ */
+export const setSessionTtl = (seconds) => {
+  const value = parseInt(seconds, 10);
+  if (Number.isFinite(value) && value > 0) {
+    ttlSeconds = value;
+  }
+};
+
+export const getSessionTtl = () => ttlSeconds;
+
+/**
+ * Issue a signed session token for an authenticated user.
+ * @param {Object} user - { id, display_name, email, role, auth_method }; without a role the session has none
+ * @param {Object} [extraClaims] - Additional claims to embed
+ * @returns {{ token: string, expires_at: string, payload: Object }}
+ */
+export const issueSession = (user, extraClaims = {}) => {
+  if (!secret) {
+    throw new Error('Session subsystem not initialised');
+  }
+  
+  const iat = now();
+  const payload = {
+    ...extraClaims,
+    sub: String(user.id),
+    name: user.display_name || '',
+    email: user.email || '',
+    role: user.role || null,
+    auth_method: user.auth_method || 'local',
+    iat,
+    exp: iat + ttlSeconds,
+    jti: crypto.randomUUID(),
+  };
+  
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify(payload));
+  const token = `${header}.${body}.${sign(`${header}.${body}`)}`;
+  
+  return {
+    token,
+    expires_at: new Date(payload.exp * 1000).toISOString(),
+    payload,
+  };
+};
+
+/**
+ * Verify a session token's signature, expiry and revocation status.
+ * @param {string} token
+ * @returns {{ valid: boolean, payload?: Object, reason?: string }}
+ */
+export const verifySession = (token) => {
+  if (!secret || !token || typeof token !== 'string') {
+    return { valid: false, reason: 'missing' };
+  }
+  
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return { valid: false, reason: 'malformed' };
+  }
+  
+  const [header, body, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${body}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'signature' };
+  }
+  
+  let payload;
+  try {
+    const decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    if (decodedHeader.alg !== 'HS256') {
+      return { valid: false, reason: 'algorithm' };
+    }
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (e) {
+    return { valid: false, reason: 'malformed' };
+  }
+  
+  if (!payload.exp || payload.exp <= now()) {
+    return { valid: false, reason: 'expired' };
+  }
+  
+  if (payload.jti && revoked.has(payload.jti)) {
+    return { valid: false, reason: 'revoked' };
+  }
+  
+  return { valid: true, payload };
+};
+
+/**
+ * Add a token to the revocation list until it would have expired anyway.
+ * @param {Object} payload - Verified token payload
+ */
+export const revokeSession = async (payload) => {
+  if (!payload || !payload.jti) return;
+  revoked.set(payload.jti, payload.exp || now() + ttlSeconds);
+  await persistRevoked();
+};
+
+/**
+ * Sign a URL path so it can be shared without a session until it expires.
+ * @param {string} path - URL path (without query string)
+ * @param {number} expiresInSeconds
+ * @returns {{ url: string, expires_at: string }}
+ */
+export const signPath = (path, expiresInSeconds) => {
+  if (!secret) {
+    throw new Error('Session subsystem not initialised');
+  }
+  const expires = now() + expiresInSeconds;
+  return {
+    url: `${path}?expires=${expires}&signature=${sign(`${path}:${expires}`)}`,
+    expires_at: new Date(expires * 1000).toISOString(),
+  };
+};
+
+/**
+ * Verify a path signed with signPath().
+ * @param {string} path
+ * @param {string|number} expires - Unix seconds from the URL
+ * @param {string} signature
+ * @returns {boolean}
+ */
+export const verifyPathSignature = (path, expires, signature) => {
+  if (!secret || !signature || !/^\d+$/.test(String(expires))) return false;
+  if (parseInt(expires, 10) <= now()) return false;
+  const expected = Buffer.from(sign(`${path}:${expires}`));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Extract a bearer token from an Authorization header.
+ * @param {string} authHeader
+ * @returns {string|null}
+ */
+export const getBearerToken = (authHeader) => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+  return authHeader.substring(7).trim() || null;
+};
@@ -0,0 +1,254 @@
+import fs from 'fs-extra';
+import { existsSync } from 'fs';
+
+/**
+ * Persistent admin configuration and system settings.
+ *
+ * Settings live in a single JSON file together with a capped version
+ * history. Every successful update bumps the version and notifies the
+ * registered listeners so the server can apply changes without a restart.
+ */
+
+const MAX_HISTORY = 50;
+
+// Fields shown in the admin panel but derived from the environment
+export const READ_ONLY_FIELDS = ['backendPort', 'reactPort'];
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+};
+
+export const SETTINGS_SCHEMA = {
+  wordpressUrl: {
+    type: 'string',
+    validate: (value) => isHttpUrl(value) || 'must be an http(s) URL',
+    normalize: (value) => value.trim().replace(/\/+$/, ''),
+  },
+  apiEndpoint: {
+    type: 'string',
+    validate: (value) => value.startsWith('/') || 'must start with /',
+  },
+  enableCors: {
+    type: 'boolean',
+  },
+  corsOrigins: {
+    type: 'array',
+    validate: (value) => {
+      const invalid = value.filter(origin => typeof origin !== 'string' || !isHttpUrl(origin));
+      return invalid.length === 0 || `invalid origins: ${invalid.join(', ')}`;
+    },
+    normalize: (value) => [...new Set(value.map(origin => origin.trim().replace(/\/+$/, '')))],
+  },
+  logLevel: {
+    type: 'string',
+    validate: (value) => ['error', 'warn', 'info', 'debug'].includes(value) || 'must be one of error, warn, info, debug',
+  },
+  maxUploadSize: {
+    type: 'number',
+    validate: (value) => (value >= 1 && value <= 100) || 'must be between 1 and 100 (MB)',
+  },
+  sessionTimeout: {
+    type: 'number',
+    validate: (value) => (Number.isInteger(value) && value >= 300 && value <= 604800) || 'must be a whole number of seconds between 300 and 604800',
+  },
+};
+
+/**
+ * Raised when submitted settings do not match the schema
+ */
+export class SettingsValidationError extends Error {
+  constructor(errors) {
+    super('Invalid settings');
+    this.name = 'SettingsValidationError';
+    this.statusCode = 400;
+    this.errors = errors;
+  }
+}
+
+let settingsFile = null;
+let state = null; // { version, updated_at, updated_by, settings, history }
+const listeners = [];
+
+const coerce = (type, value) => {
+  if (type === 'number' && typeof value === 'string' && value.trim() !== '') {
+    return Number(value);
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  if (type === 'array' && typeof value === 'string') {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return value;
+};
+
+const typeMatches = (type, value) => {
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeof value === type;
+};
+
+/**
+ * Validate a partial settings object against the schema.
+ * @param {Object} input
+ * @returns {{ values: Object, errors: Array<{ field: string, message: string }> }}
+ */
+export const validateSettings = (input) => {
+  const values = {};
+  const errors = [];
+  
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { values, errors: [{ field: '', message: 'settings must be an object' }] };
+  }
+  
+  for (const [field, raw] of Object.entries(input)) {
+    if (READ_ONLY_FIELDS.includes(field)) continue;
+    
+    const rule = SETTINGS_SCHEMA[field];
+    if (!rule) {
+      errors.push({ field, message: 'unknown setting' });
+      continue;
+    }
+    
+    const value = coerce(rule.type, raw);
+    if (!typeMatches(rule.type, value)) {
+      errors.push({ field, message: `must be a ${rule.type}` });
+      continue;
+    }
+    
+    const result = rule.validate ? rule.validate(value) : true;
+    if (result !== true) {
+      errors.push({ field, message: result });
+      continue;
+    }
+    
+    values[field] = rule.normalize ? rule.normalize(value) : value;
+  }
+  
+  return { values, errors };
+};
+
+const persist = async () => {
+  if (settingsFile) {
+    await fs.writeJson(settingsFile, state, { spaces: 2 });
+  }
+};
+
+/**
+ * Load settings from disk, filling gaps from the given defaults.
+ * @param {Object} options
+ * @param {string} options.file - JSON file for settings and history
+ * @param {Object} options.defaults - Values used when nothing has been saved yet
+ */
+export const initSettings = (options = {}) => {
+  settingsFile = options.file || null;
+  const defaults = options.defaults || {};
+  
+  let stored = null;
+  if (settingsFile && existsSync(settingsFile)) {
+    try {
+      stored = fs.readJsonSync(settingsFile);
+    } catch (e) {
+      console.error('Failed to read settings file, using defaults:', e.message);
+    }
+  }
+  
+  // Ignore stored values that no longer pass validation
+  const { values, errors } = validateSettings(stored?.settings || {});
+  errors.forEach(err => console.warn(`Ignoring stored setting ${err.field}: ${err.message}`));
+  
+  state = {
+    version: stored?.version || 0,
+    updated_at: stored?.updated_at || null,
+    updated_by: stored?.updated_by || null,
+    settings: { ...defaults, ...values },
+    history: Array.isArray(stored?.history) ? stored.history : [],
+  };
+};
+
+/**
+ * @returns {Object} A copy of the current settings
+ */
+export const getSettings = () => ({ ...state.settings });
+
+export const getSettingsVersion = () => ({
+  version: state.version,
+  updated_at: state.updated_at,
+  updated_by: state.updated_by,
+});
+
+/**
+ * @returns {Array<Object>} Previous versions, newest first
+ */
+export const getSettingsHistory = () => [...state.history].reverse();
+
+/**
+ * Register a listener called with the new settings after every change.
+ * @param {Function} listener
+ */
+export const onSettingsChange = (listener) => {
+  listeners.push(listener);
+};
+
+const commit = async (settings, updatedBy) => {
+  // Keep the outgoing version in history before replacing it (version 0 holds the defaults)
+  state.history.push({
+    version: state.version,
+    settings: state.settings,
+    updated_at: state.updated_at,
+    updated_by: state.updated_by,
+  });
+  state.history = state.history.slice(-MAX_HISTORY);
+  
+  state.version += 1;
+  state.settings = settings;
+  state.updated_at = new Date().toISOString();
+  state.updated_by = updatedBy !== undefined && updatedBy !== null ? String(updatedBy) : null;
+  
+  await persist();
+  
+  for (const listener of listeners) {
+    try {
+      listener(getSettings());
+    } catch (e) {
+      console.error('Settings listener failed:', e.message);
+    }
+  }
+  
+  return getSettings();
+};
+
+/**
+ * Validate and save a partial settings update.
+ * @param {Object} input - Fields to change
+ * @param {string|number} [updatedBy] - User making the change
+ * @returns {Promise<Object>} The new settings
+ * @throws {SettingsValidationError}
+ */
+export const updateSettings = async (input, updatedBy) => {
+  const { values, errors } = validateSettings(input);
+  if (errors.length > 0) {
+    throw new SettingsValidationError(errors);
+  }
+  
+  return commit({ ...state.settings, ...values }, updatedBy);
+};
+
+/**
+ * Restore the settings saved under an earlier version (as a new version).
+ * @param {number} version
+ * @param {string|number} [updatedBy]
+ * @returns {Promise<Object|null>} The restored settings, or null if the version is unknown
+ */
+export const restoreSettings = async (version, updatedBy) => {
+  const entry = state.history.find(h => h.version === Number(version));
+  if (!entry) return null;
+  
+  const { values } = validateSettings(entry.settings);
+  return commit({ ...state.settings, ...values }, updatedBy);
+};
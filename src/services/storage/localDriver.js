@@ -0,0 +1,137 @@
+import fs from 'fs-extra';
+import { existsSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * Storage driver for the local disk.
+ *
+ * Keys are "/"-separated paths below the root directory, so the default
+ * layout (uploads/images, uploads/fonts, ...) is the same one the server
+ * has always used. Keys are validated by the storage service, not here.
+ */
+
+/**
+ * @param {Object} options
+ * @param {string} options.root - Base directory (e.g. uploads/)
+ * @returns {Object} Driver
+ */
+export const createLocalDriver = (options) => {
+  const root = options.root;
+  const pathFor = (key) => join(root, ...key.split('/').filter(Boolean));
+  
+  const statFile = async (key) => {
+    const filePath = pathFor(key);
+    if (!existsSync(filePath)) return null;
+    const stats = await fs.stat(filePath);
+    return stats.isFile() ? stats : null;
+  };
+  
+  const walk = async (dir, prefix, files) => {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const key = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        await walk(join(dir, entry.name), key, files);
+      } else if (entry.isFile()) {
+        const stats = await fs.stat(join(dir, entry.name));
+        files.push({ key, size: stats.size, modified: stats.mtime });
+      }
+    }
+  };
+  
+  return {
+    name: 'local',
+    
+    // Local files can be handed to code that needs a real path (renderers, sendFile)
+    localPath: pathFor,
+    
+    // With ifNotExists an existing file fails with code EEXIST
+    async put(key, body, opts = {}) {
+      const filePath = pathFor(key);
+      await fs.ensureDir(join(filePath, '..'));
+      await fs.writeFile(filePath, body, { flag: opts.ifNotExists ? 'wx' : 'w' });
+    },
+    
+    async putFile(key, sourcePath) {
+      const filePath = pathFor(key);
+      await fs.ensureDir(join(filePath, '..'));
+      await fs.move(sourcePath, filePath, { overwrite: true });
+    },
+    
+    async get(key, range = {}) {
+      const filePath = pathFor(key);
+      if (!(await statFile(key))) return null;
+      if (range.start === undefined) {
+        return fs.readFile(filePath);
+      }
+      
+      const handle = await fs.promises.open(filePath, 'r');
+      try {
+        const length = range.end - range.start + 1;
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, range.start);
+        return buffer.subarray(0, bytesRead);
+      } finally {
+        await handle.close();
+      }
+    },
+    
+    async createReadStream(key) {
+      return (await statFile(key)) ? fs.createReadStream(pathFor(key)) : null;
+    },
+    
+    async stat(key) {
+      const stats = await statFile(key);
+      return stats ? { size: stats.size, modified: stats.mtime, contentType: null } : null;
+    },
+    
+    async delete(key) {
+      if (!(await statFile(key))) return false;
+      await fs.remove(pathFor(key));
+      return true;
+    },
+    
+    async deletePrefix(prefix) {
+      const dir = pathFor(prefix);
+      if (!existsSync(dir)) return false;
+      await fs.remove(dir);
+      return true;
+    },
+    
+    async copy(fromKey, toKey) {
+      const target = pathFor(toKey);
+      await fs.ensureDir(join(target, '..'));
+      await fs.copy(pathFor(fromKey), target, { overwrite: true });
+    },
+    
+    /**
+     * @param {string} prefix - Folder key
+     * @param {Object} [opts] - { recursive }
+     * @returns {Promise<{ files: Object[], folders: string[] }>} Keys relative to the prefix
+     */
+    async list(prefix, opts = {}) {
+      const dir = pathFor(prefix);
+      const result = { files: [], folders: [] };
+      if (!existsSync(dir)) return result;
+      
+      if (opts.recursive) {
+        await walk(dir, '', result.files);
+        return result;
+      }
+      
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        if (entry.isDirectory()) {
+          result.folders.push(entry.name);
+        } else if (entry.isFile()) {
+          const stats = await fs.stat(join(dir, entry.name));
+          result.files.push({ key: entry.name, size: stats.size, modified: stats.mtime });
+        }
+      }
+      return result;
+    },
+    
+    // Files on disk are served by the backend itself
+    async getUrl() {
+      return null;
+    },
+  };
+};
@@ -0,0 +1,201 @@
+import fs from 'fs-extra';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  CopyObjectCommand,
+  ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+/**
+ * Storage driver for S3-compatible object storage (AWS S3, MinIO, R2, ...).
+ *
+ * Keys are stored below an optional prefix in a single bucket. For MinIO
+ * and most self-hosted services set `endpoint` and `forcePathStyle`.
+ */
+
+const isNotFound = (error) => error.name === 'NotFound'
+  || error.name === 'NoSuchKey'
+  || error.$metadata?.httpStatusCode === 404;
+
+/**
+ * @param {Object} options
+ * @param {string} options.bucket
+ * @param {string} [options.region='us-east-1']
+ * @param {string} [options.endpoint] - e.g. http://localhost:9000 for MinIO
+ * @param {boolean} [options.forcePathStyle] - Use http://host/bucket/key URLs
+ * @param {string} [options.accessKeyId]
+ * @param {string} [options.secretAccessKey]
+ * @param {string} [options.prefix] - Key prefix inside the bucket
+ * @returns {Object} Driver
+ */
+export const createS3Driver = (options) => {
+  if (!options.bucket) {
+    throw new Error('S3 storage requires a bucket (S3_BUCKET)');
+  }
+  
+  const bucket = options.bucket;
+  const prefix = (options.prefix || '').replace(/^\/+|\/+$/g, '');
+  const client = new S3Client({
+    region: options.region || 'us-east-1',
+    endpoint: options.endpoint || undefined,
+    forcePathStyle: Boolean(options.forcePathStyle),
+    credentials: options.accessKeyId
+      ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+      : undefined,
+  });
+  
+  const objectKey = (key) => (prefix ? `${prefix}/${key}` : key);
+  const folderKey = (key) => objectKey(key).replace(/\/?$/, '/');
+  
+  const listAll = async (folder, delimiter) => {
+    const files = [];
+    const folders = [];
+    let token;
+    do {
+      const page = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: folder,
+        Delimiter: delimiter,
+        ContinuationToken: token,
+      }));
+      (page.Contents || []).forEach((object) => {
+        files.push({ key: object.Key.substring(folder.length), size: object.Size, modified: object.LastModified });
+      });
+      (page.CommonPrefixes || []).forEach((common) => {
+        folders.push(common.Prefix.substring(folder.length).replace(/\/$/, ''));
+      });
+      token = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (token);
+    return { files, folders };
+  };
+  
+  const driver = {
+    name: 's3',
+    bucket,
+    
+    // With ifNotExists an existing object fails with code EEXIST (conditional write)
+    async put(key, body, opts = {}) {
+      try {
+        await client.send(new PutObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          Body: body,
+          ContentType: opts.contentType,
+          IfNoneMatch: opts.ifNotExists ? '*' : undefined,
+        }));
+      } catch (error) {
+        if (opts.ifNotExists && [409, 412].includes(error.$metadata?.httpStatusCode)) {
+          throw Object.assign(new Error(`Object already exists: ${key}`), { code: 'EEXIST' });
+        }
+        throw error;
+      }
+    },
+    
+    async putFile(key, sourcePath, opts = {}) {
+      const { size } = await fs.stat(sourcePath);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: fs.createReadStream(sourcePath),
+        ContentLength: size,
+        ContentType: opts.contentType,
+      }));
+      await fs.remove(sourcePath);
+    },
+    
+    async get(key, range = {}) {
+      try {
+        const object = await client.send(new GetObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          Range: range.start !== undefined ? `bytes=${range.start}-${range.end}` : undefined,
+        }));
+        return Buffer.from(await object.Body.transformToByteArray());
+      } catch (error) {
+        // An empty object cannot satisfy a range request
+        if (error.name === 'InvalidRange') return Buffer.alloc(0);
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+    
+    async createReadStream(key) {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return object.Body;
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+    
+    async stat(key) {
+      try {
+        const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return { size: head.ContentLength, modified: head.LastModified, contentType: head.ContentType || null };
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+    
+    async delete(key) {
+      if (!(await driver.stat(key))) return false;
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return true;
+    },
+    
+    async deletePrefix(key) {
+      const folder = folderKey(key);
+      const { files } = await listAll(folder);
+      // DeleteObjects accepts at most 1000 keys per request
+      for (let i = 0; i < files.length; i += 1000) {
+        await client.send(new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: { Objects: files.slice(i, i + 1000).map(file => ({ Key: folder + file.key })), Quiet: true },
+        }));
+      }
+      return files.length > 0;
+    },
+    
+    async copy(fromKey, toKey) {
+      const source = objectKey(fromKey).split('/').map(encodeURIComponent).join('/');
+      await client.send(new CopyObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(toKey),
+        CopySource: `${bucket}/${source}`,
+      }));
+    },
+    
+    /**
+     * @param {string} key - Folder key
+     * @param {Object} [opts] - { recursive }
+     * @returns {Promise<{ files: Object[], folders: string[] }>} Keys relative to the folder
+     */
+    async list(key, opts = {}) {
+      return listAll(folderKey(key), opts.recursive ? undefined : '/');
+    },
+    
+    /**
+     * Presigned GET URL for direct downloads from the bucket.
+     * @param {string} key
+     * @param {Object} [opts] - { expiresIn (seconds), contentType }
+     * @returns {Promise<string>}
+     */
+    async getUrl(key, opts = {}) {
+      const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        ResponseContentType: opts.contentType,
+      });
+      return getSignedUrl(client, command, { expiresIn: opts.expiresIn || 300 });
+    },
+  };
+  
+  return driver;
+};
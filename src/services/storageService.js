@@ -0,0 +1,539 @@
+import fs from 'fs-extra';
+import os from 'os';
+import { existsSync, realpathSync } from 'fs';
+import { join, resolve, relative, isAbsolute, sep } from 'path';
+import { pipeline } from 'stream/promises';
+import { createLocalDriver } from './storage/localDriver.js';
+import { createS3Driver } from './storage/s3Driver.js';
+
+/**
+ * Safe file storage for uploads.
+ *
+ * Every key built from request data goes through a store: identifiers are
+ * checked against a strict allow-list, local paths must stay inside the
+ * driver's root (also after following symlinks) and file types are detected
+ * from the file contents, never from the client-supplied name.
+ *
+ * Stores sit on top of a driver (local disk or S3-compatible bucket), chosen
+ * once at startup with initStorage().
+ */
+
+// File types detected by sniffContentType(); `ext` is used for stored names
+export const FILE_TYPES = {
+  png: { mime: 'image/png', ext: 'png' },
+  jpeg: { mime: 'image/jpeg', ext: 'jpg' },
+  gif: { mime: 'image/gif', ext: 'gif' },
+  webp: { mime: 'image/webp', ext: 'webp' },
+  svg: { mime: 'image/svg+xml', ext: 'svg' },
+  ttf: { mime: 'font/ttf', ext: 'ttf' },
+  otf: { mime: 'font/otf', ext: 'otf' },
+  woff: { mime: 'font/woff', ext: 'woff' },
+  woff2: { mime: 'font/woff2', ext: 'woff2' },
+  pdf: { mime: 'application/pdf', ext: 'pdf' },
+  zip: { mime: 'application/zip', ext: 'zip' },
+  json: { mime: 'application/json', ext: 'json' },
+};
+
+export const IMAGE_TYPES = ['png', 'jpeg', 'gif', 'webp', 'svg'];
+export const FONT_TYPES = ['ttf', 'otf', 'woff', 'woff2'];
+
+const MAX_NAME_LENGTH = 255;
+const SNIFF_BYTES = 4096;
+
+// Letters, digits, "_", "-", ".", "+", "(", ")" and inner spaces; must start with a letter/digit/_
+const SAFE_NAME = /^\w[\w .()+-]*$/;
+
+// Blocks browsers from running scripts embedded in stored SVGs
+const SVG_CSP = "default-src 'none'; style-src 'unsafe-inline'; sandbox";
+
+export class StorageError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'StorageError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Whether a single path segment (file or folder name) is safe to use.
+ * Rejects separators, "..", control characters, encoded characters and
+ * anything outside the allow-list.
+ * @param {string} name
+ * @returns {boolean}
+ */
+export const isSafeName = (name) => typeof name === 'string'
+  && name.length > 0
+  && name.length <= MAX_NAME_LENGTH
+  && SAFE_NAME.test(name)
+  && !name.includes('..')
+  && !/[ .]$/.test(name);
+
+/**
+ * Detect a file type from its first bytes.
+ * @param {Buffer} buffer
+ * @returns {string|null} Key of FILE_TYPES
+ */
+export const sniffContentType = (buffer) => {
+  if (!buffer || buffer.length < 4) return null;
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+  
+  if (buffer[0] === 0x89 && ascii(1, 4) === 'PNG') return 'png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (ascii(0, 4) === 'GIF8') return 'gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+  if (ascii(0, 4) === '%PDF') return 'pdf';
+  if (ascii(0, 4) === 'PK\x03\x04') return 'zip';
+  if (ascii(0, 4) === 'wOFF') return 'woff';
+  if (ascii(0, 4) === 'wOF2') return 'woff2';
+  if (ascii(0, 4) === 'OTTO') return 'otf';
+  if (buffer.readUInt32BE(0) === 0x00010000 || ['true', 'ttcf'].includes(ascii(0, 4))) return 'ttf';
+  
+  const text = buffer.toString('utf8', 0, Math.min(buffer.length, SNIFF_BYTES)).replace(/^\uFEFF/, '').trimStart();
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(text)) return 'svg';
+  if (text.startsWith('{') || text.startsWith('[')) return 'json';
+  
+  return null;
+};
+
+/**
+ * Detect the type of a file on disk.
+ * @param {string} filePath
+ * @returns {Promise<string|null>}
+ */
+export const sniffFile = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    return sniffContentType(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+};
+
+const checkType = (type, types) => {
+  if (!type || (types && !types.includes(type))) {
+    throw new StorageError(`Unsupported file type${type ? ` (${type})` : ''}`, 415);
+  }
+  return type;
+};
+
+/**
+ * Send a file with a Content-Type taken from its contents.
+ * Prefer store.send(); use this only for paths built by trusted code.
+ * @param {Object} res - Express response
+ * @param {string} filePath
+ * @param {string[]} [types] - Allowed FILE_TYPES keys
+ * @returns {Promise<void>}
+ * @throws {StorageError} 404 when missing, 415 when the type is not allowed
+ */
+export const sendStoredFile = async (res, filePath, types = null) => {
+  if (!existsSync(filePath) || !(await fs.stat(filePath)).isFile()) {
+    throw new StorageError('File not found', 404);
+  }
+  
+  const type = checkType(await sniffFile(filePath), types);
+  res.set('Content-Type', FILE_TYPES[type].mime);
+  res.set('X-Content-Type-Options', 'nosniff');
+  if (type === 'svg') {
+    res.set('Content-Security-Policy', SVG_CSP);
+  }
+  
+  await new Promise((resolveSend, rejectSend) => {
+    res.sendFile(filePath, err => (err ? rejectSend(err) : resolveSend()));
+  });
+};
+
+const isInside = (base, target) => {
+  const rel = relative(base, target);
+  return rel === '' || (!rel.startsWith(`..${sep}`) && rel !== '..' && !isAbsolute(rel));
+};
+
+let storageConfig = {
+  driver: null,
+  redirect: false,
+  urlTtl: 300,
+  cacheDir: join(os.tmpdir(), 'design-tool-storage'),
+  localDirTtl: 60,
+};
+
+// localDir() mirrors of remote stores by prefix: { syncedAt, sync }
+const localDirSyncs = new Map();
+
+// A file written or deleted through any store makes the mirror of its folder stale
+const invalidateLocalDir = (key) => {
+  localDirSyncs.delete(key.substring(0, key.lastIndexOf('/')));
+};
+
+/**
+ * Build a driver from configuration (see .env: STORAGE_DRIVER, S3_*).
+ * @param {Object} options
+ * @param {string} [options.driver='local'] - local | s3
+ * @param {string} [options.root] - Base directory for the local driver
+ * @param {Object} [options.s3] - Options for createS3Driver()
+ * @returns {Object} Driver
+ */
+export const createStorageDriver = (options) => {
+  const name = options.driver || 'local';
+  if (name === 's3') return createS3Driver(options.s3 || {});
+  if (name === 'local') return createLocalDriver({ root: options.root });
+  throw new Error(`Unknown storage driver: ${name}`);
+};
+
+/**
+ * Set the driver used by stores that do not get one explicitly.
+ * @param {Object} options
+ * @param {Object} options.driver - From createStorageDriver()
+ * @param {boolean} [options.redirect=false] - Serve files via presigned URLs when the driver supports them
+ * @param {number} [options.urlTtl=300] - Presigned URL lifetime in seconds
+ * @param {string} [options.cacheDir] - Local mirror for localDir() on remote drivers
+ * @param {number} [options.localDirTtl=60] - Seconds a localDir() mirror is reused before the
+ *   bucket is listed again (changes made through this server's stores apply at once)
+ */
+export const initStorage = (options) => {
+  storageConfig = { ...storageConfig, ...options };
+};
+
+export const getStorageDriver = () => storageConfig.driver;
+
+/**
+ * Create a store for one folder ("namespace") of the storage driver.
+ * @param {string} prefix - Folder key, e.g. "images" or "customer-designs"
+ * @param {Object} [options]
+ * @param {string[]} [options.types] - FILE_TYPES keys accepted for uploads and served files
+ * @param {Object} [options.driver] - Defaults to the driver set with initStorage()
+ * @returns {Object} Store API
+ */
+export const createStorage = (prefix, options = {}) => {
+  const types = options.types || null;
+  // Scoped stores stay confined to the folder of the store they came from
+  const rootPrefix = options.rootPrefix || prefix;
+  const getDriver = () => {
+    const driver = options.driver || storageConfig.driver;
+    if (!driver) {
+      throw new Error('Storage is not initialised, call initStorage() first');
+    }
+    return driver;
+  };
+  
+  const store = {
+    prefix,
+    
+    /**
+     * Build the driver key for path segments inside this store.
+     * @param {...string} segments - Untrusted identifiers, one per path level
+     * @returns {string}
+     * @throws {StorageError} 400 for invalid identifiers
+     */
+    key(...segments) {
+      segments.forEach((segment) => {
+        if (!isSafeName(segment)) {
+          throw new StorageError('Invalid file or folder name');
+        }
+      });
+      return [prefix, ...segments].join('/');
+    },
+    
+    /**
+     * A store for a sub-folder, e.g. customerDesignStorage.scope(userId, designId).
+     * @param {...string} segments
+     * @returns {Object} Store API
+     */
+    scope(...segments) {
+      return createStorage(store.key(...segments), { ...options, rootPrefix });
+    },
+    
+    /**
+     * Path on disk for drivers that store files locally.
+     * @param {...string} segments
+     * @returns {string|null} null for remote drivers
+     * @throws {StorageError} 400 for invalid identifiers or symlinks leading out of the root
+     */
+    localPath(...segments) {
+      const driver = getDriver();
+      const key = store.key(...segments);
+      if (!driver.localPath) return null;
+      
+      const rootDir = resolve(driver.localPath(rootPrefix));
+      const target = resolve(driver.localPath(key));
+      if (!isInside(rootDir, target)) {
+        throw new StorageError('Path is outside the storage root');
+      }
+      
+      // Symlinks must not lead out of the store's folder either
+      if (existsSync(target) && existsSync(rootDir) && !isInside(realpathSync(rootDir), realpathSync(target))) {
+        throw new StorageError('Path is outside the storage root');
+      }
+      
+      return target;
+    },
+    
+    /**
+     * @param {...string} segments
+     * @returns {Promise<boolean>} false for missing files and invalid identifiers
+     */
+    async exists(...segments) {
+      try {
+        return Boolean(await store.stat(...segments));
+      } catch (e) {
+        if (e instanceof StorageError) return false;
+        throw e;
+      }
+    },
+    
+    /**
+     * @param {...string} segments
+     * @returns {Promise<{ size: number, modified: Date, contentType: string|null }|null>}
+     */
+    async stat(...segments) {
+      store.localPath(...segments);
+      return getDriver().stat(store.key(...segments));
+    },
+    
+    /**
+     * @param {...string} segments
+     * @returns {Promise<Buffer|null>} null when missing
+     */
+    async read(...segments) {
+      store.localPath(...segments);
+      return getDriver().get(store.key(...segments));
+    },
+    
+    /**
+     * @param {...string} segments
+     * @returns {Promise<*|null>} Parsed JSON, null when missing
+     */
+    async readJson(...segments) {
+      const buffer = await store.read(...segments);
+      return buffer ? JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, '')) : null;
+    },
+    
+    /**
+     * @param {string} name - File name inside this store (use scope() for sub-folders)
+     * @param {Buffer|string} body
+     * @param {Object} [opts] - { contentType, ifNotExists }
+     * @returns {Promise<void>}
+     */
+    async write(name, body, opts = {}) {
+      store.localPath(name);
+      await getDriver().put(store.key(name), body, opts);
+      invalidateLocalDir(store.key(name));
+    },
+    
+    /**
+     * @param {string} name
+     * @param {*} data
+     * @param {Object} [opts] - { ifNotExists }
+     * @returns {Promise<void>}
+     */
+    async writeJson(name, data, opts = {}) {
+      await store.write(name, `${JSON.stringify(data, null, 2)}\n`, { ...opts, contentType: FILE_TYPES.json.mime });
+    },
+    
+    /**
+     * Copy a file into another store of the same driver (overwrites the target).
+     * @param {string} name
+     * @param {Object} target - Store API
+     * @param {string} [targetName=name]
+     * @returns {Promise<void>}
+     */
+    async copyTo(name, target, targetName = name) {
+      store.localPath(name);
+      target.localPath(targetName);
+      await getDriver().copy(store.key(name), target.key(targetName));
+      invalidateLocalDir(target.key(targetName));
+    },
+    
+    /**
+     * Files and sub-folders directly inside this store (or a sub-folder of it).
+     * @param {...string} segments
+     * @returns {Promise<{ files: { name: string, size: number, modified: Date }[], folders: string[] }>}
+     */
+    async list(...segments) {
+      store.localPath(...segments);
+      const { files, folders } = await getDriver().list(store.key(...segments));
+      // Remote buckets can hold keys this server would never create
+      return {
+        files: files.filter(file => isSafeName(file.key)).map(file => ({ name: file.key, size: file.size, modified: file.modified })),
+        folders: folders.filter(isSafeName),
+      };
+    },
+    
+    /**
+     * Detect the type of a stored file.
+     * @param {...string} segments
+     * @returns {Promise<string|null>}
+     */
+    async sniff(...segments) {
+      store.localPath(...segments);
+      return sniffContentType(await getDriver().get(store.key(...segments), { start: 0, end: SNIFF_BYTES - 1 }));
+    },
+    
+    /**
+     * Presigned download URL, when the driver supports them.
+     * @param {...string} segments
+     * @returns {Promise<string|null>}
+     */
+    async url(...segments) {
+      return getDriver().getUrl(store.key(...segments), { expiresIn: storageConfig.urlTtl });
+    },
+    
+    /**
+     * Send a stored file with a Content-Type taken from its contents. With
+     * redirects enabled, remote files are served through a presigned URL.
+     * @param {Object} res - Express response
+     * @param {...string} segments
+     * @returns {Promise<void>}
+     * @throws {StorageError} 404 when missing, 415 when the type is not allowed
+     */
+    async send(res, ...segments) {
+      const driver = getDriver();
+      const key = store.key(...segments);
+      const filePath = store.localPath(...segments);
+      if (filePath) {
+        return sendStoredFile(res, filePath, types);
+      }
+      
+      const stats = await driver.stat(key);
+      if (!stats) {
+        throw new StorageError('File not found', 404);
+      }
+      const type = checkType(await store.sniff(...segments), types);
+      
+      // SVGs always go through the backend so they keep the sandbox CSP
+      if (storageConfig.redirect && type !== 'svg') {
+        const url = await driver.getUrl(key, { expiresIn: storageConfig.urlTtl, contentType: FILE_TYPES[type].mime });
+        if (url) {
+          res.set('Cache-Control', 'no-store');
+          return res.redirect(302, url);
+        }
+      }
+      
+      res.set('Content-Type', FILE_TYPES[type].mime);
+      res.set('Content-Length', String(stats.size));
+      res.set('Last-Modified', new Date(stats.modified).toUTCString());
+      res.set('X-Content-Type-Options', 'nosniff');
+      if (type === 'svg') {
+        res.set('Content-Security-Policy', SVG_CSP);
+      }
+      
+      const stream = await driver.createReadStream(key);
+      if (!stream) {
+        throw new StorageError('File not found', 404);
+      }
+      await pipeline(stream, res);
+    },
+    
+    /**
+     * Move an uploaded temp file into the store. The extension comes from
+     * the sniffed content type, not from the uploaded file name.
+     * @param {string} tempPath - Path written by multer
+     * @param {string} baseName - Stored name without extension
+     * @returns {Promise<{ filename: string, key: string, path: string|null, type: string, mime: string }>}
+     * @throws {StorageError} 415 when the content type is not allowed
+     */
+    async saveUpload(tempPath, baseName) {
+      try {
+        const type = checkType(await sniffFile(tempPath), types);
+        const filename = `${baseName}.${FILE_TYPES[type].ext}`;
+        const filePath = store.localPath(filename);
+        await getDriver().putFile(store.key(filename), tempPath, { contentType: FILE_TYPES[type].mime });
+        invalidateLocalDir(store.key(filename));
+        return { filename, key: store.key(filename), path: filePath, type, mime: FILE_TYPES[type].mime };
+      } catch (error) {
+        // Rejected uploads must not stay behind in the upload folder
+        await fs.remove(tempPath);
+        throw error;
+      }
+    },
+    
+    /**
+     * Delete a stored file.
+     * @param {...string} segments
+     * @returns {Promise<boolean>} false if it did not exist (folders are left alone, see removeFolder())
+     */
+    async remove(...segments) {
+      if (segments.length === 0) {
+        throw new StorageError('Invalid file name');
+      }
+      store.localPath(...segments);
+      const key = store.key(...segments);
+      invalidateLocalDir(key);
+      return getDriver().delete(key);
+    },
+    
+    /**
+     * Delete a folder with everything in it.
+     * @param {...string} segments
+     * @returns {Promise<boolean>} false if it did not exist
+     */
+    async removeFolder(...segments) {
+      if (segments.length === 0) {
+        throw new StorageError('Invalid folder name');
+      }
+      store.localPath(...segments);
+      const key = store.key(...segments);
+      [...localDirSyncs.keys()].filter(dir => dir === key || dir.startsWith(`${key}/`)).forEach(dir => localDirSyncs.delete(dir));
+      return getDriver().deletePrefix(key);
+    },
+    
+    /**
+     * The store as a folder on disk, for code that needs real paths
+     * (renderers, font loading). Remote stores have the files directly in
+     * them mirrored into the cache folder first; only new or changed files
+     * are downloaded and sub-folders are left out. The mirror is reused for
+     * localDirTtl seconds (see initStorage()).
+     * @returns {Promise<string>}
+     */
+    async localDir() {
+      const driver = getDriver();
+      if (driver.localPath) return driver.localPath(prefix);
+      
+      const cached = localDirSyncs.get(prefix);
+      if (cached && Date.now() - cached.syncedAt < storageConfig.localDirTtl * 1000) {
+        return cached.sync;
+      }
+      const entry = { syncedAt: Date.now(), sync: syncLocalDir(driver) };
+      localDirSyncs.set(prefix, entry);
+      entry.sync.catch(() => {
+        if (localDirSyncs.get(prefix) === entry) localDirSyncs.delete(prefix);
+      });
+      return entry.sync;
+    },
+  };
+  
+  // Mirror the files directly in a remote store into the cache folder
+  const syncLocalDir = async (driver) => {
+    const dir = join(storageConfig.cacheDir, ...prefix.split('/'));
+    const cache = createLocalDriver({ root: dir });
+    await fs.ensureDir(dir);
+    
+    const { files } = await driver.list(prefix);
+    const wanted = new Set();
+    for (const file of files) {
+      if (!isSafeName(file.key)) continue;
+      wanted.add(file.key);
+      
+      const cached = await cache.stat(file.key);
+      if (cached && cached.size === file.size && cached.modified >= new Date(file.modified)) continue;
+      
+      const body = await driver.get(`${prefix}/${file.key}`);
+      if (body) {
+        const tempPath = join(storageConfig.cacheDir, `.download-${process.pid}-${Date.now()}-${Math.random().toString(36).substring(2)}`);
+        await fs.writeFile(tempPath, body);
+        await cache.putFile(file.key, tempPath);
+      }
+    }
+    
+    // Files deleted from the bucket disappear from the mirror too
+    for (const file of (await cache.list('')).files) {
+      if (!wanted.has(file.key)) {
+        await cache.delete(file.key);
+      }
+    }
+    
+    return dir;
+  };
+  
+  return store;
+};
@@ -0,0 +1,78 @@
+import createDOMPurify from 'dompurify';
+import { JSDOM } from 'jsdom';
+import { StorageError } from './storageService.js';
+
+/**
+ * Clean uploaded SVGs before they are stored and served.
+ *
+ * Scripts, event handlers, <foreignObject> and anything that makes the
+ * browser (or the print renderer) load another resource are removed. The
+ * only references kept are fragments inside the file (#gradient) and
+ * embedded raster images (data:image/png;base64,...).
+ */
+
+const { window } = new JSDOM('');
+const DOMPurify = createDOMPurify(window);
+
+const LINK_ATTRIBUTES = ['href', 'xlink:href', 'src'];
+const EMBEDDED_IMAGE = /^data:image\/(png|jpeg|gif|webp);base64,/i;
+const CSS_URL = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+
+const isLocalReference = (value) => value.trim().startsWith('#');
+
+// CSS with external url(...) or @import cannot be made safe piecewise, so it is dropped
+const hasExternalCss = (css) => /@import/i.test(css)
+  || [...css.matchAll(CSS_URL)].some(([, , target]) => !isLocalReference(target) && !EMBEDDED_IMAGE.test(target.trim()));
+
+let removed = [];
+
+DOMPurify.addHook('uponSanitizeAttribute', (node, data) => {
+  const name = data.attrName.toLowerCase();
+  const value = data.attrValue || '';
+  let external = false;
+  if (LINK_ATTRIBUTES.includes(name)) {
+    external = !isLocalReference(value) && !(node.nodeName.toLowerCase() === 'image' && EMBEDDED_IMAGE.test(value.trim()));
+  } else if (/url\(|@import/i.test(value)) {
+    external = hasExternalCss(value);
+  }
+  if (external) {
+    data.keepAttr = false;
+    removed.push(`${node.nodeName}@${data.attrName}`);
+  }
+});
+
+DOMPurify.addHook('uponSanitizeElement', (node, data) => {
+  if (data.tagName === 'style' && hasExternalCss(node.textContent || '')) {
+    node.textContent = '';
+    removed.push('style');
+  }
+});
+
+/**
+ * Sanitise an SVG document.
+ * @param {Buffer|string} input
+ * @returns {{ svg: string, removed: string[] }} Clean SVG and what was taken out
+ * @throws {StorageError} 415 when the input has no <svg> root
+ */
+export const sanitizeSvg = (input) => {
+  removed = [];
+  const source = Buffer.isBuffer(input) ? input.toString('utf8') : String(input);
+  const fragment = DOMPurify.sanitize(source, {
+    USE_PROFILES: { svg: true, svgFilters: true },
+    // <use> is common in icon sets; its href is checked like any other link
+    ADD_TAGS: ['use'],
+    FORBID_TAGS: ['script', 'foreignObject', 'iframe', 'embed', 'object'],
+    RETURN_DOM_FRAGMENT: true,
+  });
+  const svg = fragment.querySelector('svg');
+  if (!svg) {
+    throw new StorageError('File is not a valid SVG image', 415);
+  }
+  removed.push(...DOMPurify.removed
+    .filter(entry => entry.element && !['html', 'head', 'body'].includes(entry.element.nodeName.toLowerCase()))
+    .map(entry => entry.element.nodeName.toLowerCase()));
+  
+  // XML serialisation keeps the file a valid standalone SVG (and adds the namespace)
+  const xml = new window.XMLSerializer().serializeToString(svg);
+  return { svg: xml, removed: [...new Set(removed)] };
+};
@@ -0,0 +1,126 @@
+import { StorageError } from './storageService.js';
+import { lengthToMm } from '../utils/designDocument.js';
+
+/**
+ * Which products a template can be offered on.
+ *
+ * A template declares its rules in `compatibility` (checked by the template
+ * schema when it is uploaded):
+ *   productCodes          only these products
+ *   printAreas            only these print areas (id or name)
+ *   minWidthMm ...        size limits of the print area
+ *   aspectRatio           width / height of the print area, within
+ *   aspectRatioTolerance  (relative, default 0.02)
+ * Every declared rule must hold. Templates without rules fit every product,
+ * as they did before rules existed.
+ */
+
+export const DEFAULT_ASPECT_RATIO_TOLERANCE = 0.02;
+
+const RULE_KEYS = [
+  'productCodes',
+  'printAreas',
+  'minWidthMm',
+  'maxWidthMm',
+  'minHeightMm',
+  'maxHeightMm',
+  'aspectRatio',
+  'aspectRatioTolerance',
+];
+
+const sameCode = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+/**
+ * Read compatibility rules sent with an upload (JSON string) or an update (object).
+ * @param {string|Object|null} value - Empty string or null removes the rules
+ * @returns {Object|null|undefined} undefined when nothing was sent
+ * @throws {StorageError} 400 for invalid JSON
+ */
+export const parseCompatibility = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    throw new StorageError(`compatibility must be a JSON object (${e.message})`);
+  }
+};
+
+/**
+ * Print areas of a product in mm. Products have either a list (printAreas)
+ * or a single area (printArea), in settings or at the top level.
+ * @param {Object} product - Entry of the products database
+ * @returns {{ id: string, name: string, widthMm: number|null, heightMm: number|null }[]}
+ */
+export const productPrintAreas = (product) => {
+  const settings = product?.settings || {};
+  const list = settings.printAreas || product?.printAreas;
+  const single = settings.printArea || product?.printArea;
+  const areas = Array.isArray(list) ? list : (single ? [{ id: 'default', ...single }] : []);
+  return areas.map((area, index) => ({
+    id: String(area.id ?? area.name ?? `area-${index + 1}`),
+    name: String(area.name ?? area.id ?? `Area ${index + 1}`),
+    widthMm: area.width ? lengthToMm(area.width, area.unit) : null,
+    heightMm: area.height ? lengthToMm(area.height, area.unit) : null,
+  }));
+};
+
+// Why a print area does not fit, or null when it does
+const checkPrintArea = (rules, area) => {
+  if (rules.printAreas?.length && !rules.printAreas.some(entry => sameCode(entry, area.id) || sameCode(entry, area.name))) {
+    return 'print area not listed';
+  }
+  const limits = [
+    ['minWidthMm', area.widthMm, (value, limit) => value >= limit],
+    ['maxWidthMm', area.widthMm, (value, limit) => value <= limit],
+    ['minHeightMm', area.heightMm, (value, limit) => value >= limit],
+    ['maxHeightMm', area.heightMm, (value, limit) => value <= limit],
+  ];
+  for (const [key, value, fits] of limits) {
+    if (rules[key] === undefined) continue;
+    // A limit cannot be met by a print area of unknown size
+    if (!value || !fits(value, rules[key])) return `${key} ${rules[key]}`;
+  }
+  if (rules.aspectRatio !== undefined) {
+    if (!area.widthMm || !area.heightMm) return 'aspect ratio unknown';
+    const tolerance = rules.aspectRatioTolerance ?? DEFAULT_ASPECT_RATIO_TOLERANCE;
+    const ratio = area.widthMm / area.heightMm;
+    if (Math.abs(ratio - rules.aspectRatio) / rules.aspectRatio > tolerance) {
+      return `aspect ratio ${ratio.toFixed(3)} is not ${rules.aspectRatio}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Check a template against a product.
+ * @param {Object} template - Template document (its compatibility field is used)
+ * @param {Object} product - Entry of the products database
+ * @returns {{ compatible: boolean, printAreas: string[], reason: string|null }}
+ *   printAreas lists the ids of the print areas the template fits
+ */
+export const matchTemplateToProduct = (template, product) => {
+  const rules = template.compatibility || {};
+  const areas = productPrintAreas(product);
+  if (!RULE_KEYS.some(key => rules[key] !== undefined)) {
+    return { compatible: true, printAreas: areas.map(area => area.id), reason: null };
+  }
+  
+  if (rules.productCodes?.length && !rules.productCodes.some(code => sameCode(code, product.productCode) || sameCode(code, product.id))) {
+    return { compatible: false, printAreas: [], reason: 'product not listed' };
+  }
+  const areaRules = ['printAreas', 'minWidthMm', 'maxWidthMm', 'minHeightMm', 'maxHeightMm', 'aspectRatio']
+    .some(key => rules[key] !== undefined);
+  if (!areaRules) {
+    return { compatible: true, printAreas: areas.map(area => area.id), reason: null };
+  }
+  
+  const reasons = areas.map(area => checkPrintArea(rules, area));
+  const fitting = areas.filter((area, index) => reasons[index] === null).map(area => area.id);
+  return {
+    compatible: fitting.length > 0,
+    printAreas: fitting,
+    reason: fitting.length > 0 ? null : (reasons[0] || 'product has no print area'),
+  };
+};
@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import subsetFont from 'subset-font';
+import fontverter from 'fontverter';
+import { StorageError } from './storageService.js';
+
+/**
+ * WOFF2 versions and subsets of uploaded fonts for the browser.
+ *
+ * The uploaded file stays untouched in the font store and is what print
+ * rendering uses. Web versions are generated on first request (the full
+ * WOFF2 also right after upload) and cached below web/<font>/:
+ *   full.woff2           every glyph
+ *   <subset>.woff2       a named character range (latin, latin-ext)
+ * Subsets with only the characters of a given text are not stored, as every
+ * text gives a new one; the most recently used are kept in memory.
+ */
+
+export const WEB_FONTS_DIR = 'web';
+
+// Longest text (in distinct characters) accepted for a text subset
+export const MAX_SUBSET_TEXT = 1000;
+
+// Text subsets kept in memory
+const MAX_CACHED_TEXT_SUBSETS = 200;
+
+// Unicode ranges of the named subsets, as used for CSS unicode-range
+export const FONT_SUBSETS = {
+  latin: [
+    [0x0000, 0x00FF], [0x0131, 0x0131], [0x0152, 0x0153], [0x02BB, 0x02BC], [0x02C6, 0x02C6],
+    [0x02DA, 0x02DA], [0x02DC, 0x02DC], [0x2000, 0x206F], [0x2074, 0x2074], [0x20AC, 0x20AC],
+    [0x2122, 0x2122], [0x2191, 0x2191], [0x2193, 0x2193], [0x2212, 0x2212], [0x2215, 0x2215],
+    [0xFEFF, 0xFEFF], [0xFFFD, 0xFFFD],
+  ],
+  'latin-ext': [
+    [0x0100, 0x024F], [0x0259, 0x0259], [0x1E00, 0x1EFF], [0x2020, 0x2020], [0x20A0, 0x20AB],
+    [0x20AD, 0x20CF], [0x2113, 0x2113], [0x2C60, 0x2C7F], [0xA720, 0xA7FF],
+  ],
+};
+
+const hex = (codePoint) => codePoint.toString(16).toUpperCase().padStart(4, '0');
+
+/**
+ * CSS unicode-range value of a named subset.
+ * @param {string} subset
+ * @returns {string|null}
+ */
+export const subsetUnicodeRange = (subset) => {
+  const ranges = FONT_SUBSETS[subset];
+  if (!ranges) return null;
+  return ranges.map(([from, to]) => (from === to ? `U+${hex(from)}` : `U+${hex(from)}-${hex(to)}`)).join(', ');
+};
+
+const subsetCharacters = (subset) => FONT_SUBSETS[subset]
+  .flatMap(([from, to]) => Array.from({ length: to - from + 1 }, (_, i) => String.fromCodePoint(from + i)))
+  .join('');
+
+const baseNameOf = (filename) => filename.replace(/\.[^.]+$/, '');
+
+/**
+ * Work out which web version a request is for.
+ * @param {Object} [options]
+ * @param {string} [options.subset] - Name of a FONT_SUBSETS entry
+ * @param {string} [options.text] - Characters to keep
+ * @returns {{ name: string, text: string|null, persist: boolean }} Cache name, the characters to
+ *   keep (null = all) and whether the file is stored
+ * @throws {StorageError} For unknown subsets and text that is too long
+ */
+export const resolveWebFontVariant = (options = {}) => {
+  if (options.subset !== undefined && options.text !== undefined) {
+    throw new StorageError('Use either subset or text, not both');
+  }
+  if (options.subset !== undefined) {
+    if (!FONT_SUBSETS[options.subset]) {
+      throw new StorageError(`Unknown subset (available: ${Object.keys(FONT_SUBSETS).join(', ')})`);
+    }
+    return { name: `${options.subset}.woff2`, text: subsetCharacters(options.subset), persist: true };
+  }
+  if (options.text !== undefined) {
+    if (typeof options.text !== 'string' || options.text.length === 0) {
+      throw new StorageError('Subset text must be a non-empty string');
+    }
+    // The same characters in any order or repetition share one cached file
+    const characters = [...new Set(Array.from(options.text))].sort().join('');
+    if (Array.from(characters).length > MAX_SUBSET_TEXT) {
+      throw new StorageError(`Subset text may contain at most ${MAX_SUBSET_TEXT} different characters`);
+    }
+    const hash = crypto.createHash('sha256').update(characters).digest('hex').substring(0, 16);
+    return { name: `text-${hash}.woff2`, text: characters, persist: false };
+  }
+  return { name: 'full.woff2', text: null, persist: true };
+};
+
+// Generations in progress, so parallel requests for the same file share one
+const pending = new Map();
+// Text subsets by cache key, least recently used first
+const textSubsets = new Map();
+
+const rememberTextSubset = (cacheKey, buffer) => {
+  textSubsets.delete(cacheKey);
+  textSubsets.set(cacheKey, buffer);
+  if (textSubsets.size > MAX_CACHED_TEXT_SUBSETS) {
+    textSubsets.delete(textSubsets.keys().next().value);
+  }
+};
+
+/**
+ * WOFF2 version of a stored font, generated and cached on first use.
+ * @param {Object} store - Font store
+ * @param {string} filename - Uploaded font file
+ * @param {Object} [options] - { subset } or { text }, see resolveWebFontVariant()
+ * @returns {Promise<Buffer|null>} null when the font does not exist
+ * @throws {StorageError} 415 when the font cannot be converted
+ */
+export const getWebFont = async (store, filename, options = {}) => {
+  const variant = resolveWebFontVariant(options);
+  const webStore = store.scope(WEB_FONTS_DIR, baseNameOf(filename));
+  const cacheKey = webStore.key(variant.name);
+  
+  if (!pending.has(cacheKey)) {
+    pending.set(cacheKey, (async () => {
+      if (!(await store.exists(filename))) return null;
+      
+      const cached = variant.persist ? await webStore.read(variant.name) : textSubsets.get(cacheKey);
+      if (cached) {
+        if (!variant.persist) rememberTextSubset(cacheKey, cached);
+        return cached;
+      }
+      
+      const original = await store.read(filename);
+      let buffer;
+      try {
+        buffer = variant.text === null
+          ? await fontverter.convert(original, 'woff2')
+          : await subsetFont(original, variant.text, { targetFormat: 'woff2' });
+      } catch (error) {
+        throw new StorageError(`Font could not be converted (${error.message})`, 415);
+      }
+      if (variant.persist) {
+        await webStore.write(variant.name, buffer, { contentType: 'font/woff2' });
+      } else {
+        rememberTextSubset(cacheKey, buffer);
+      }
+      return buffer;
+    })().finally(() => pending.delete(cacheKey)));
+  }
+  return pending.get(cacheKey);
+};
+
+/**
+ * Delete every generated web version of a font.
+ * @param {Object} store - Font store
+ * @param {string} filename - Uploaded font file
+ * @returns {Promise<boolean>}
+ */
+export const removeWebFonts = (store, filename) => {
+  const prefix = `${store.scope(WEB_FONTS_DIR, baseNameOf(filename)).prefix}/`;
+  [...textSubsets.keys()].filter(key => key.startsWith(prefix)).forEach(key => textSubsets.delete(key));
+  return store.scope(WEB_FONTS_DIR).removeFolder(baseNameOf(filename));
+};
@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { existsSync } from 'fs';
+
+/**
+ * WooCommerce webhook helpers.
+ *
+ * WooCommerce signs the raw request body with HMAC-SHA256 and sends it
+ * base64-encoded in X-WC-Webhook-Signature. Processed deliveries are kept
+ * in an idempotency log so redelivered webhooks are only handled once.
+ */
+
+const MAX_LOG_ENTRIES = 1000;
+
+let logFile = null;
+let deliveries = [];
+
+const persistLog = async () => {
+  if (!logFile) return;
+  await fs.writeJson(logFile, deliveries, { spaces: 2 });
+};
+
+/**
+ * Verify a WooCommerce webhook signature.
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {string} signature - X-WC-Webhook-Signature header
+ * @param {string} secret - Webhook secret
+ * @returns {boolean}
+ */
+export const verifyWooSignature = (rawBody, signature, secret) => {
+  if (!secret || !signature || !rawBody) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(String(signature), 'base64');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+/**
+ * Load the delivery log. Must be called once on startup.
+ * @param {Object} options
+ * @param {string} options.file - JSON file for the idempotency log
+ */
+export const initWebhookLog = (options = {}) => {
+  logFile = options.file || null;
+  deliveries = [];
+  if (logFile && existsSync(logFile)) {
+    try {
+      deliveries = fs.readJsonSync(logFile);
+    } catch (e) {
+      console.error('Failed to read webhook delivery log:', e.message);
+    }
+  }
+};
+
+/**
+ * Find an earlier delivery with the same delivery ID or the same event key.
+ * The event key identifies the resource version (e.g. topic, order ID and
+ * modification date), which also catches deliveries re-sent under a new ID.
+ * @param {string} deliveryId
+ * @param {string} eventKey
+ * @returns {Object|null}
+ */
+export const findDelivery = (deliveryId, eventKey) => deliveries.find(entry =>
+  (deliveryId && entry.delivery_id === deliveryId) || (eventKey && entry.event_key === eventKey)
+) || null;
+
+/**
+ * Record a processed delivery.
+ * @param {Object} entry - { delivery_id, event_key, topic, resource_id, action, job_id }
+ * @returns {Promise<Object>} The stored entry
+ */
+export const recordDelivery = async (entry) => {
+  const record = {
+    ...entry,
+    received_at: new Date().toISOString(),
+  };
+  deliveries.push(record);
+  if (deliveries.length > MAX_LOG_ENTRIES) {
+    deliveries = deliveries.slice(-MAX_LOG_ENTRIES);
+  }
+  await persistLog();
+  return record;
+};
+
+/**
+ * @param {number} [limit=100]
+ * @returns {Object[]} Deliveries, newest first
+ */
+export const listDeliveries = (limit = 100) => deliveries.slice(-limit).reverse();
@@ -0,0 +1,251 @@
+import { basename, join } from 'path';
+import { existsSync } from 'fs';
+
+/**
+ * Helpers for reading design JSON produced by the design tool.
+ *
+ * The editor saves fabric.js-style canvases ({ objects: [...] }) while
+ * templates may use { canvas, layers }. Both are normalised into a flat
+ * list of layers in canvas pixels so exporters only deal with one shape.
+ */
+
+// Pixels per inch assumed when a design does not declare its own
+export const DEFAULT_DESIGN_DPI = 72;
+
+const MM_PER_INCH = 25.4;
+
+const TEXT_TYPES = ['text', 'i-text', 'itext', 'textbox'];
+
+const NAMED_COLORS = {
+  black: [0, 0, 0],
+  white: [255, 255, 255],
+  red: [255, 0, 0],
+  green: [0, 128, 0],
+  blue: [0, 0, 255],
+  yellow: [255, 255, 0],
+  orange: [255, 165, 0],
+  purple: [128, 0, 128],
+  gray: [128, 128, 128],
+  grey: [128, 128, 128],
+};
+
+const toNumber = (value, fallback = 0) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+/**
+ * Parse a CSS colour into RGB components.
+ * @param {string} value - Hex, rgb()/rgba() or a basic named colour
+ * @returns {{ rgb: number[], alpha: number }|null} null for transparent or unknown values
+ */
+export const parseColor = (value) => {
+  if (!value || typeof value !== 'string') return null;
+  const color = value.trim().toLowerCase();
+  
+  if (color === 'transparent' || color === 'none') return null;
+  
+  if (NAMED_COLORS[color]) {
+    return { rgb: NAMED_COLORS[color], alpha: 1 };
+  }
+  
+  const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length === 3) {
+      digits = digits.split('').map(d => d + d).join('');
+    }
+    const rgb = [0, 2, 4].map(i => parseInt(digits.substring(i, i + 2), 16));
+    const alpha = digits.length === 8 ? parseInt(digits.substring(6, 8), 16) / 255 : 1;
+    return alpha > 0 ? { rgb, alpha } : null;
+  }
+  
+  const fn = color.match(/^rgba?\(([^)]+)\)$/);
+  if (fn) {
+    const parts = fn[1].split(',').map(p => p.trim());
+    const rgb = parts.slice(0, 3).map(p => Math.max(0, Math.min(255, Math.round(toNumber(p)))));
+    const alpha = parts[3] !== undefined ? toNumber(parts[3], 1) : 1;
+    return rgb.length === 3 && alpha > 0 ? { rgb, alpha } : null;
+  }
+  
+  return null;
+};
+
+/**
+ * Convert a length in mm, cm or inches to mm.
+ * @param {number|string} value
+ * @param {string} [unit='mm']
+ * @returns {number}
+ */
+export const lengthToMm = (value, unit) => {
+  const number = toNumber(value, 0);
+  switch ((unit || 'mm').toLowerCase()) {
+    case 'cm':
+      return number * 10;
+    case 'in':
+    case 'inch':
+      return number * MM_PER_INCH;
+    default:
+      return number;
+  }
+};
+
+const normalizeLayer = (obj, index) => {
+  const rawType = (obj.type || '').toLowerCase();
+  const type = TEXT_TYPES.includes(rawType) ? 'text' : rawType;
+  const scaleX = toNumber(obj.scaleX, 1);
+  const scaleY = toNumber(obj.scaleY, 1);
+  const width = toNumber(obj.width) * scaleX;
+  const height = toNumber(obj.height) * scaleY;
+  
+  // fabric.js positions objects by their origin point
+  const pivotX = toNumber(obj.left ?? obj.x);
+  const pivotY = toNumber(obj.top ?? obj.y);
+  let x = pivotX;
+  let y = pivotY;
+  if (obj.originX === 'center') x -= width / 2;
+  if (obj.originX === 'right') x -= width;
+  if (obj.originY === 'center') y -= height / 2;
+  if (obj.originY === 'bottom') y -= height;
+  
+  return {
+    id: obj.id || obj.name || `layer-${index}`,
+    type,
+    x,
+    y,
+    width,
+    height,
+    scaleX,
+    scaleY,
+    // Rotation is applied around the origin point, as in fabric.js
+    pivotX,
+    pivotY,
+    rotation: toNumber(obj.angle ?? obj.rotation),
+    opacity: obj.opacity !== undefined ? toNumber(obj.opacity, 1) : 1,
+    visible: obj.visible !== false,
+    fill: obj.fill ?? null,
+    stroke: obj.stroke ?? null,
+    strokeWidth: toNumber(obj.strokeWidth) * Math.max(scaleX, scaleY),
+    text: obj.text ?? null,
+    fontFamily: obj.fontFamily || null,
+    fontSize: toNumber(obj.fontSize, 16) * scaleY,
+    fontWeight: obj.fontWeight || 'normal',
+    fontStyle: obj.fontStyle || 'normal',
+    textAlign: obj.textAlign || 'left',
+    lineHeight: toNumber(obj.lineHeight, 1.16),
+    src: obj.src || obj.url || obj.image || null,
+    raw: obj,
+  };
+};
+
+/**
+ * Unwrap design JSON into its raw parts without normalising layers.
+ * @param {string|Object} designData - Design JSON (string or parsed)
+ * @returns {{ design: Object, source: Object, canvas: Object, objects: Object[] }}
+ */
+export const readDesignSource = (designData) => {
+  const design = typeof designData === 'string' ? JSON.parse(designData) : designData;
+  if (!design || typeof design !== 'object') {
+    throw new Error('Design data must be a JSON object');
+  }
+  
+  // Some saves wrap the canvas JSON, e.g. { canvas: {...fabric json} } or { design: {...} }
+  const source = design.objects || design.layers ? design : (design.design || design.canvasJSON || design);
+  const canvas = source.canvas && typeof source.canvas === 'object' ? source.canvas : {};
+  const objects = Array.isArray(source.objects || source.layers) ? (source.objects || source.layers) : [];
+  
+  return { design, source, canvas, objects };
+};
+
+/**
+ * Normalise design JSON into { width, height, dpi, widthMm, heightMm, background, layers }.
+ * @param {string|Object} designData - Design JSON (string or parsed)
+ * @returns {Object}
+ */
+export const normalizeDesign = (designData) => {
+  const { design, source, canvas, objects } = readDesignSource(designData);
+  
+  const width = toNumber(canvas.width ?? source.width ?? design.width);
+  const height = toNumber(canvas.height ?? source.height ?? design.height);
+  const dpi = toNumber(source.dpi ?? design.dpi ?? canvas.dpi, DEFAULT_DESIGN_DPI);
+  
+  // A declared print area wins over pixel size / DPI
+  const printArea = source.printArea || design.printArea || null;
+  const widthMm = printArea?.width ? lengthToMm(printArea.width, printArea.unit) : (width / dpi) * MM_PER_INCH;
+  const heightMm = printArea?.height ? lengthToMm(printArea.height, printArea.unit) : (height / dpi) * MM_PER_INCH;
+  
+  const layers = objects.map(normalizeLayer).filter(layer => layer.visible);
+  
+  // Fall back to the layer bounds when the canvas size was not saved
+  const bounds = layers.reduce((acc, layer) => ({
+    width: Math.max(acc.width, layer.x + layer.width),
+    height: Math.max(acc.height, layer.y + layer.height),
+  }), { width: 0, height: 0 });
+  
+  const finalWidth = width || Math.ceil(bounds.width) || 1;
+  const finalHeight = height || Math.ceil(bounds.height) || 1;
+  
+  return {
+    width: finalWidth,
+    height: finalHeight,
+    dpi,
+    widthMm: widthMm || (finalWidth / dpi) * MM_PER_INCH,
+    heightMm: heightMm || (finalHeight / dpi) * MM_PER_INCH,
+    background: source.background || canvas.background || source.backgroundColor || null,
+    layers,
+  };
+};
+
+/**
+ * Collect the font families referenced by text layers.
+ * @param {Object} design - Normalised design
+ * @returns {string[]}
+ */
+export const getDesignFonts = (design) => [
+  ...new Set(design.layers.filter(l => l.type === 'text' && l.fontFamily).map(l => l.fontFamily)),
+];
+
+/**
+ * Map an image reference from design JSON to a local file.
+ * Only backend asset URLs are resolved; remote URLs are never fetched.
+ * @param {string} src - Image src (data URL, /api/images/..., /api/admin/clipart/...)
+ * @param {Object} dirs - { imagesDir, clipartDir }
+ * @returns {{ dataUrl?: string, path?: string }|null}
+ */
+export const resolveDesignAsset = (src, dirs) => {
+  if (!src || typeof src !== 'string') return null;
+  
+  if (src.startsWith('data:image/')) {
+    return { dataUrl: src };
+  }
+  
+  let pathname = src;
+  if (/^https?:\/\//i.test(src)) {
+    try {
+      pathname = new URL(src).pathname;
+    } catch (e) {
+      return null;
+    }
+  }
+  
+  const routes = [
+    ['/api/images/', dirs.imagesDir],
+    ['/api/admin/clipart/', dirs.clipartDir],
+  ];
+  
+  for (const [prefix, dir] of routes) {
+    if (dir && pathname.startsWith(prefix)) {
+      // basename() keeps the lookup inside the asset directory
+      let filename;
+      try {
+        filename = basename(decodeURIComponent(pathname.substring(prefix.length)));
+      } catch (e) {
+        return null;
+      }
+      const filePath = join(dir, filename);
+      return existsSync(filePath) ? { path: filePath } : null;
+    }
+  }
+  
+  return null;
+};
@@ -0,0 +1,80 @@
+import fs from 'fs-extra';
+import { existsSync } from 'fs';
+import { basename, extname, join } from 'path';
+
+/**
+ * Lookup of uploaded fonts by family and style, shared by the exporters.
+ */
+
+/**
+ * Map a CSS weight/style pair onto one of the four variant slots.
+ * @param {string|number} weight
+ * @param {string} style
+ * @returns {'normal'|'bold'|'italic'|'bolditalic'}
+ */
+export const fontStyleKey = (weight, style) => {
+  const bold = weight === 'bold' || parseInt(weight, 10) >= 600;
+  const italic = style === 'italic' || style === 'oblique';
+  if (bold && italic) return 'bolditalic';
+  if (bold) return 'bold';
+  if (italic) return 'italic';
+  return 'normal';
+};
+
+/**
+ * Build a lookup of font files keyed by lower-cased family name.
+ * @param {string} fontsDir
+ * @param {Object} [options]
+ * @param {string[]} [options.extensions] - File extensions to include, preferred first when a
+ *   variant exists in several formats
+ * @returns {Promise<Map<string, Object>>} family -> { normal, bold, italic, bolditalic } file paths
+ */
+export const loadFontLibrary = async (fontsDir, options = {}) => {
+  const extensions = options.extensions || ['ttf', 'otf'];
+  const pattern = new RegExp(`\\.(${extensions.join('|')})$`, 'i');
+  const rank = (file) => extensions.indexOf(extname(file).substring(1).toLowerCase());
+  const library = new Map();
+  if (!fontsDir || !existsSync(fontsDir)) return library;
+  
+  const files = await fs.readdir(fontsDir);
+  for (const file of files) {
+    if (!pattern.test(file)) continue;
+    
+    const metadataPath = join(fontsDir, file.replace(/\.[^.]+$/, '.json'));
+    let metadata = {};
+    if (existsSync(metadataPath)) {
+      try {
+        metadata = await fs.readJson(metadataPath);
+      } catch (e) {
+        // Ignore metadata read errors
+      }
+    }
+    
+    const family = (metadata.family || metadata.name || basename(file, extname(file)).replace(/[-_]/g, ' ')).toLowerCase();
+    const key = fontStyleKey(metadata.weight, metadata.style);
+    const variants = library.get(family) || {};
+    if (!variants[key] || rank(file) < rank(variants[key])) {
+      variants[key] = join(fontsDir, file);
+    }
+    library.set(family, variants);
+  }
+  
+  return library;
+};
+
+/**
+ * Pick the closest available variant for a family.
+ * @param {Map} library - Result of loadFontLibrary()
+ * @param {string} family
+ * @param {string|number} weight
+ * @param {string} style
+ * @returns {{ file: string, key: string }|null}
+ */
+export const findFontFile = (library, family, weight, style) => {
+  const variants = family ? library.get(family.toLowerCase()) : null;
+  if (!variants) return null;
+  
+  const wanted = fontStyleKey(weight, style);
+  const key = variants[wanted] ? wanted : (variants.normal ? 'normal' : Object.keys(variants)[0]);
+  return { file: variants[key], key };
+};
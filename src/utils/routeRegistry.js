@@ -0,0 +1,69 @@
+/**
+ * Startup checks for the Express route table.
+ *
+ * Express silently keeps every handler registered for a route, and only the
+ * first one that responds ever runs. Registering the same method and path
+ * twice is therefore always a mistake, so the server refuses to start.
+ */
+
+// Readable mount path of a router layer (Express 4 only keeps the compiled regexp)
+const mountPathOf = (layer) => {
+  if (layer.path !== undefined) return layer.path;
+  const source = layer.regexp?.source || '';
+  if (layer.regexp?.fast_slash) return '';
+  const path = source
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+    .replace(/\\\//g, '/');
+  // Mounts with parameters or patterns are kept as their regexp
+  return /[\\()[\]|?*+]/.test(path) ? source : path;
+};
+
+const collectRoutes = (stack, prefix, routes) => {
+  for (const layer of stack) {
+    if (layer.route) {
+      const paths = Array.isArray(layer.route.path) ? layer.route.path : [layer.route.path];
+      for (const path of paths) {
+        for (const method of Object.keys(layer.route.methods)) {
+          routes.push({
+            method: method === '_all' ? 'ALL' : method.toUpperCase(),
+            path: `${prefix}${String(path)}`,
+          });
+        }
+      }
+    } else if (layer.name === 'router' && layer.handle?.stack) {
+      collectRoutes(layer.handle.stack, `${prefix}${mountPathOf(layer)}`, routes);
+    }
+  }
+  return routes;
+};
+
+/**
+ * Method + path combinations that more than one handler is registered for.
+ * Routes of mounted routers are included with their mount path.
+ * @param {import('express').Application} app
+ * @returns {{ method: string, path: string, count: number }[]}
+ */
+export const findDuplicateRoutes = (app) => {
+  const counts = new Map();
+  for (const { method, path } of collectRoutes(app._router?.stack || [], '', [])) {
+    const key = `${method} ${path}`;
+    const entry = counts.get(key) || { method, path, count: 0 };
+    entry.count += 1;
+    counts.set(key, entry);
+  }
+  return [...counts.values()].filter(entry => entry.count > 1);
+};
+
+/**
+ * Throw if two handlers claim the same method and path.
+ * @param {import('express').Application} app
+ * @throws {Error} Listing every conflicting route
+ */
+export const assertUniqueRoutes = (app) => {
+  const duplicates = findDuplicateRoutes(app);
+  if (duplicates.length === 0) return;
+  
+  const list = duplicates.map(({ method, path, count }) => `  ${method} ${path} (${count} handlers)`).join('\n');
+  throw new Error(`Duplicate route registrations - only the first handler of each would ever run:\n${list}`);
+};
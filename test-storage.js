@@ -0,0 +1,382 @@
+import assert from 'assert';
+import fs from 'fs-extra';
+import os from 'os';
+import { join } from 'path';
+import { Writable } from 'stream';
+import {
+  initStorage,
+  createStorage,
+  createStorageDriver,
+  isSafeName,
+  sniffContentType,
+  StorageError,
+  IMAGE_TYPES,
+} from './src/services/storageService.js';
+import { createRevision, listRevisions, restoreRevision } from './src/services/designRevisionService.js';
+
+// Minimal file headers for content sniffing
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+const JPEG = Buffer.from('ffd8ffe000104a464946', 'hex');
+const SVG = Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"></svg>');
+const TTF = Buffer.from('0001000000100100', 'hex');
+const HTML = Buffer.from('<html><script>alert(1)</script></html>');
+
+let passed = 0;
+let failed = 0;
+
+const test = async (name, fn) => {
+  try {
+    await fn();
+    passed += 1;
+    console.log(`   ✓ ${name}`);
+  } catch (error) {
+    failed += 1;
+    console.log(`   ✗ ${name}`);
+    console.log(`     ${error.message}`);
+  }
+};
+
+const expectStorageError = async (fn, statusCode) => {
+  await assert.rejects(async () => fn(), (error) => {
+    assert.ok(error instanceof StorageError, `expected StorageError, got ${error.name}: ${error.message}`);
+    assert.strictEqual(error.statusCode, statusCode);
+    return true;
+  });
+};
+
+// Stand-in for an Express response; streamed bodies are collected in `body`
+const fakeResponse = () => {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    },
+  });
+  Object.assign(res, {
+    headers: {},
+    sentFile: null,
+    redirectedTo: null,
+    chunks,
+    set(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    sendFile(path, callback) {
+      res.sentFile = path;
+      callback();
+    },
+    redirect(status, url) {
+      res.redirectedTo = url;
+    },
+  });
+  return res;
+};
+
+// Identifiers as Express hands them to routes (already URL-decoded once)
+const TRAVERSAL_NAMES = [
+  '..',
+  '.',
+  '../secret.json',
+  '..\\secret.json',
+  '../../etc/passwd',
+  'images/../../data/settings.json',
+  '/etc/passwd',
+  'C:\\Windows\\win.ini',
+  '\\\\server\\share\\file',
+  'file.png\0.txt',
+  '.htaccess',
+  '.env',
+  'name.',
+  'name ',
+  '',
+];
+
+// Encoded payloads, decoded the way Express decodes route params
+const ENCODED_PAYLOADS = [
+  '%2e%2e%2fsecret.json',
+  '%2e%2e/%2e%2e/data/settings.json',
+  '..%2f..%2fdata%2fsettings.json',
+  '..%5csecret.json',
+  '%252e%252e%252fsecret.json', // double encoded: decodes to "%2e%2e%2f..."
+  'file.png%00.txt',
+  '%c0%ae%c0%ae%2fsecret.json', // overlong UTF-8 dots
+  '%e2%80%a4%e2%80%a4%2fsecret', // U+2024 one dot leader
+  '..%ef%bc%8fsecret', // U+FF0F fullwidth solidus
+];
+
+const decodeParam = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+};
+
+// Behaviour every driver must share, plus the store features built on it
+async function testDriver(driver, cacheDir) {
+  initStorage({ cacheDir, redirect: false });
+  
+  await test('put() / get() / stat() round trip', async () => {
+    await driver.put('contract/a/one.json', '{"one":1}', { contentType: 'application/json' });
+    assert.strictEqual((await driver.get('contract/a/one.json')).toString(), '{"one":1}');
+    assert.deepStrictEqual(await driver.get('contract/a/one.json', { start: 1, end: 5 }), Buffer.from('"one"'));
+    assert.strictEqual((await driver.stat('contract/a/one.json')).size, 9);
+    assert.strictEqual(await driver.get('contract/missing.json'), null);
+    assert.strictEqual(await driver.stat('contract/missing.json'), null);
+  });
+  await test('put() with ifNotExists fails with EEXIST', async () => {
+    try {
+      await driver.put('conditional/file.json', '{}', { ifNotExists: true });
+      await assert.rejects(() => driver.put('conditional/file.json', '{}', { ifNotExists: true }), { code: 'EEXIST' });
+    } finally {
+      await driver.deletePrefix('conditional');
+    }
+  });
+  await test('list() separates files and folders', async () => {
+    await driver.put('contract/a/two.json', '{"two":2}');
+    await driver.put('contract/a/b/three.json', '{}');
+    const listing = await driver.list('contract/a');
+    assert.deepStrictEqual(listing.files.map(file => file.key).sort(), ['one.json', 'two.json']);
+    assert.deepStrictEqual(listing.folders, ['b']);
+    const all = await driver.list('contract', { recursive: true });
+    assert.deepStrictEqual(all.files.map(file => file.key).sort(), ['a/b/three.json', 'a/one.json', 'a/two.json']);
+    assert.deepStrictEqual(await driver.list('contract/none'), { files: [], folders: [] });
+  });
+  await test('copy(), delete() and deletePrefix()', async () => {
+    await driver.copy('contract/a/one.json', 'contract/c/copy.json');
+    assert.strictEqual((await driver.get('contract/c/copy.json')).toString(), '{"one":1}');
+    assert.strictEqual(await driver.delete('contract/c/copy.json'), true);
+    assert.strictEqual(await driver.delete('contract/c/copy.json'), false);
+    assert.strictEqual(await driver.deletePrefix('contract/a'), true);
+    assert.deepStrictEqual((await driver.list('contract', { recursive: true })).files, []);
+  });
+  
+  const store = createStorage('images', { types: IMAGE_TYPES, driver });
+  await test('store.send() serves stored files with sniffed types', async () => {
+    await store.write('served.png', PNG, { contentType: 'image/png' });
+    const res = fakeResponse();
+    await store.send(res, 'served.png');
+    assert.strictEqual(res.headers['content-type'], 'image/png');
+    assert.ok(res.sentFile || Buffer.concat(res.chunks).equals(PNG));
+  });
+  await test('store.send() redirects to presigned URLs when enabled', async () => {
+    initStorage({ redirect: true });
+    const res = fakeResponse();
+    await store.send(res, 'served.png');
+    if (driver.localPath) {
+      assert.strictEqual(res.redirectedTo, null);
+    } else {
+      assert.ok(/^https?:\/\/.*X-Amz-Signature=/.test(res.redirectedTo), res.redirectedTo);
+      assert.strictEqual((await fetch(res.redirectedTo).then(r => r.arrayBuffer()).then(Buffer.from)).equals(PNG), true);
+    }
+    initStorage({ redirect: false });
+  });
+  await test('store.localDir() gives renderers a folder with the files', async () => {
+    const dir = await store.localDir();
+    assert.ok((await fs.readFile(join(dir, 'served.png'))).equals(PNG));
+    await store.remove('served.png');
+    assert.ok(!fs.existsSync(join(await store.localDir(), 'served.png')));
+  });
+  await test('store.remove() deletes files only, removeFolder() whole folders', async () => {
+    await store.scope('folder').write('inner.png', PNG);
+    assert.strictEqual(await store.remove('folder'), false);
+    assert.strictEqual(await store.exists('folder', 'inner.png'), true);
+    assert.strictEqual(await store.removeFolder('folder'), true);
+    assert.strictEqual(await store.exists('folder', 'inner.png'), false);
+  });
+  
+  await test('design revisions work on the driver', async () => {
+    const designStore = createStorage('customer-designs', { types: ['json', 'png'], driver }).scope('7', 'design-1');
+    await designStore.writeJson('design.json', { objects: [{ id: 'a', type: 'text' }] });
+    await designStore.writeJson('metadata.json', { designId: 'design-1' });
+    const first = await createRevision(designStore);
+    await designStore.writeJson('design.json', { objects: [] });
+    const second = await createRevision(designStore);
+    assert.deepStrictEqual([first.revision, second.revision], [1, 2]);
+    assert.deepStrictEqual((await listRevisions(designStore)).map(r => r.layerCount), [0, 1]);
+    
+    const restored = await restoreRevision(designStore, 1);
+    assert.strictEqual(restored.revision.revision, 3);
+    assert.strictEqual((await designStore.readJson('design.json')).objects.length, 1);
+    assert.strictEqual((await designStore.readJson('metadata.json')).revision, 3);
+    await designStore.removeFolder('revisions');
+    assert.deepStrictEqual(await listRevisions(designStore), []);
+  });
+  console.log('');
+}
+
+async function testStorage() {
+  console.log('Testing storage path safety...\n');
+  
+  const tempRoot = await fs.mkdtemp(join(os.tmpdir(), 'storage-test-'));
+  const root = join(tempRoot, 'images');
+  const outside = join(tempRoot, 'secret.json');
+  await fs.ensureDir(root);
+  await fs.writeFile(outside, '{"secret":true}');
+  await fs.writeFile(join(root, 'photo.png'), PNG);
+  await fs.writeFile(join(root, 'page.png'), HTML);
+  
+  const driver = createStorageDriver({ driver: 'local', root: tempRoot });
+  const store = createStorage('images', { types: IMAGE_TYPES, driver });
+  
+  try {
+    console.log('1. Identifier validation');
+    await test('accepts generated upload names', () => {
+      ['photo.png', '1700000000000-abc12.jpg', 'my-font.woff2', 'preview-1700000000000.webp', 'design_1', 'Font Name (Bold).ttf'].forEach((name) => {
+        assert.ok(isSafeName(name), name);
+      });
+    });
+    await test('rejects traversal and separator names', () => {
+      TRAVERSAL_NAMES.forEach((name) => assert.ok(!isSafeName(name), JSON.stringify(name)));
+    });
+    await test('rejects URL-encoded attacks after decoding', () => {
+      ENCODED_PAYLOADS.forEach((payload) => assert.ok(!isSafeName(decodeParam(payload)), payload));
+    });
+    await test('rejects non-string and overlong identifiers', () => {
+      [null, undefined, 42, {}, ['photo.png'], 'a'.repeat(256)].forEach((name) => assert.ok(!isSafeName(name), String(name)));
+    });
+    console.log('');
+    
+    console.log('2. Path confinement');
+    await test('resolves valid names inside the root', () => {
+      assert.strictEqual(store.key('photo.png'), 'images/photo.png');
+      assert.strictEqual(store.localPath('photo.png'), join(root, 'photo.png'));
+    });
+    for (const name of [...TRAVERSAL_NAMES, ...ENCODED_PAYLOADS.map(decodeParam)]) {
+      await test(`key() rejects ${JSON.stringify(name)}`, async () => {
+        await expectStorageError(() => store.key(name), 400);
+      });
+    }
+    await test('every segment is validated', async () => {
+      await expectStorageError(() => store.key('user-1', '..', 'secret.json'), 400);
+      await expectStorageError(() => store.key('user-1', 'design-1/../../..'), 400);
+      await expectStorageError(() => store.scope('user-1', '..'), 400);
+    });
+    await test('exists() is false for invalid names instead of throwing', async () => {
+      assert.strictEqual(await store.exists('../secret.json'), false);
+      assert.strictEqual(await store.exists('photo.png'), true);
+    });
+    await test('symlinks pointing outside the root are rejected', async () => {
+      try {
+        await fs.symlink(outside, join(root, 'link.png'));
+      } catch (e) {
+        console.log('     (symlinks not supported here, skipped)');
+        return;
+      }
+      await expectStorageError(() => store.localPath('link.png'), 400);
+      await expectStorageError(() => store.read('link.png'), 400);
+    });
+    await test('remove() cannot delete outside the root', async () => {
+      await expectStorageError(() => store.remove('..'), 400);
+      await expectStorageError(() => store.remove(), 400);
+      await expectStorageError(() => store.removeFolder('..'), 400);
+      await expectStorageError(() => store.removeFolder(), 400);
+      assert.ok(fs.existsSync(outside));
+      assert.ok(fs.existsSync(root));
+    });
+    console.log('');
+    
+    console.log('3. Content type sniffing');
+    await test('detects types from magic bytes', () => {
+      assert.strictEqual(sniffContentType(PNG), 'png');
+      assert.strictEqual(sniffContentType(JPEG), 'jpeg');
+      assert.strictEqual(sniffContentType(SVG), 'svg');
+      assert.strictEqual(sniffContentType(TTF), 'ttf');
+      assert.strictEqual(sniffContentType(Buffer.from('{"a":1}')), 'json');
+      assert.strictEqual(sniffContentType(HTML), null);
+      assert.strictEqual(sniffContentType(Buffer.alloc(0)), null);
+    });
+    await test('send() uses the sniffed type, not the extension', async () => {
+      const res = fakeResponse();
+      await store.send(res, 'photo.png');
+      assert.strictEqual(res.headers['content-type'], 'image/png');
+      assert.strictEqual(res.headers['x-content-type-options'], 'nosniff');
+      assert.strictEqual(res.sentFile, join(root, 'photo.png'));
+    });
+    await test('send() refuses HTML disguised as an image', async () => {
+      const res = fakeResponse();
+      await expectStorageError(() => store.send(res, 'page.png'), 415);
+      assert.strictEqual(res.sentFile, null);
+    });
+    await test('send() returns 404 for missing files and 400 for traversal', async () => {
+      await expectStorageError(() => store.send(fakeResponse(), 'missing.png'), 404);
+      await expectStorageError(() => store.send(fakeResponse(), '../secret.json'), 400);
+    });
+    await test('SVGs are served with a restrictive CSP', async () => {
+      await fs.writeFile(join(root, 'icon.svg'), SVG);
+      const res = fakeResponse();
+      await store.send(res, 'icon.svg');
+      assert.strictEqual(res.headers['content-type'], 'image/svg+xml');
+      assert.ok(res.headers['content-security-policy'].includes('sandbox'));
+    });
+    console.log('');
+    
+    console.log('4. Uploads');
+    await test('saveUpload() names the file after its real type', async () => {
+      const tempPath = join(root, 'upload-tmp-1');
+      await fs.writeFile(tempPath, JPEG);
+      const stored = await store.saveUpload(tempPath, 'upload-1');
+      assert.strictEqual(stored.filename, 'upload-1.jpg');
+      assert.strictEqual(stored.key, 'images/upload-1.jpg');
+      assert.strictEqual(stored.type, 'jpeg');
+      assert.ok(fs.existsSync(join(root, 'upload-1.jpg')));
+      assert.ok(!fs.existsSync(tempPath));
+    });
+    await test('saveUpload() rejects disallowed content and removes the temp file', async () => {
+      const tempPath = join(root, 'upload-tmp-2');
+      await fs.writeFile(tempPath, HTML);
+      await expectStorageError(() => store.saveUpload(tempPath, 'upload-2'), 415);
+      assert.ok(!fs.existsSync(tempPath));
+    });
+    await test('saveUpload() validates the target name', async () => {
+      const tempPath = join(root, 'upload-tmp-3');
+      await fs.writeFile(tempPath, PNG);
+      await expectStorageError(() => store.saveUpload(tempPath, '../upload-3'), 400);
+      assert.ok(!fs.existsSync(join(tempRoot, 'upload-3.png')));
+    });
+    console.log('');
+    
+    console.log('5. Local driver');
+    await testDriver(driver, tempRoot);
+  } finally {
+    await fs.remove(tempRoot);
+  }
+  
+  // The S3 driver runs against any S3-compatible endpoint, e.g. a local MinIO:
+  // S3_ENDPOINT=http://localhost:9000 S3_BUCKET=design-tool-test S3_ACCESS_KEY_ID=minioadmin S3_SECRET_ACCESS_KEY=minioadmin npm run test:storage
+  if (process.env.S3_ENDPOINT && process.env.S3_BUCKET) {
+    console.log('6. S3 driver');
+    const cacheDir = await fs.mkdtemp(join(os.tmpdir(), 'storage-cache-'));
+    const s3Driver = createStorageDriver({
+      driver: 's3',
+      s3: {
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: true,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        prefix: `storage-test-${Date.now()}`,
+      },
+    });
+    try {
+      await testDriver(s3Driver, cacheDir);
+    } finally {
+      await s3Driver.deletePrefix('');
+      await fs.remove(cacheDir);
+    }
+  } else {
+    console.log('6. S3 driver (skipped, set S3_ENDPOINT and S3_BUCKET to run against MinIO)\n');
+  }
+  
+  console.log(`Storage tests complete: ${passed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+testStorage().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});